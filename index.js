@@ -8,33 +8,80 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+const security = require("./config/security.json");
+const { AUTH_REQUIRED, authenticate } = require("./middleware/auth");
+const { rateLimit } = require("./middleware/rateLimit");
+
+// Browsers may only call the API from allowlisted origins (CORS_ORIGINS overrides the config)
+const allowedOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim())
+  : security.cors.allowedOrigins;
+app.use(cors({ origin: allowedOrigins.includes("*") ? true : allowedOrigins }));
 app.use(express.json({ limit: "50mb" })); // Increase JSON payload limit
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
-// Serve static screenshots with proper headers
+// Routes
+const indexRoutes = require("./routes/index");
+const analyzeRoutes = require("./routes/analyze");
+const analysesRoutes = require("./routes/analyses");
+const compareRoutes = require("./routes/compare");
+const sessionsRoutes = require("./routes/sessions");
+const crawlRoutes = require("./routes/crawl");
+const frameworksRoutes = require("./routes/frameworks");
+const usageRoutes = require("./routes/usage");
+const adminRoutes = require("./routes/admin");
+
+// Public: health check; admin endpoints check X-Admin-Key themselves
+app.use("/", indexRoutes);
+app.use("/admin", adminRoutes);
+
+// Everything below needs an API key (unless AUTH_REQUIRED=false) and is rate limited per client
+app.use(authenticate, rateLimit);
+
+// Serve static screenshots with proper headers (they can show logged-in pages, so only to API clients,
+// and only under the unguessable names that are handed out to the key that created them)
+const screenshotService = require("./services/screenshotService");
 app.use(
   "/screenshots",
+  (req, res, next) => (screenshotService.isServable(req.path) ? next() : res.status(404).end()),
   express.static(path.join(__dirname, "screenshots"), {
     setHeaders: (res, filePath) => {
       if (filePath.endsWith(".png")) {
         res.setHeader("Content-Type", "image/png");
-        res.setHeader("Cache-Control", "public, max-age=3600");
+        res.setHeader("Cache-Control", "private, max-age=3600");
       }
     },
   })
 );
 
-// Routes
-const indexRoutes = require("./routes/index");
-const analyzeRoutes = require("./routes/analyze");
-
-app.use("/", indexRoutes);
 app.use("/analyze", analyzeRoutes);
+app.use("/analyses", analysesRoutes);
+app.use("/compare", compareRoutes);
+app.use("/sessions", sessionsRoutes);
+app.use("/crawl", crawlRoutes);
+app.use("/frameworks", frameworksRoutes);
+app.use("/usage", usageRoutes);
+
+// Start server and warm up the shared browser pool
+const browserPool = require("./services/browserPool");
 
-// Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  if (!AUTH_REQUIRED) {
+    console.warn("[SERVER] AUTH_REQUIRED=false: requests without an API key are accepted");
+  }
+  browserPool.start();
 });
 
+// Graceful shutdown: stop accepting connections, let analyses finish, close browsers
+const shutdown = async (signal) => {
+  console.log(`[SERVER] ${signal} received, shutting down...`);
+  server.close();
+  await browserPool.shutdown();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 module.exports = app;
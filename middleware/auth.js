@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+
+// Services
+const apiKeyService = require("../services/apiKeyService");
+
+/**
+ * API key authentication
+ * Clients send their key as `X-API-Key: <key>` or `Authorization: Bearer <key>`.
+ * AUTH_REQUIRED=false lets requests without a key through as anonymous (local development);
+ * a key that is sent is still checked. Admin endpoints use the separate ADMIN_API_KEY.
+ */
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== "false";
+
+/**
+ * Reads the API key from the request headers
+ * @param {Request} req - Express request
+ * @returns {string|null} Raw key
+ */
+function readKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) {
+    return header.trim();
+  }
+  const match = (req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Authenticates the request and sets req.apiKey ({id, name, limits}, or null when anonymous)
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function authenticate(req, res, next) {
+  try {
+    const rawKey = readKey(req);
+    if (!rawKey) {
+      if (AUTH_REQUIRED) {
+        return res.status(401).json({
+          error: "API key required",
+          message: "Send your API key in the X-API-Key header (or as Authorization: Bearer <key>)",
+        });
+      }
+      req.apiKey = null;
+      return next();
+    }
+
+    const record = await apiKeyService.verifyKey(rawKey);
+    if (!record) {
+      return res.status(401).json({
+        error: "Invalid API key",
+        message: "The API key is unknown or has been revoked",
+      });
+    }
+    req.apiKey = { id: record.id, name: record.name, limits: record.limits };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Restricts a route to the administrator (X-Admin-Key must equal ADMIN_API_KEY)
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      error: "Admin API disabled",
+      message: "Set ADMIN_API_KEY to enable the admin endpoints",
+    });
+  }
+
+  // Compare digests so the check takes the same time whatever the input
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (!crypto.timingSafeEqual(digest(req.get("X-Admin-Key") || ""), digest(adminKey))) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "A valid X-Admin-Key header is required",
+    });
+  }
+  req.isAdmin = true;
+  next();
+}
+
+/**
+ * Describes the key of a request for analysis records
+ * @param {Request} req - Express request
+ * @returns {Object|null} {id, name}, or null when anonymous
+ */
+function requestedBy(req) {
+  return req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name } : null;
+}
+
+/**
+ * Id of the API key that owns what a request creates and can see: stored analyses, jobs,
+ * session profiles and custom frameworks are only visible to the key that created them
+ * @param {Request} req - Express request
+ * @returns {string|null} API key id, or null when anonymous
+ */
+function ownerOf(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+/**
+ * Checks whether a record belongs to the request's API key
+ * @param {Request} req - Express request
+ * @param {string|null|undefined} apiKeyId - Owner stored on the record (none for anonymous records)
+ * @returns {boolean} True if the request may access the record
+ */
+function isOwner(req, apiKeyId) {
+  return (apiKeyId || null) === ownerOf(req);
+}
+
+module.exports = {
+  AUTH_REQUIRED,
+  authenticate,
+  requireAdmin,
+  requestedBy,
+  ownerOf,
+  isOwner,
+};
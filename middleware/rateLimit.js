@@ -0,0 +1,150 @@
+// Config
+const security = require("../config/security.json");
+
+/**
+ * Per-client request rate and concurrent-analysis limits
+ * A client is an API key, or the client IP for anonymous requests (AUTH_REQUIRED=false).
+ * Limits come from the key (set when it was created), then config/security.json defaults.
+ * Counters live in memory, so they apply per server process.
+ */
+const WINDOW_MS = 60 * 1000;
+
+// Client -> {windowStart, count}
+const windows = new Map();
+// Client -> running analyses
+const running = new Map();
+
+// Drop finished windows so idle clients do not accumulate
+setInterval(() => {
+  const now = Date.now();
+  windows.forEach((window, client) => {
+    if (now - window.windowStart >= WINDOW_MS) {
+      windows.delete(client);
+    }
+  });
+}, WINDOW_MS).unref();
+
+/**
+ * Identifies the client of a request
+ * @param {Request} req - Express request (after authenticate)
+ * @returns {string} Client id
+ */
+function clientOf(req) {
+  return req.apiKey ? req.apiKey.id : `ip:${req.ip}`;
+}
+
+/**
+ * Resolves the limits of a request's client
+ * @param {Request} req - Express request (after authenticate)
+ * @returns {{requestsPerMinute: number, concurrentAnalyses: number}} Limits
+ */
+function limitsOf(req) {
+  return req.apiKey
+    ? { ...security.defaultLimits, ...req.apiKey.limits }
+    : security.anonymousLimits;
+}
+
+/**
+ * Limits requests per client per minute (fixed window) and reports the limit in
+ * X-RateLimit-* headers
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function rateLimit(req, res, next) {
+  const client = clientOf(req);
+  const limit = limitsOf(req).requestsPerMinute;
+  const now = Date.now();
+
+  let window = windows.get(client);
+  if (!window || now - window.windowStart >= WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    windows.set(client, window);
+  }
+  window.count++;
+
+  const resetSeconds = Math.ceil((window.windowStart + WINDOW_MS - now) / 1000);
+  res.set({
+    "X-RateLimit-Limit": String(limit),
+    "X-RateLimit-Remaining": String(Math.max(0, limit - window.count)),
+    "X-RateLimit-Reset": String(resetSeconds),
+  });
+
+  if (window.count > limit) {
+    res.set("Retry-After", String(resetSeconds));
+    return res.status(429).json({
+      error: "Rate limit exceeded",
+      message: `At most ${limit} requests per minute; retry in ${resetSeconds}s`,
+    });
+  }
+  next();
+}
+
+/**
+ * Limits how many analyses (browser sessions) a client runs at once
+ * The route releases the slot with releaseAnalysisSlot once its work is done (not when the
+ * client disconnects, since the browser work keeps running); routes that hand the work to a
+ * background job take the slot over with detachAnalysisSlot and release it when the job ends
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function limitConcurrentAnalyses(req, res, next) {
+  const client = clientOf(req);
+  const limit = limitsOf(req).concurrentAnalyses;
+  const active = running.get(client) || 0;
+
+  if (active >= limit) {
+    return res.status(429).json({
+      error: "Too many concurrent analyses",
+      message: `This client already runs ${active} of ${limit} allowed concurrent analyses; wait for one to finish`,
+    });
+  }
+
+  running.set(client, active + 1);
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      const remaining = (running.get(client) || 1) - 1;
+      if (remaining > 0) {
+        running.set(client, remaining);
+      } else {
+        running.delete(client);
+      }
+    }
+  };
+  req.analysisSlot = { detached: false, release };
+  next();
+}
+
+/**
+ * Releases the request's analysis slot unless a background job took it over
+ * Call it in the route's finally block
+ * @param {Request} req - Express request
+ */
+function releaseAnalysisSlot(req) {
+  if (req.analysisSlot && !req.analysisSlot.detached) {
+    req.analysisSlot.release();
+  }
+}
+
+/**
+ * Takes over the request's analysis slot for a background job
+ * @param {Request} req - Express request
+ * @returns {Function} Releases the slot; call it when the job ends
+ */
+function detachAnalysisSlot(req) {
+  if (!req.analysisSlot) {
+    return () => {};
+  }
+  req.analysisSlot.detached = true;
+  return req.analysisSlot.release;
+}
+
+module.exports = {
+  rateLimit,
+  limitConcurrentAnalyses,
+  releaseAnalysisSlot,
+  detachAnalysisSlot,
+};
@@ -0,0 +1,83 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const apiKeyService = require("../services/apiKeyService");
+
+// Middleware
+const { requireAdmin } = require("../middleware/auth");
+
+// Routes
+const usageRoutes = require("./usage");
+
+// Utils
+const { handleError } = require("../utils/errorHandler");
+
+/**
+ * Sends a formatted error response
+ * @param {Response} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const errorResponse = handleError(error);
+  res.status(errorResponse.status).json({
+    error: errorResponse.error,
+    message: errorResponse.message,
+    ...(errorResponse.details && { details: errorResponse.details }),
+  });
+}
+
+// Every admin endpoint needs X-Admin-Key
+router.use(requireAdmin);
+
+// List API keys (including revoked ones)
+router.get("/keys", async (req, res) => {
+  try {
+    res.json({ items: await apiKeyService.listKeys() });
+  } catch (error) {
+    console.error(`[ADMIN] Error listing API keys: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Create an API key; the raw key is only returned here
+// Body: {name, limits?: {requestsPerMinute?, concurrentAnalyses?}}
+router.post("/keys", async (req, res) => {
+  try {
+    const validation = apiKeyService.validateKeyRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(validation.error.status).json({
+        error: validation.error.message,
+        message: validation.error.details,
+      });
+    }
+
+    const { key, record } = await apiKeyService.createKey(req.body);
+    res.status(201).json({ ...record, key });
+  } catch (error) {
+    console.error(`[ADMIN] Error creating API key: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Revoke an API key
+router.delete("/keys/:id", async (req, res) => {
+  try {
+    const record = await apiKeyService.revokeKey(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        error: "API key not found",
+        message: `No API key with id "${req.params.id}"`,
+      });
+    }
+    res.json(record);
+  } catch (error) {
+    console.error(`[ADMIN] Error revoking API key: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Usage of every key: GET /admin/usage?key=... (same query as GET /usage)
+router.use("/usage", usageRoutes);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const analysisStore = require("../services/analysisStore");
+const reportService = require("../services/reportService");
+
+// Middleware
+const { ownerOf, isOwner } = require("../middleware/auth");
+const { limitConcurrentAnalyses, releaseAnalysisSlot } = require("../middleware/rateLimit");
+
+// Utils
+const { handleError } = require("../utils/errorHandler");
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Sends a formatted error response
+ * @param {Response} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const errorResponse = handleError(error);
+  res.status(errorResponse.status).json({
+    error: errorResponse.error,
+    message: errorResponse.message,
+    ...(errorResponse.details && { details: errorResponse.details }),
+  });
+}
+
+/**
+ * Loads an analysis the request's API key owns
+ * Analyses of other keys are reported as missing, so their ids are not confirmed either
+ * @param {Request} req - Express request with the analysis id in params
+ * @returns {Promise<Object|null>} Analysis, or null if it does not exist or belongs to another key
+ */
+async function getOwnAnalysis(req) {
+  const analysis = await analysisStore.getAnalysis(req.params.id);
+  return analysis && isOwner(req, analysis.apiKey?.id) ? analysis : null;
+}
+
+/**
+ * Parses an optional ISO date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// List the requesting key's analyses: GET /analyses?url=&from=&to=&page=&limit=
+router.get("/", async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        error: "Invalid date",
+        message: "from and to must be valid ISO 8601 dates",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const { items, total } = await analysisStore.listAnalyses({
+      url: req.query.url,
+      apiKeyId: ownerOf(req),
+      from,
+      to,
+      offset: (page - 1) * limit,
+      limit,
+    });
+
+    res.json({
+      items: items,
+      page: page,
+      limit: limit,
+      total: total,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error(`[ANALYSES] Error listing analyses: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Get one analysis
+router.get("/:id", async (req, res) => {
+  try {
+    const analysis = await getOwnAnalysis(req);
+    if (!analysis) {
+      return res.status(404).json({
+        error: "Analysis not found",
+        message: "No analysis exists with this id",
+      });
+    }
+    res.json(analysis);
+  } catch (error) {
+    console.error(`[ANALYSES] Error loading analysis: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+/**
+ * Counts PDF exports against the client's concurrent analyses, since each one borrows a browser context
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function limitPdfRenders(req, res, next) {
+  if (req.query.format === "pdf") {
+    return limitConcurrentAnalyses(req, res, next);
+  }
+  next();
+}
+
+// Export a report: GET /analyses/:id/report?format=html|pdf|md (add download=true to save as a file)
+router.get("/:id/report", limitPdfRenders, async (req, res) => {
+  try {
+    const format = req.query.format || "html";
+    if (!Object.hasOwn(reportService.FORMATS, format)) {
+      return res.status(400).json({
+        error: "Invalid format",
+        message: `format must be one of ${Object.keys(reportService.FORMATS).join(", ")}`,
+      });
+    }
+
+    const analysis = await getOwnAnalysis(req);
+    if (!analysis) {
+      return res.status(404).json({
+        error: "Analysis not found",
+        message: "No analysis exists with this id",
+      });
+    }
+
+    const report = await reportService.renderReport(analysis, format);
+    const disposition = req.query.download === "true" ? "attachment" : "inline";
+    res.setHeader("Content-Type", report.contentType);
+    res.setHeader("Content-Disposition", `${disposition}; filename="${report.filename}"`);
+    res.send(report.body);
+  } catch (error) {
+    console.error(`[ANALYSES] Error rendering report: ${error.message}`);
+    sendError(res, error);
+  } finally {
+    releaseAnalysisSlot(req);
+  }
+});
+
+// Delete an analysis and its screenshots
+router.delete("/:id", async (req, res) => {
+  try {
+    const analysis = await getOwnAnalysis(req);
+    if (!analysis || !(await analysisStore.deleteAnalysis(analysis.id))) {
+      return res.status(404).json({
+        error: "Analysis not found",
+        message: "No analysis exists with this id",
+      });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error(`[ANALYSES] Error deleting analysis: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
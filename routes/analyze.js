@@ -2,30 +2,42 @@ const express = require("express");
 const router = express.Router();
 
 // Services
-const browserService = require("../services/browserService");
-const screenshotService = require("../services/screenshotService");
-const performanceService = require("../services/performanceService");
-const accessibilityService = require("../services/accessibilityService");
-const metaService = require("../services/metaService");
-const pageInfoService = require("../services/pageInfoService");
-const navigationService = require("../services/navigationService");
-const aiService = require("../services/aiService");
+const analysisService = require("../services/analysisService");
+const jobService = require("../services/jobService");
+const providers = require("../services/providers");
+const authService = require("../services/authService");
+const flowService = require("../services/flowService");
 const annotationService = require("../services/annotationService");
+const frameworkService = require("../services/frameworkService");
+const usageService = require("../services/usageService");
+
+// Middleware
+const { requestedBy, ownerOf, isOwner } = require("../middleware/auth");
+const { limitConcurrentAnalyses, releaseAnalysisSlot, detachAnalysisSlot } = require("../middleware/rateLimit");
 
 // Utils
 const { validateUrl } = require("../utils/urlValidator");
+const { resolveDevices } = require("../utils/deviceResolver");
 const { handleError } = require("../utils/errorHandler");
+const { streamJobEvents } = require("../utils/sse");
 
 // Analyze route
-router.post("/", async (req, res) => {
-  let browser = null;
+// POST /analyze?async=true returns a job id immediately instead of waiting for the pipeline
+// Optional body.devices: Playwright device names or {width, height, deviceScaleFactor, isMobile}
+// Optional body.provider / body.model: vision model selection (defaults from AI_PROVIDER / AI_MODEL)
+// Optional body.framework: evaluation framework name (see GET /frameworks; defaults to DEFAULT_FRAMEWORK)
+// Optional body.refreshCache: true to skip cached Vision AI results and store a fresh one
+// Optional body.auth: cookies, headers, httpCredentials, storageState, profile, loginSteps, saveProfile
+// Optional body.annotationLayers: layers burnt into the annotated PNG (issues, ai, navigation, accessibility)
+router.post("/", limitConcurrentAnalyses, async (req, res) => {
   try {
     const { url } = req.body;
+    const runAsync = req.query.async === "true";
 
-    console.log(`[ANALYZE] Received request for URL: ${url}`);
+    console.log(`[ANALYZE] Received ${runAsync ? "async " : ""}request for URL: ${url}`);
 
     // Validate URL
-    const validation = validateUrl(url);
+    const validation = await validateUrl(url);
     if (!validation.isValid) {
       console.log(`[ANALYZE] Validation failed: ${validation.error.message}`);
       return res.status(validation.error.status).json({
@@ -34,115 +46,307 @@ router.post("/", async (req, res) => {
       });
     }
 
-    // Launch browser and navigate
-    browser = await browserService.launchBrowser();
-    const { page, loadTime, statusCode } = await browserService.navigateToUrl(browser, url);
-
-    // Collect all analysis data in parallel where possible
-    const [
-      pageInfo,
-      screenshot,
-      performanceMetrics,
-      accessibilityData,
-      metaInfo,
-      navigationElements,
-    ] = await Promise.all([
-      pageInfoService.getPageInfo(page),
-      screenshotService.captureScreenshot(page, url),
-      performanceService.getPerformanceMetrics(page),
-      accessibilityService.checkAccessibility(page),
-      metaService.getMetaInfo(page),
-      navigationService.getNavigationElements(page),
-    ]);
-
-    // Close browser
-    await browserService.closeBrowser(browser);
-    browser = null;
-
-    // B4.2: Run live Vision AI analysis (or fallback to mock)
-    // Get image dimensions from screenshot
-    const imageWidth = screenshot.width || pageInfo.dimensions?.width || 1280;
-    const imageHeight = screenshot.height || pageInfo.dimensions?.height || 720;
-    
-    console.log(`[ANALYZE] B4.2: Analyzing screenshot (${imageWidth}x${imageHeight}px) with Vision AI...`);
-    const aiAnalysis = await aiService.analyzeWithAI(
-      url,
-      screenshot.base64,
-      navigationElements,
-      imageWidth,
-      imageHeight
-    );
-
-    // Create annotated screenshot (Phase 3: with bounding boxes and issue ID badges)
-    const annotatedScreenshot = await annotationService.annotateScreenshot(
-      screenshot.buffer,
-      aiAnalysis.coordinates,
-      navigationElements,
-      aiAnalysis.report, // Pass report with coordinates and IDs
-      screenshot.filename
-    );
-
-    // Build response (return URL instead of base64 to avoid 431 error)
-    // Get base URL for full screenshot URL
-    const protocol = req.protocol;
-    const host = req.get("host");
-    const baseUrl = `${protocol}://${host}`;
-    const fullScreenshotUrl = `${baseUrl}${screenshot.url}`;
-    const fullAnnotatedScreenshotUrl = `${baseUrl}${annotatedScreenshot.url}`;
-
-    const analysisResult = {
-      message: "Analysis completed successfully",
-      url: url,
-      status: "success",
-      statusCode: statusCode,
-      pageInfo: {
-        ...pageInfo,
-        loadTime: loadTime,
-      },
-      performance: performanceMetrics,
-      accessibility: accessibilityData,
-      meta: metaInfo,
-      navigation: navigationElements,
-      screenshot: fullAnnotatedScreenshotUrl, // Return annotated screenshot by default
-      screenshotInfo: {
-        original: {
-          filename: screenshot.filename,
-          url: screenshot.url,
-          fullUrl: fullScreenshotUrl,
-        },
-        annotated: {
-          filename: annotatedScreenshot.filename,
-          url: annotatedScreenshot.url,
-          fullUrl: fullAnnotatedScreenshotUrl,
+    // Resolve requested devices (default desktop viewport when omitted)
+    let devices = null;
+    if (req.body.devices !== undefined) {
+      const deviceResolution = resolveDevices(req.body.devices);
+      if (!deviceResolution.isValid) {
+        console.log(`[ANALYZE] Device validation failed: ${deviceResolution.error.details}`);
+        return res.status(deviceResolution.error.status).json({
+          error: deviceResolution.error.message,
+          message: deviceResolution.error.details,
+        });
+      }
+      devices = deviceResolution.devices;
+    }
+
+    // Validate vision provider selection
+    const { provider, model } = req.body;
+    if (provider !== undefined && !providers.getProvider(provider)) {
+      return res.status(400).json({
+        error: "Invalid provider",
+        message: `Unknown AI provider "${provider}". Available: ${providers.listProviders().join(", ")}`,
+      });
+    }
+    if (model !== undefined && !(await usageService.isPriced(model))) {
+      return res.status(400).json({
+        error: "Invalid model",
+        message: `No price is configured for model "${model}", so its usage cannot be budgeted. See config/pricing.json`,
+      });
+    }
+    const framework = await frameworkService.getFramework(req.body.framework, ownerOf(req));
+    if (!framework) {
+      return res.status(400).json({
+        error: "Invalid framework",
+        message: `Unknown evaluation framework "${req.body.framework}". See GET /frameworks`,
+      });
+    }
+    // Budget of the caller's usage key: reject, or downgrade to a cheaper model / the rule-based analyzer
+    const budgetCheck = await usageService.applyBudget(usageService.usageKeyFor(req), {
+      provider,
+      model,
+      framework,
+      refreshCache: req.body.refreshCache === true,
+    });
+    if (!budgetCheck.isValid) {
+      return res.status(budgetCheck.error.status).json({
+        error: budgetCheck.error.message,
+        message: budgetCheck.error.details,
+      });
+    }
+    const { ai } = budgetCheck;
+
+    // Validate the layers of the composite annotated screenshot (all layers when omitted)
+    const { annotationLayers } = req.body;
+    if (annotationLayers !== undefined) {
+      const layerValidation = annotationService.validateLayers(annotationLayers);
+      if (!layerValidation.isValid) {
+        return res.status(layerValidation.error.status).json({
+          error: layerValidation.error.message,
+          message: layerValidation.error.details,
+        });
+      }
+    }
+
+    // Resolve authentication (saved profile, cookies, login steps)
+    let auth = null;
+    if (req.body.auth !== undefined) {
+      const authValidation = authService.validateAuth(req.body.auth);
+      if (!authValidation.isValid) {
+        console.log(`[ANALYZE] Auth validation failed: ${authValidation.error.details}`);
+        return res.status(authValidation.error.status).json({
+          error: authValidation.error.message,
+          message: authValidation.error.details,
+        });
+      }
+      auth = await authService.resolveAuth(req.body.auth, ownerOf(req));
+      if (auth.error) {
+        return res.status(auth.error.status).json({
+          error: auth.error.message,
+          message: auth.error.details,
+        });
+      }
+    }
+
+    // Get base URL for full screenshot URLs
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    const apiKey = requestedBy(req);
+
+    if (runAsync) {
+      const job = jobService.createJob(
+        "analysis",
+        {
+          url,
+          devices: req.body.devices,
+          provider,
+          model,
+          framework: framework.name,
+          annotationLayers,
         },
-      },
-      aiAnalysis: {
-        coordinates: aiAnalysis.coordinates,
-        report: aiAnalysis.report,
-        timestamp: aiAnalysis.timestamp,
-      },
-    };
+        ownerOf(req)
+      );
+      const releaseSlot = detachAnalysisSlot(req);
+      jobService.runJob(job, (onProgress) =>
+        analysisService
+          .runAnalysis(url, { id: job.id, baseUrl, devices, ai, auth, annotationLayers, apiKey, onProgress })
+          .finally(releaseSlot)
+      );
+
+      return res.status(202).json({
+        message: "Analysis started",
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${baseUrl}/analyze/jobs/${job.id}`,
+        eventsUrl: `${baseUrl}/analyze/jobs/${job.id}/events`,
+      });
+    }
+
+    const analysisResult = await analysisService.runAnalysis(url, { baseUrl, devices, ai, auth, annotationLayers, apiKey });
 
     console.log(`[ANALYZE] Analysis completed for: ${url}`);
     res.json(analysisResult);
   } catch (error) {
     console.error(`[ANALYZE] Error occurred: ${error.message}`);
 
-    // Ensure browser is closed even if there's an error
-    if (browser) {
-      await browserService.closeBrowser(browser).catch(() => {
-        console.log("[ANALYZE] Browser closed after error");
+    // Handle error
+    const errorResponse = handleError(error);
+    res.status(errorResponse.status).json({
+      error: errorResponse.error,
+      message: errorResponse.message,
+      ...(errorResponse.details && { details: errorResponse.details }),
+    });
+  } finally {
+    releaseAnalysisSlot(req);
+  }
+});
+
+// Flow route: scripted multi-step user flow with a report per captured step and a filmstrip
+// Body.steps: [{action: navigate|click|fill|select|scroll|wait, ..., capture?: true}], first step navigates
+// Optional body.device, body.provider / body.model, body.framework, body.refreshCache, body.auth; ?async=true works as for POST /analyze
+router.post("/flow", limitConcurrentAnalyses, async (req, res) => {
+  try {
+    const { steps } = req.body;
+    const runAsync = req.query.async === "true";
+
+    console.log(`[ANALYZE] Received ${runAsync ? "async " : ""}flow request with ${Array.isArray(steps) ? steps.length : 0} steps`);
+
+    const stepsError = flowService.validateFlow(steps);
+    if (stepsError) {
+      console.log(`[ANALYZE] Flow validation failed: ${stepsError}`);
+      return res.status(400).json({
+        error: "Invalid flow steps",
+        message: stepsError,
       });
     }
 
-    // Handle error
+    // Every navigate step must pass the same URL checks as POST /analyze
+    for (const step of steps.filter((s) => s.action === "navigate")) {
+      const validation = await validateUrl(step.url);
+      if (!validation.isValid) {
+        console.log(`[ANALYZE] Flow URL validation failed: ${validation.error.message}`);
+        return res.status(validation.error.status).json({
+          error: validation.error.message,
+          message: validation.error.details,
+        });
+      }
+    }
+
+    let device = null;
+    if (req.body.device !== undefined) {
+      const deviceResolution = resolveDevices([req.body.device]);
+      if (!deviceResolution.isValid) {
+        return res.status(deviceResolution.error.status).json({
+          error: deviceResolution.error.message,
+          message: deviceResolution.error.details,
+        });
+      }
+      device = deviceResolution.devices[0];
+    }
+
+    const { provider, model } = req.body;
+    if (provider !== undefined && !providers.getProvider(provider)) {
+      return res.status(400).json({
+        error: "Invalid provider",
+        message: `Unknown AI provider "${provider}". Available: ${providers.listProviders().join(", ")}`,
+      });
+    }
+    if (model !== undefined && !(await usageService.isPriced(model))) {
+      return res.status(400).json({
+        error: "Invalid model",
+        message: `No price is configured for model "${model}", so its usage cannot be budgeted. See config/pricing.json`,
+      });
+    }
+    const framework = await frameworkService.getFramework(req.body.framework, ownerOf(req));
+    if (!framework) {
+      return res.status(400).json({
+        error: "Invalid framework",
+        message: `Unknown evaluation framework "${req.body.framework}". See GET /frameworks`,
+      });
+    }
+    // Budget of the caller's usage key: reject, or downgrade to a cheaper model / the rule-based analyzer
+    const budgetCheck = await usageService.applyBudget(usageService.usageKeyFor(req), {
+      provider,
+      model,
+      framework,
+      refreshCache: req.body.refreshCache === true,
+    });
+    if (!budgetCheck.isValid) {
+      return res.status(budgetCheck.error.status).json({
+        error: budgetCheck.error.message,
+        message: budgetCheck.error.details,
+      });
+    }
+    const { ai } = budgetCheck;
+
+    let auth = null;
+    if (req.body.auth !== undefined) {
+      const authValidation = authService.validateAuth(req.body.auth);
+      if (!authValidation.isValid) {
+        return res.status(authValidation.error.status).json({
+          error: authValidation.error.message,
+          message: authValidation.error.details,
+        });
+      }
+      auth = await authService.resolveAuth(req.body.auth, ownerOf(req));
+      if (auth.error) {
+        return res.status(auth.error.status).json({
+          error: auth.error.message,
+          message: auth.error.details,
+        });
+      }
+    }
+
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    const apiKey = requestedBy(req);
+
+    if (runAsync) {
+      // Step values are left out of the job input because fill steps may carry passwords
+      const job = jobService.createJob(
+        "flow",
+        {
+          url: steps[0].url,
+          steps: steps.map((step) => flowService.describeStep(step)),
+          device: req.body.device,
+          provider,
+          model,
+          framework: framework.name,
+        },
+        ownerOf(req)
+      );
+      const releaseSlot = detachAnalysisSlot(req);
+      jobService.runJob(job, (onProgress) =>
+        flowService.runFlow(steps, { id: job.id, baseUrl, device, ai, auth, apiKey, onProgress }).finally(releaseSlot)
+      );
+
+      return res.status(202).json({
+        message: "Flow analysis started",
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${baseUrl}/analyze/jobs/${job.id}`,
+        eventsUrl: `${baseUrl}/analyze/jobs/${job.id}/events`,
+      });
+    }
+
+    const flowResult = await flowService.runFlow(steps, { baseUrl, device, ai, auth, apiKey });
+
+    console.log(`[ANALYZE] Flow analysis completed for: ${steps[0].url}`);
+    res.json(flowResult);
+  } catch (error) {
+    console.error(`[ANALYZE] Flow error occurred: ${error.message}`);
+
     const errorResponse = handleError(error);
     res.status(errorResponse.status).json({
       error: errorResponse.error,
       message: errorResponse.message,
       ...(errorResponse.details && { details: errorResponse.details }),
     });
+  } finally {
+    releaseAnalysisSlot(req);
+  }
+});
+
+// Job status route: current stage plus partial or final result
+router.get("/jobs/:id", (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job || !isOwner(req, job.apiKeyId)) {
+    return res.status(404).json({
+      error: "Job not found",
+      message: "No analysis job exists with this id. Finished jobs expire after a while.",
+    });
+  }
+  res.json(jobService.serializeJob(job));
+});
+
+// Job progress route: Server-Sent Events for each pipeline stage
+router.get("/jobs/:id/events", (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job || !isOwner(req, job.apiKeyId)) {
+    return res.status(404).json({
+      error: "Job not found",
+      message: "No analysis job exists with this id. Finished jobs expire after a while.",
+    });
   }
+  streamJobEvents(req, res, job);
 });
 
 module.exports = router;
@@ -0,0 +1,191 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const analysisStore = require("../services/analysisStore");
+const compareService = require("../services/compareService");
+const screenshotService = require("../services/screenshotService");
+
+// Middleware
+const { isOwner, ownerOf } = require("../middleware/auth");
+const { limitConcurrentAnalyses, releaseAnalysisSlot } = require("../middleware/rateLimit");
+
+// Utils
+const { validateUrl } = require("../utils/urlValidator");
+const { resolveDevices } = require("../utils/deviceResolver");
+const { handleError } = require("../utils/errorHandler");
+
+/**
+ * Describes one side of a comparison for the response
+ * @param {string} baseUrl - Backend base URL
+ * @param {string} filename - Screenshot filename
+ * @param {Object} extra - Additional fields (analysisId, capturedAt)
+ * @returns {Object} Screenshot reference
+ */
+function describeSide(baseUrl, filename, extra) {
+  return {
+    ...extra,
+    filename: filename,
+    url: `/screenshots/${filename}`,
+    fullUrl: `${baseUrl}/screenshots/${filename}`,
+  };
+}
+
+// Compare route
+// Body: {baseId, targetId} to diff two stored analyses, or {url} to capture fresh and
+// diff against the caller's latest analysis of that URL. Optional: device, threshold (0-1)
+router.post("/", limitConcurrentAnalyses, async (req, res) => {
+  try {
+    const { baseId, targetId, url, device, threshold } = req.body;
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+
+    if (threshold !== undefined && (typeof threshold !== "number" || threshold < 0 || threshold > 1)) {
+      return res.status(400).json({
+        error: "Invalid threshold",
+        message: "threshold must be a number between 0 and 1",
+      });
+    }
+
+    // Mode 1: two stored analyses
+    if (baseId || targetId) {
+      if (!baseId || !targetId) {
+        return res.status(400).json({
+          error: "Missing analysis id",
+          message: "Provide both baseId and targetId, or a url",
+        });
+      }
+
+      // Analyses of other API keys count as missing
+      const [base, target] = (
+        await Promise.all([analysisStore.getAnalysis(baseId), analysisStore.getAnalysis(targetId)])
+      ).map((analysis) => (analysis && isOwner(req, analysis.apiKey?.id) ? analysis : null));
+      if (!base || !target) {
+        return res.status(404).json({
+          error: "Analysis not found",
+          message: `No analysis exists with id ${!base ? baseId : targetId}`,
+        });
+      }
+
+      const withoutScreenshot = [
+        [baseId, base],
+        [targetId, target],
+      ].find(([, analysis]) => !compareService.hasScreenshots(analysis));
+      if (withoutScreenshot) {
+        const [id, analysis] = withoutScreenshot;
+        return res.status(400).json({
+          error: "Nothing to compare",
+          message: `Analysis ${id}${analysis.type ? ` (a ${analysis.type} record)` : ""} has no page screenshot; compare two page analyses`,
+        });
+      }
+      if (base.url !== target.url) {
+        return res.status(400).json({
+          error: "Different URLs",
+          message: `Analysis ${baseId} is of ${base.url} but ${targetId} is of ${target.url}; compare two analyses of the same URL`,
+        });
+      }
+
+      const deviceName = typeof device === "string" ? device : device?.name;
+      const baseViewport = compareService.pickViewport(base, deviceName);
+      const targetViewport = compareService.pickViewport(target, deviceName);
+      if (!baseViewport || !targetViewport) {
+        return res.status(404).json({
+          error: "Viewport not found",
+          message: `Both analyses must include the device "${deviceName}"`,
+        });
+      }
+      if (!compareService.hasScreenshots(baseViewport) || !compareService.hasScreenshots(targetViewport)) {
+        return res.status(400).json({
+          error: "Nothing to compare",
+          message: `The ${deviceName ? `"${deviceName}"` : "default"} viewport of one of the analyses has no screenshot`,
+        });
+      }
+
+      console.log(`[COMPARE] Comparing analyses ${baseId} and ${targetId}`);
+      const baseFilename = baseViewport.screenshotInfo.original.filename;
+      const targetFilename = targetViewport.screenshotInfo.original.filename;
+      const diff = await compareService.compareFiles(target.url, baseFilename, targetFilename, { threshold });
+
+      return res.json({
+        message: "Comparison completed successfully",
+        mode: "analyses",
+        url: target.url,
+        base: describeSide(baseUrl, baseFilename, { analysisId: baseId, capturedAt: base.createdAt }),
+        target: describeSide(baseUrl, targetFilename, { analysisId: targetId, capturedAt: target.createdAt }),
+        diff: { ...diff, fullUrl: `${baseUrl}${diff.url}` },
+      });
+    }
+
+    // Mode 2: fresh capture against the caller's latest analysis of the same URL
+    const validation = await validateUrl(url);
+    if (!validation.isValid) {
+      return res.status(validation.error.status).json({
+        error: validation.error.message,
+        message: "Provide a url, or baseId and targetId",
+      });
+    }
+
+    let resolvedDevice = null;
+    if (device !== undefined) {
+      const deviceResolution = resolveDevices([device]);
+      if (!deviceResolution.isValid) {
+        return res.status(deviceResolution.error.status).json({
+          error: deviceResolution.error.message,
+          message: deviceResolution.error.details,
+        });
+      }
+      resolvedDevice = deviceResolution.devices[0];
+    }
+
+    const baseline = await compareService.findBaseline(url, resolvedDevice?.name, ownerOf(req));
+    if (!baseline) {
+      return res.status(404).json({
+        error: "No previous capture",
+        message: "This URL has not been analyzed with this device by this API key. Run /analyze first.",
+      });
+    }
+
+    const baseFilename = baseline.viewport.screenshotInfo.original.filename;
+    console.log(`[COMPARE] Capturing ${url} to compare with analysis ${baseline.analysis.id}`);
+    const fresh = await compareService.captureFresh(url, resolvedDevice);
+    let diff;
+    try {
+      diff = await compareService.compareFiles(url, baseFilename, fresh.filename, { threshold });
+    } finally {
+      // The fresh capture belongs to no stored analysis; only the diff is kept
+      await screenshotService.deleteScreenshot(fresh.filename);
+    }
+
+    res.json({
+      message: "Comparison completed successfully",
+      mode: "fresh",
+      url: url,
+      base: describeSide(baseUrl, baseFilename, {
+        analysisId: baseline.analysis.id,
+        capturedAt: baseline.analysis.createdAt,
+      }),
+      target: { capturedAt: new Date().toISOString() },
+      diff: { ...diff, fullUrl: `${baseUrl}${diff.url}` },
+    });
+  } catch (error) {
+    console.error(`[COMPARE] Error occurred: ${error.message}`);
+
+    // Screenshot files removed from disk after the analysis was stored
+    if (error.code === "ENOENT") {
+      return res.status(404).json({
+        error: "Screenshot not found",
+        message: "A screenshot needed for this comparison no longer exists",
+      });
+    }
+
+    const errorResponse = handleError(error);
+    res.status(errorResponse.status).json({
+      error: errorResponse.error,
+      message: errorResponse.message,
+      ...(errorResponse.details && { details: errorResponse.details }),
+    });
+  } finally {
+    releaseAnalysisSlot(req);
+  }
+});
+
+module.exports = router;
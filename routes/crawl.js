@@ -0,0 +1,116 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const crawlService = require("../services/crawlService");
+const jobService = require("../services/jobService");
+const providers = require("../services/providers");
+const frameworkService = require("../services/frameworkService");
+const usageService = require("../services/usageService");
+
+// Middleware
+const { requestedBy, ownerOf } = require("../middleware/auth");
+const { limitConcurrentAnalyses, releaseAnalysisSlot, detachAnalysisSlot } = require("../middleware/rateLimit");
+
+// Utils
+const { validateUrl } = require("../utils/urlValidator");
+const { handleError } = require("../utils/errorHandler");
+
+// Crawl route
+// Body: {url, maxPages?, maxDepth?, sitemap?: true | sitemap URL, provider?, model?, framework?, refreshCache?}
+// Crawls always run as a background job; progress and the final site summary are served by
+// GET /analyze/jobs/:id (and /events), and the finished crawl is kept in GET /analyses/:id
+router.post("/", limitConcurrentAnalyses, async (req, res) => {
+  try {
+    const { url, provider, model } = req.body;
+    console.log(`[CRAWL] Received crawl request for URL: ${url}`);
+
+    const validation = await validateUrl(url);
+    if (!validation.isValid) {
+      console.log(`[CRAWL] Validation failed: ${validation.error.message}`);
+      return res.status(validation.error.status).json({
+        error: validation.error.message,
+        message: validation.error.details,
+      });
+    }
+
+    const crawlValidation = crawlService.validateCrawlOptions(url, req.body);
+    if (!crawlValidation.isValid) {
+      console.log(`[CRAWL] Option validation failed: ${crawlValidation.error.details}`);
+      return res.status(crawlValidation.error.status).json({
+        error: crawlValidation.error.message,
+        message: crawlValidation.error.details,
+      });
+    }
+
+    if (provider !== undefined && !providers.getProvider(provider)) {
+      return res.status(400).json({
+        error: "Invalid provider",
+        message: `Unknown AI provider "${provider}". Available: ${providers.listProviders().join(", ")}`,
+      });
+    }
+    if (model !== undefined && !(await usageService.isPriced(model))) {
+      return res.status(400).json({
+        error: "Invalid model",
+        message: `No price is configured for model "${model}", so its usage cannot be budgeted. See config/pricing.json`,
+      });
+    }
+
+    const framework = await frameworkService.getFramework(req.body.framework, ownerOf(req));
+    if (!framework) {
+      return res.status(400).json({
+        error: "Invalid framework",
+        message: `Unknown evaluation framework "${req.body.framework}". See GET /frameworks`,
+      });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    const options = crawlValidation.options;
+    // Budget of the caller's usage key: reject, or downgrade to a cheaper model / the rule-based analyzer
+    const budgetCheck = await usageService.applyBudget(usageService.usageKeyFor(req), {
+      provider,
+      model,
+      framework,
+      refreshCache: req.body.refreshCache === true,
+    });
+    if (!budgetCheck.isValid) {
+      return res.status(budgetCheck.error.status).json({
+        error: budgetCheck.error.message,
+        message: budgetCheck.error.details,
+      });
+    }
+    const { ai } = budgetCheck;
+
+    const job = jobService.createJob(
+      "crawl",
+      { url, ...options, provider, model, framework: framework.name },
+      ownerOf(req)
+    );
+    const apiKey = requestedBy(req);
+    const releaseSlot = detachAnalysisSlot(req);
+    jobService.runJob(job, (onProgress) =>
+      crawlService.runCrawl(url, { ...options, id: job.id, baseUrl, ai, apiKey, onProgress }).finally(releaseSlot)
+    );
+
+    res.status(202).json({
+      message: "Crawl started",
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${baseUrl}/analyze/jobs/${job.id}`,
+      eventsUrl: `${baseUrl}/analyze/jobs/${job.id}/events`,
+    });
+  } catch (error) {
+    console.error(`[CRAWL] Error occurred: ${error.message}`);
+
+    const errorResponse = handleError(error);
+    res.status(errorResponse.status).json({
+      error: errorResponse.error,
+      message: errorResponse.message,
+      ...(errorResponse.details && { details: errorResponse.details }),
+    });
+  } finally {
+    releaseAnalysisSlot(req);
+  }
+});
+
+module.exports = router;
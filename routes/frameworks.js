@@ -0,0 +1,107 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const frameworkService = require("../services/frameworkService");
+
+// Middleware
+const { ownerOf } = require("../middleware/auth");
+
+// Utils
+const { handleError } = require("../utils/errorHandler");
+
+/**
+ * Sends a formatted error response
+ * @param {Response} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const errorResponse = handleError(error);
+  res.status(errorResponse.status).json({
+    error: errorResponse.error,
+    message: errorResponse.message,
+    ...(errorResponse.details && { details: errorResponse.details }),
+  });
+}
+
+// List built-in evaluation frameworks and the requesting key's custom frameworks
+router.get("/", async (req, res) => {
+  try {
+    res.json({ items: await frameworkService.listFrameworks(ownerOf(req)) });
+  } catch (error) {
+    console.error(`[FRAMEWORKS] Error listing frameworks: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Get one framework with its criteria
+router.get("/:name", async (req, res) => {
+  try {
+    const framework = await frameworkService.getFramework(req.params.name, ownerOf(req));
+    if (!framework) {
+      return res.status(404).json({
+        error: "Framework not found",
+        message: `No evaluation framework named "${req.params.name}"`,
+      });
+    }
+    res.json(framework);
+  } catch (error) {
+    console.error(`[FRAMEWORKS] Error loading framework: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Create or replace a custom framework
+// Body: {name, title, description?, criteria: [{id, name, description?}], severityGuidance?, issueTypes?, instructions?}
+router.post("/", async (req, res) => {
+  try {
+    const validation = frameworkService.validateFramework(req.body);
+    if (!validation.isValid) {
+      return res.status(validation.error.status).json({
+        error: validation.error.message,
+        message: validation.error.details,
+      });
+    }
+
+    const existing = await frameworkService.getFramework(req.body.name, ownerOf(req));
+    if (existing?.builtIn) {
+      return res.status(409).json({
+        error: "Framework is built in",
+        message: `"${req.body.name}" is a built-in framework; choose another name`,
+      });
+    }
+
+    const framework = await frameworkService.saveFramework(req.body, ownerOf(req));
+    res.status(existing ? 200 : 201).json(framework);
+  } catch (error) {
+    console.error(`[FRAMEWORKS] Error saving framework: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Delete a custom framework
+router.delete("/:name", async (req, res) => {
+  try {
+    const existing = await frameworkService.getFramework(req.params.name, ownerOf(req));
+    if (existing?.builtIn) {
+      return res.status(409).json({
+        error: "Framework is built in",
+        message: `"${req.params.name}" is a built-in framework and cannot be deleted`,
+      });
+    }
+
+    const deleted = await frameworkService.deleteFramework(req.params.name, ownerOf(req));
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Framework not found",
+        message: `No evaluation framework named "${req.params.name}"`,
+      });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error(`[FRAMEWORKS] Error deleting framework: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
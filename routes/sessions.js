@@ -0,0 +1,141 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const sessionService = require("../services/sessionService");
+const authService = require("../services/authService");
+const browserPool = require("../services/browserPool");
+
+// Middleware
+const { ownerOf } = require("../middleware/auth");
+const { limitConcurrentAnalyses, releaseAnalysisSlot } = require("../middleware/rateLimit");
+
+// Utils
+const { handleError } = require("../utils/errorHandler");
+const { enforceUrlPolicy } = require("../utils/urlValidator");
+
+/**
+ * Sends a formatted error response
+ * @param {Response} res - Express response
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const errorResponse = handleError(error);
+  res.status(errorResponse.status).json({
+    error: errorResponse.error,
+    message: errorResponse.message,
+    ...(errorResponse.details && { details: errorResponse.details }),
+  });
+}
+
+// List the requesting key's saved session profiles (cookie values are never returned)
+router.get("/", async (req, res) => {
+  try {
+    res.json({ items: await sessionService.listProfiles(ownerOf(req)) });
+  } catch (error) {
+    console.error(`[SESSIONS] Error listing profiles: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Describe one session profile
+router.get("/:name", async (req, res) => {
+  try {
+    const profile = await sessionService.getProfile(req.params.name, ownerOf(req));
+    if (!profile) {
+      return res.status(404).json({
+        error: "Session profile not found",
+        message: `No saved session profile named "${req.params.name}"`,
+      });
+    }
+    res.json(sessionService.summarizeProfile(profile));
+  } catch (error) {
+    console.error(`[SESSIONS] Error loading profile: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+// Create or replace a session profile
+// Body: {name, storageState} to store a session directly, or
+// {name, loginSteps?, cookies?, url?, headers?, httpCredentials?} to log in and store the result
+// (url scopes cookies that have neither url nor domain; defaults to the first goto step)
+router.post("/", limitConcurrentAnalyses, async (req, res) => {
+  let lease = null;
+  try {
+    const { name, storageState, loginSteps, cookies, url, headers, httpCredentials } = req.body;
+    if (!sessionService.isValidName(name)) {
+      return res.status(400).json({
+        error: "Invalid session profile name",
+        message: "name must be 1-64 letters, digits, - or _",
+      });
+    }
+
+    const auth = { storageState, loginSteps, cookies, headers, httpCredentials, saveProfile: name };
+    Object.keys(auth).forEach((key) => auth[key] === undefined && delete auth[key]);
+    const validation = authService.validateAuth(auth);
+    if (!validation.isValid) {
+      return res.status(validation.error.status).json({
+        error: validation.error.message,
+        message: validation.error.details,
+      });
+    }
+    if (!storageState && !loginSteps && !cookies) {
+      return res.status(400).json({
+        error: "Invalid auth options",
+        message: "Provide storageState, loginSteps or cookies",
+      });
+    }
+
+    const firstGoto = (loginSteps || []).find((step) => step.action === "goto");
+    const cookieUrl = url || (firstGoto ? firstGoto.url : undefined);
+    if (cookies && !cookieUrl && cookies.some((cookie) => !cookie.url && !cookie.domain)) {
+      return res.status(400).json({
+        error: "Invalid auth options",
+        message: "Cookies without url or domain need a url (or a goto login step) to scope them",
+      });
+    }
+
+    if (!loginSteps && !cookies) {
+      const profile = await sessionService.saveProfile(name, storageState, ownerOf(req));
+      return res.status(201).json(sessionService.summarizeProfile(profile));
+    }
+
+    // Log in (or apply cookies) in a pooled context and save the resulting state
+    const resolved = await authService.resolveAuth(auth, ownerOf(req));
+    lease = await browserPool.acquireContext(resolved.contextOptions);
+    await enforceUrlPolicy(lease.context);
+    await authService.applyAuth(lease.context, resolved, cookieUrl);
+    await lease.release();
+    lease = null;
+
+    const profile = await sessionService.getProfile(name, ownerOf(req));
+    res.status(201).json(sessionService.summarizeProfile(profile));
+  } catch (error) {
+    console.error(`[SESSIONS] Error saving profile: ${error.message}`);
+    if (lease) {
+      await lease.release();
+    }
+    sendError(res, error);
+  } finally {
+    releaseAnalysisSlot(req);
+  }
+});
+
+// Delete a session profile
+router.delete("/:name", async (req, res) => {
+  try {
+    const deleted = await sessionService.deleteProfile(req.params.name, ownerOf(req));
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Session profile not found",
+        message: `No saved session profile named "${req.params.name}"`,
+      });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error(`[SESSIONS] Error deleting profile: ${error.message}`);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require("express");
+const router = express.Router();
+
+// Services
+const usageService = require("../services/usageService");
+
+// Utils
+const { handleError } = require("../utils/errorHandler");
+
+const GROUP_BY = ["day", "model", "key"];
+// Longest period one summary may cover (every month in it is read from the ledger)
+const MAX_PERIOD_DAYS = parseInt(process.env.USAGE_MAX_PERIOD_DAYS, 10) || 366;
+
+/**
+ * Parses an optional date query parameter
+ * @param {string} value - Query value (ISO date or date-time)
+ * @param {Date} fallback - Date used when the parameter is missing
+ * @returns {Date|null} Date, or null when invalid
+ */
+function parseDate(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// AI usage summary
+// GET /usage?from=&to=&groupBy=day|model|key (also mounted as GET /admin/usage, which accepts key=)
+// from defaults to the start of the current month, to to now. Callers see the usage of their own
+// API key (or "anonymous"); key filters one usage key ("anonymous" or an API key id) for admins.
+// With a key the response includes its budget
+router.get("/", async (req, res) => {
+  try {
+    const now = new Date();
+    const from = parseDate(req.query.from, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)));
+    const to = parseDate(req.query.to, now);
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        error: "Invalid period",
+        message: "from and to must be dates, with from before to",
+      });
+    }
+    if (to - from > MAX_PERIOD_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: "Invalid period",
+        message: `The period can cover at most ${MAX_PERIOD_DAYS} days`,
+      });
+    }
+
+    const groupBy = req.query.groupBy || "day";
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        error: "Invalid groupBy",
+        message: `groupBy must be one of: ${GROUP_BY.join(", ")}`,
+      });
+    }
+
+    // Only admins (GET /admin/usage) can pick a key or see every key; other callers see their own
+    // key's usage, and anonymous callers (AUTH_REQUIRED=false) the "anonymous" usage
+    const usageKey = req.isAdmin ? req.query.key : usageService.usageKeyFor(req);
+    const summary = await usageService.summarizeUsage({ usageKey, from, to, groupBy });
+    if (usageKey) {
+      const { exceeded, onExceeded, downgradeModel, spent, limits } = await usageService.checkBudget(usageKey);
+      summary.budget = { exceeded, onExceeded, downgradeModel, spent, limits };
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error(`[USAGE] Error summarizing usage: ${error.message}`);
+
+    const errorResponse = handleError(error);
+    res.status(errorResponse.status).json({
+      error: errorResponse.error,
+      message: errorResponse.message,
+      ...(errorResponse.details && { details: errorResponse.details }),
+    });
+  }
+});
+
+module.exports = router;
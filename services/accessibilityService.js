@@ -1,62 +1,388 @@
+/**
+ * WCAG rule engine
+ * Runs rule-based audits in the page and returns each violation with its WCAG success
+ * criterion, impact, CSS selector and page-space bounding box (drawable by annotationService)
+ */
+
+// Violations kept per rule; totals are still counted in full
+const MAX_VIOLATIONS_PER_RULE = parseInt(process.env.A11Y_MAX_VIOLATIONS_PER_RULE, 10) || 25;
+// Text elements sampled for colour contrast
+const MAX_CONTRAST_CHECKS = parseInt(process.env.A11Y_MAX_CONTRAST_CHECKS, 10) || 1000;
+
 /**
  * Runs accessibility checks on the page
  * @param {Page} page - Playwright page instance
- * @returns {Promise<Object>} Accessibility data
+ * @returns {Promise<Object>} Accessibility data: element counters, violations and a summary
  */
 async function checkAccessibility(page) {
-  console.log("[ACCESSIBILITY] Running accessibility checks...");
-  const accessibilityData = await page.evaluate(() => {
-    const images = document.querySelectorAll("img");
-    const links = document.querySelectorAll("a");
-    const headings = document.querySelectorAll("h1, h2, h3, h4, h5, h6");
-    const buttons = document.querySelectorAll("button");
-    const inputs = document.querySelectorAll("input, textarea, select");
-
-    let imagesWithoutAlt = 0;
-    let linksWithoutText = 0;
-    let buttonsWithoutText = 0;
-
-    images.forEach((img) => {
-      if (!img.alt && !img.getAttribute("aria-label")) {
-        imagesWithoutAlt++;
+  console.log("[ACCESSIBILITY] Running WCAG rule checks...");
+  const accessibilityData = await page.evaluate(
+    ({ maxPerRule, maxContrastChecks }) => {
+      // ---------- Helpers ----------
+      const cssEscape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value);
+
+      const getSelector = (el) => {
+        if (el.id && document.querySelectorAll(`#${cssEscape(el.id)}`).length === 1) {
+          return `#${cssEscape(el.id)}`;
+        }
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === 1 && node !== document.documentElement) {
+          if (node.id && document.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+            parts.unshift(`#${cssEscape(node.id)}`);
+            break;
+          }
+          let part = node.tagName.toLowerCase();
+          const parent = node.parentElement;
+          if (parent) {
+            const sameTag = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
+            if (sameTag.length > 1) {
+              part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+            }
+          }
+          parts.unshift(part);
+          node = parent;
+        }
+        return parts.join(" > ") || "html";
+      };
+
+      const getBox = (el) => {
+        const rect = el.getBoundingClientRect();
+        return {
+          x: Math.round(rect.x + window.scrollX),
+          y: Math.round(rect.y + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+        };
+      };
+
+      const isVisible = (el) => {
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== "none" && style.visibility !== "hidden" && rect.width > 0 && rect.height > 0;
+      };
+
+      const snippet = (el) => el.outerHTML.replace(/\s+/g, " ").slice(0, 200);
+
+      const accessibleName = (el) => {
+        const labelledBy = el.getAttribute("aria-labelledby");
+        if (labelledBy) {
+          const text = labelledBy
+            .split(/\s+/)
+            .map((id) => document.getElementById(id)?.textContent?.trim() || "")
+            .join(" ")
+            .trim();
+          if (text) return text;
+        }
+        const ariaLabel = el.getAttribute("aria-label")?.trim();
+        if (ariaLabel) return ariaLabel;
+        const text = el.textContent?.trim();
+        if (text) return text;
+        const imgAlt = Array.from(el.querySelectorAll("img[alt]"))
+          .map((img) => img.alt.trim())
+          .join(" ")
+          .trim();
+        if (imgAlt) return imgAlt;
+        return el.getAttribute("title")?.trim() || el.getAttribute("value")?.trim() || "";
+      };
+
+      // ---------- Violation collection ----------
+      const violations = [];
+      const ruleCounts = {};
+
+      const report = (rule, wcag, impact, el, message) => {
+        ruleCounts[rule] = (ruleCounts[rule] || 0) + 1;
+        if (ruleCounts[rule] > maxPerRule) return;
+        violations.push({
+          rule: rule,
+          wcag: wcag,
+          impact: impact,
+          message: message,
+          selector: getSelector(el),
+          snippet: snippet(el),
+          // Document-level problems have no meaningful region to draw
+          boundingBox: el === document.documentElement || el === document.body ? null : getBox(el),
+        });
+      };
+
+      const WCAG = {
+        nonTextContent: { criterion: "1.1.1", level: "A", name: "Non-text Content" },
+        infoAndRelationships: { criterion: "1.3.1", level: "A", name: "Info and Relationships" },
+        contrastMinimum: { criterion: "1.4.3", level: "AA", name: "Contrast (Minimum)" },
+        focusOrder: { criterion: "2.4.3", level: "A", name: "Focus Order" },
+        linkPurpose: { criterion: "2.4.4", level: "A", name: "Link Purpose (In Context)" },
+        languageOfPage: { criterion: "3.1.1", level: "A", name: "Language of Page" },
+        parsing: { criterion: "4.1.1", level: "A", name: "Parsing" },
+        nameRoleValue: { criterion: "4.1.2", level: "A", name: "Name, Role, Value" },
+      };
+
+      // ---------- Rules ----------
+
+      // image-alt: images need an alt attribute (alt="" marks decorative images)
+      const images = document.querySelectorAll("img");
+      let imagesWithoutAlt = 0;
+      images.forEach((img) => {
+        const role = img.getAttribute("role");
+        if (
+          !img.hasAttribute("alt") &&
+          !img.getAttribute("aria-label") &&
+          !img.getAttribute("aria-labelledby") &&
+          role !== "presentation" &&
+          role !== "none"
+        ) {
+          imagesWithoutAlt++;
+          if (isVisible(img)) {
+            report("image-alt", WCAG.nonTextContent, "critical", img, "Image has no alt text");
+          }
+        }
+      });
+
+      // link-name: links need an accessible name
+      const links = document.querySelectorAll("a");
+      let linksWithoutText = 0;
+      links.forEach((link) => {
+        if (!accessibleName(link)) {
+          linksWithoutText++;
+          if (isVisible(link)) {
+            report("link-name", WCAG.linkPurpose, "serious", link, "Link has no discernible text");
+          }
+        }
+      });
+
+      // button-name: buttons need an accessible name
+      const buttons = document.querySelectorAll("button");
+      let buttonsWithoutText = 0;
+      document.querySelectorAll("button, [role='button'], input[type='button'], input[type='submit']").forEach((button) => {
+        if (!accessibleName(button)) {
+          if (button.tagName === "BUTTON") buttonsWithoutText++;
+          if (isVisible(button)) {
+            report("button-name", WCAG.nameRoleValue, "critical", button, "Button has no discernible text");
+          }
+        }
+      });
+
+      // label: form fields need an associated label
+      const inputs = document.querySelectorAll("input, textarea, select");
+      const unlabelledTypes = ["hidden", "submit", "button", "reset", "image"];
+      inputs.forEach((input) => {
+        if (unlabelledTypes.includes((input.getAttribute("type") || "").toLowerCase())) return;
+        const hasLabel =
+          (input.labels && input.labels.length > 0) ||
+          input.getAttribute("aria-label")?.trim() ||
+          input.getAttribute("aria-labelledby") ||
+          input.getAttribute("title")?.trim();
+        if (!hasLabel && isVisible(input)) {
+          report("label", WCAG.infoAndRelationships, "critical", input, "Form field has no associated label");
+        }
+      });
+
+      // heading-order: heading levels should only increase by one
+      const headings = document.querySelectorAll("h1, h2, h3, h4, h5, h6");
+      let previousLevel = 0;
+      headings.forEach((heading) => {
+        const level = Number(heading.tagName[1]);
+        if (previousLevel && level > previousLevel + 1) {
+          report(
+            "heading-order",
+            WCAG.infoAndRelationships,
+            "moderate",
+            heading,
+            `Heading level skipped: h${previousLevel} followed by h${level}`
+          );
+        }
+        previousLevel = level;
+      });
+
+      // page-has-heading-one: the page should have a main heading
+      const hasH1 = document.querySelector("h1") !== null;
+      if (!hasH1 && document.body) {
+        report("page-has-heading-one", WCAG.infoAndRelationships, "moderate", document.body, "Page has no h1 heading");
       }
-    });
 
-    links.forEach((link) => {
-      const text = link.textContent?.trim();
-      const ariaLabel = link.getAttribute("aria-label");
-      if (!text && !ariaLabel && !link.querySelector("img")) {
-        linksWithoutText++;
+      // duplicate-id: ids must be unique
+      const seenIds = new Map();
+      document.querySelectorAll("[id]").forEach((el) => {
+        seenIds.set(el.id, (seenIds.get(el.id) || 0) + 1);
+      });
+      seenIds.forEach((count, id) => {
+        if (count > 1 && id) {
+          const el = document.querySelectorAll(`#${cssEscape(id)}`)[1];
+          report("duplicate-id", WCAG.parsing, "minor", el, `id "${id}" is used ${count} times`);
+        }
+      });
+
+      // html-has-lang / valid-lang: the document language must be set and well-formed
+      const lang = document.documentElement.getAttribute("lang");
+      if (!lang || !lang.trim()) {
+        report("html-has-lang", WCAG.languageOfPage, "serious", document.documentElement, "html element has no lang attribute");
+      } else if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/.test(lang.trim())) {
+        report("valid-lang", WCAG.languageOfPage, "serious", document.documentElement, `lang attribute "${lang}" is not a valid language tag`);
       }
-    });
-
-    buttons.forEach((button) => {
-      const text = button.textContent?.trim();
-      const ariaLabel = button.getAttribute("aria-label");
-      const ariaLabelledBy = button.getAttribute("aria-labelledby");
-      if (!text && !ariaLabel && !ariaLabelledBy) {
-        buttonsWithoutText++;
+
+      // aria-roles / aria-valid-attr: ARIA roles and attributes must exist
+      const validRoles = new Set(
+        ("alert alertdialog application article banner blockquote button caption cell checkbox code columnheader " +
+          "combobox complementary contentinfo definition deletion dialog directory document emphasis feed figure " +
+          "form generic grid gridcell group heading img insertion link list listbox listitem log main marquee math " +
+          "menu menubar menuitem menuitemcheckbox menuitemradio meter navigation none note option paragraph " +
+          "presentation progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox " +
+          "separator slider spinbutton status strong subscript superscript switch tab table tablist tabpanel term " +
+          "textbox time timer toolbar tooltip tree treegrid treeitem").split(" ")
+      );
+      const validAriaAttributes = new Set(
+        ("activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount colindex " +
+          "colindextext colspan controls current describedby description details disabled dropeffect errormessage " +
+          "expanded flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal multiline " +
+          "multiselectable orientation owns placeholder posinset pressed readonly relevant required roledescription " +
+          "rowcount rowindex rowindextext rowspan selected setsize sort valuemax valuemin valuenow valuetext").split(" ")
+      );
+      document.querySelectorAll("*").forEach((el) => {
+        const role = el.getAttribute("role");
+        if (role !== null) {
+          const invalidRoles = role.trim().split(/\s+/).filter((r) => r && !validRoles.has(r));
+          if (invalidRoles.length > 0 || !role.trim()) {
+            report("aria-roles", WCAG.nameRoleValue, "critical", el, `Invalid ARIA role "${role}"`);
+          }
+        }
+        Array.from(el.attributes).forEach((attr) => {
+          if (attr.name.startsWith("aria-") && !validAriaAttributes.has(attr.name.slice(5))) {
+            report("aria-valid-attr", WCAG.nameRoleValue, "critical", el, `Unknown ARIA attribute "${attr.name}"`);
+          }
+        });
+      });
+
+      // aria-hidden-focus: hidden content must not be focusable
+      const focusableSelector = "a[href], button, input, select, textarea, [tabindex]";
+      document.querySelectorAll("[aria-hidden='true']").forEach((hidden) => {
+        const focusable = [hidden, ...hidden.querySelectorAll(focusableSelector)].filter(
+          (el) => el.matches(focusableSelector) && !el.disabled && el.getAttribute("tabindex") !== "-1"
+        );
+        if (focusable.length > 0) {
+          report("aria-hidden-focus", WCAG.nameRoleValue, "serious", focusable[0], "Focusable element inside aria-hidden content");
+        }
+      });
+
+      // tabindex: positive values break focus order; -1 removes native controls from it
+      document.querySelectorAll("[tabindex]").forEach((el) => {
+        const tabindex = parseInt(el.getAttribute("tabindex"), 10);
+        if (tabindex > 0) {
+          report("tabindex", WCAG.focusOrder, "serious", el, `Positive tabindex (${tabindex}) overrides natural focus order`);
+        } else if (tabindex < 0 && el.matches("a[href], button, input, select, textarea") && isVisible(el) && !el.closest("[aria-hidden='true']")) {
+          report("tabindex", WCAG.focusOrder, "moderate", el, "Visible control removed from keyboard focus order");
+        }
+      });
+
+      // color-contrast: text must meet 4.5:1 (3:1 for large text)
+      const parseColor = (value) => {
+        const match = value.match(/rgba?\(([^)]+)\)/);
+        if (!match) return null;
+        const [r, g, b, a = 1] = match[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+        return { r, g, b, a };
+      };
+      const luminance = ({ r, g, b }) => {
+        const channel = (c) => {
+          const v = c / 255;
+          return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+      };
+      const blend = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1,
+      });
+      // Walks up to the first opaque background; null when an image makes it unknowable
+      const effectiveBackground = (el) => {
+        const layers = [];
+        let node = el;
+        while (node && node.nodeType === 1) {
+          const style = getComputedStyle(node);
+          if (style.backgroundImage && style.backgroundImage !== "none") return null;
+          const color = parseColor(style.backgroundColor);
+          if (color && color.a > 0) {
+            layers.push(color);
+            if (color.a >= 1) break;
+          }
+          node = node.parentElement;
+        }
+        return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+      };
+
+      let contrastChecks = 0;
+      const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+      while (walker.nextNode() && contrastChecks < maxContrastChecks) {
+        const el = walker.currentNode;
+        const hasOwnText = Array.from(el.childNodes).some((n) => n.nodeType === 3 && n.textContent.trim());
+        if (!hasOwnText || !isVisible(el)) continue;
+        contrastChecks++;
+
+        const style = getComputedStyle(el);
+        const foreground = parseColor(style.color);
+        const background = effectiveBackground(el);
+        if (!foreground || !background) continue;
+
+        const fg = blend(foreground, background);
+        const l1 = luminance(fg);
+        const l2 = luminance(background);
+        const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+
+        const fontSize = parseFloat(style.fontSize);
+        const bold = parseInt(style.fontWeight, 10) >= 700;
+        const isLarge = fontSize >= 24 || (bold && fontSize >= 18.66);
+        const required = isLarge ? 3 : 4.5;
+        if (ratio < required) {
+          report(
+            "color-contrast",
+            WCAG.contrastMinimum,
+            "serious",
+            el,
+            `Text contrast ratio ${ratio.toFixed(2)}:1 is below ${required}:1`
+          );
+        }
       }
-    });
-
-    return {
-      totalImages: images.length,
-      imagesWithoutAlt,
-      totalLinks: links.length,
-      linksWithoutText,
-      totalHeadings: headings.length,
-      totalButtons: buttons.length,
-      buttonsWithoutText,
-      totalInputs: inputs.length,
-      hasH1: document.querySelector("h1") !== null,
-    };
-  });
-  console.log("[ACCESSIBILITY] Accessibility checks completed");
+
+      return {
+        totalImages: images.length,
+        imagesWithoutAlt,
+        totalLinks: links.length,
+        linksWithoutText,
+        totalHeadings: headings.length,
+        totalButtons: buttons.length,
+        buttonsWithoutText,
+        totalInputs: inputs.length,
+        hasH1,
+        violations,
+        ruleCounts,
+      };
+    },
+    { maxPerRule: MAX_VIOLATIONS_PER_RULE, maxContrastChecks: MAX_CONTRAST_CHECKS }
+  );
+
+  // Stable, short ids so the annotated screenshot and the JSON can reference each other
+  accessibilityData.violations = accessibilityData.violations.map((violation, index) => ({
+    id: `A${index + 1}`,
+    ...violation,
+  }));
+  accessibilityData.summary = summarizeViolations(accessibilityData.violations);
+
+  console.log(`[ACCESSIBILITY] Accessibility checks completed: ${accessibilityData.violations.length} violations`);
   return accessibilityData;
 }
 
+/**
+ * Counts violations by impact level
+ * @param {Array<Object>} violations - Violations from checkAccessibility
+ * @returns {Object} Totals per impact level
+ */
+function summarizeViolations(violations) {
+  const summary = { total: violations.length, critical: 0, serious: 0, moderate: 0, minor: 0 };
+  violations.forEach((violation) => {
+    summary[violation.impact]++;
+  });
+  return summary;
+}
+
 module.exports = {
   checkAccessibility,
 };
-
-
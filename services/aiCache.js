@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { createCanvas, loadImage } = require("canvas");
+
+/**
+ * Vision AI result cache
+ * Vision calls are the slow, paid part of an analysis. Results are cached per "scope"
+ * (page URL, provider, model, prompt version, framework, flow context and image size) and
+ * looked up by the exact content hash of the screenshot. Near matches by perceptual hash
+ * (dHash) are opt-in through AI_CACHE_MAX_DISTANCE, so a page that only changed by a few
+ * pixels can reuse the previous report of the same URL.
+ * Backends: memory (default, per process), disk (data/ai-cache, survives restarts) or off.
+ */
+
+const AI_CACHE_BACKEND = process.env.AI_CACHE_BACKEND || "memory";
+const AI_CACHE_DIR = process.env.AI_CACHE_DIR || path.join(__dirname, "../data/ai-cache");
+const AI_CACHE_TTL_MS = parseInt(process.env.AI_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+// Differing dHash bits (out of 1024) still treated as the same screenshot; 0 (default) means exact matches only
+const AI_CACHE_MAX_DISTANCE = parseInt(process.env.AI_CACHE_MAX_DISTANCE, 10) || 0;
+const MAX_ENTRIES_PER_SCOPE = parseInt(process.env.AI_CACHE_MAX_ENTRIES_PER_SCOPE, 10) || 20;
+// dHash grid: (HASH_SIZE + 1) x HASH_SIZE grayscale pixels -> HASH_SIZE^2 bits
+const HASH_SIZE = 32;
+
+/**
+ * In-memory backend: scope key -> entries
+ * @returns {Object} Backend
+ */
+function createMemoryBackend() {
+  const scopes = new Map();
+  return {
+    name: "memory",
+    async read(scopeKey) {
+      return scopes.get(scopeKey) || [];
+    },
+    async write(scopeKey, entries) {
+      scopes.set(scopeKey, entries);
+    },
+  };
+}
+
+/**
+ * Disk backend: one JSON file of entries per scope
+ * @param {string} directory - Cache directory
+ * @returns {Object} Backend
+ */
+function createDiskBackend(directory) {
+  const fileFor = (scopeKey) => path.join(directory, `${scopeKey}.json`);
+  return {
+    name: "disk",
+    async read(scopeKey) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(scopeKey), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return [];
+        }
+        console.warn(`[AI_CACHE] Ignoring unreadable cache file for ${scopeKey}: ${error.message}`);
+        return [];
+      }
+    },
+    async write(scopeKey, entries) {
+      await fs.mkdir(directory, { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written file
+      const tempPath = `${fileFor(scopeKey)}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(entries));
+      await fs.rename(tempPath, fileFor(scopeKey));
+    },
+  };
+}
+
+let backend = null;
+
+/**
+ * Returns the configured backend, or null when caching is off
+ * @returns {Object|null} Backend
+ */
+function getBackend() {
+  if (AI_CACHE_BACKEND === "off") {
+    return null;
+  }
+  if (!backend) {
+    backend = AI_CACHE_BACKEND === "disk" ? createDiskBackend(AI_CACHE_DIR) : createMemoryBackend();
+    console.log(`[AI_CACHE] Using ${backend.name} cache (TTL ${AI_CACHE_TTL_MS}ms)`);
+  }
+  return backend;
+}
+
+/**
+ * Hashes a value as SHA-256 hex
+ * @param {string|Buffer} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Computes the difference hash of an image: each bit says whether a pixel of the
+ * downscaled grayscale image is brighter than its right neighbour
+ * @param {Image} image - Loaded image
+ * @returns {string} Hex hash (HASH_SIZE^2 bits)
+ */
+function dHash(image) {
+  const canvas = createCanvas(HASH_SIZE + 1, HASH_SIZE);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, HASH_SIZE + 1, HASH_SIZE);
+  const { data } = ctx.getImageData(0, 0, HASH_SIZE + 1, HASH_SIZE);
+  const gray = (x, y) => {
+    const i = (y * (HASH_SIZE + 1) + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+
+  let hex = "";
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        nibble = (nibble << 1) | (gray(x + bit, y) > gray(x + bit + 1, y) ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+  }
+  return hex;
+}
+
+/**
+ * Counts the differing bits of two hex hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash of the same length
+ * @returns {number} Hamming distance
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Distance between a cached entry and a screenshot: 0 for identical content, the dHash
+ * distance when near matches are enabled, Infinity otherwise
+ * @param {Object} entry - Cache entry
+ * @param {Object} print - Fingerprint of the screenshot
+ * @returns {number} Distance
+ */
+function distanceTo(entry, print) {
+  if (entry.contentHash === print.contentHash) {
+    return 0;
+  }
+  return AI_CACHE_MAX_DISTANCE > 0 ? hammingDistance(entry.dHash, print.dHash) : Infinity;
+}
+
+/**
+ * Fingerprints a screenshot
+ * @param {string} screenshotBase64 - Base64 encoded screenshot
+ * @returns {Promise<{contentHash: string, dHash: string}>} Exact and perceptual hashes
+ */
+async function fingerprint(screenshotBase64) {
+  const buffer = Buffer.from(screenshotBase64, "base64");
+  return { contentHash: sha256(buffer), dHash: dHash(await loadImage(buffer)) };
+}
+
+/**
+ * Builds the scope key: everything besides the screenshot that changes the model's answer
+ * @param {Object} scope - {url, provider, model, promptVersion, framework, context, width, height, tiled}
+ * @returns {string} Scope key
+ */
+function scopeKey(scope) {
+  return sha256(JSON.stringify(scope));
+}
+
+/**
+ * Runs a Vision AI call through the cache
+ * @param {Object} scope - Scope parts (see scopeKey)
+ * @param {string} screenshotBase64 - Base64 encoded screenshot
+ * @param {Object} options - {refresh: true to skip the lookup and overwrite the entry}
+ * @param {Function} compute - Async function producing the result on a miss
+ * @returns {Promise<{result: Object, cache: Object}>} Result and cache info ({hit, distance?, cachedAt?, expiresAt?})
+ */
+async function withCache(scope, screenshotBase64, options, compute) {
+  const store = getBackend();
+  if (!store) {
+    return { result: await compute(), cache: { hit: false, enabled: false } };
+  }
+
+  const key = scopeKey(scope);
+  const print = await fingerprint(screenshotBase64);
+  const now = Date.now();
+  const entries = (await store.read(key)).filter((entry) => entry.expiresAt > now);
+
+  if (!options.refresh) {
+    // Exact match first, then (when enabled) the perceptually closest screenshot within the threshold
+    const candidates = entries
+      .map((entry) => ({ entry, distance: distanceTo(entry, print) }))
+      .filter((candidate) => candidate.distance <= AI_CACHE_MAX_DISTANCE)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (candidates.length > 0) {
+      const { entry, distance } = candidates[0];
+      console.log(`[AI_CACHE] Hit (distance ${distance}, cached ${new Date(entry.createdAt).toISOString()})`);
+      return {
+        result: entry.result,
+        cache: {
+          hit: true,
+          exact: entry.contentHash === print.contentHash,
+          distance: distance,
+          cachedAt: new Date(entry.createdAt).toISOString(),
+          expiresAt: new Date(entry.expiresAt).toISOString(),
+        },
+      };
+    }
+  }
+
+  console.log(`[AI_CACHE] ${options.refresh ? "Refresh requested" : "Miss"}, calling Vision AI...`);
+  const result = await compute();
+
+  const entry = { ...print, createdAt: now, expiresAt: now + AI_CACHE_TTL_MS, result };
+  const kept = entries
+    .filter((existing) => distanceTo(existing, print) > AI_CACHE_MAX_DISTANCE)
+    .slice(-(MAX_ENTRIES_PER_SCOPE - 1));
+  try {
+    await store.write(key, [...kept, entry]);
+  } catch (error) {
+    // A cache write failure must never fail the analysis
+    console.error(`[AI_CACHE] Failed to store result: ${error.message}`);
+  }
+  return { result, cache: { hit: false, refreshed: !!options.refresh } };
+}
+
+module.exports = {
+  withCache,
+  fingerprint,
+  hammingDistance,
+};
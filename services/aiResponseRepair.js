@@ -0,0 +1,309 @@
+/**
+ * Vision AI response repair
+ * Models return almost-right JSON: code fences, trailing commas, boxes that run off the
+ * image, duplicate ids, "High" instead of "critical". Instead of failing (or drawing
+ * garbage boxes), the raw output is parsed leniently and every item is repaired or dropped.
+ * The result carries a `quality` flag listing what was repaired, and tells the caller
+ * whether the answer is too broken to use so it can retry with feedback.
+ */
+
+const SEVERITIES = ["critical", "warning", "suggestion", "info"];
+const SEVERITY_ALIASES = {
+  high: "critical",
+  severe: "critical",
+  blocker: "critical",
+  error: "critical",
+  major: "warning",
+  medium: "warning",
+  moderate: "warning",
+  warn: "warning",
+  minor: "suggestion",
+  low: "suggestion",
+  improvement: "suggestion",
+  informational: "info",
+  note: "info",
+};
+const DEFAULT_SEVERITY = "suggestion";
+const TYPE_ALIASES = {
+  a11y: "accessibility",
+  usability: "ux",
+  design: "ux",
+  "user experience": "ux",
+  perf: "performance",
+  speed: "performance",
+  bug: "error",
+  errors: "error",
+};
+// Boxes smaller than this (after clamping) are treated as no box at all
+const MIN_BOX_SIZE = 2;
+// Share of dropped items above which a response counts as failed
+const MAX_DROPPED_RATIO = 0.5;
+const MAX_NOTES = 20;
+
+/**
+ * Parses model output as JSON, tolerating code fences, prose around the object and trailing commas
+ * @param {string} content - Raw model output
+ * @returns {Object} Parsed value
+ */
+function parseModelOutput(content) {
+  const text = String(content ?? "").trim();
+  const candidates = [text];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) {
+    candidates.push(fenced[1]);
+  }
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  let firstError = null;
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, "$1")]) {
+      try {
+        return JSON.parse(attempt);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  }
+  throw new Error(`Failed to parse AI response as JSON: ${firstError.message}`);
+}
+
+/**
+ * Converts a number-like value
+ * @param {*} value - Value from the model
+ * @returns {number} Number, or NaN
+ */
+function toNumber(value) {
+  if (typeof value === "string" && value.trim() !== "") {
+    return Number(value.trim().replace(/px$/, ""));
+  }
+  return typeof value === "number" ? value : NaN;
+}
+
+/**
+ * Repairs a bounding box: numeric strings are converted, negative sizes flipped and the
+ * box clamped to the image
+ * @param {Object} coordinates - {x, y, width, height} from the model
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {{coordinates: Object|null, repair: string|null}} Usable box (null if none) and what was done
+ */
+function repairBox(coordinates, imageWidth, imageHeight) {
+  if (coordinates === null || coordinates === undefined) {
+    return { coordinates: null, repair: null };
+  }
+  const raw = ["x", "y", "width", "height"].map((key) => toNumber(coordinates[key]));
+  if (raw.some((value) => !Number.isFinite(value))) {
+    return { coordinates: null, repair: "droppedBox" };
+  }
+
+  let [x, y, width, height] = raw;
+  if (width < 0) {
+    x += width;
+    width = -width;
+  }
+  if (height < 0) {
+    y += height;
+    height = -height;
+  }
+  const left = Math.max(0, x);
+  const top = Math.max(0, y);
+  const right = Math.min(imageWidth, x + width);
+  const bottom = Math.min(imageHeight, y + height);
+  if (right - left < MIN_BOX_SIZE || bottom - top < MIN_BOX_SIZE) {
+    return { coordinates: null, repair: "droppedBox" };
+  }
+
+  const repaired = {
+    x: Math.round(left),
+    y: Math.round(top),
+    width: Math.round(right - left),
+    height: Math.round(bottom - top),
+  };
+  const changed = ["x", "y", "width", "height"].some((key, index) => repaired[key] !== raw[index]);
+  return { coordinates: repaired, repair: changed ? "correctedBox" : null };
+}
+
+/**
+ * Maps a severity from the model onto the report's severities
+ * @param {*} severity - Severity from the model
+ * @returns {{severity: string, repaired: boolean}} Normalized severity
+ */
+function normalizeSeverity(severity) {
+  const value = String(severity ?? "").trim().toLowerCase();
+  if (SEVERITIES.includes(value)) {
+    return { severity: value, repaired: value !== severity };
+  }
+  return {
+    severity: Object.hasOwn(SEVERITY_ALIASES, value) ? SEVERITY_ALIASES[value] : DEFAULT_SEVERITY,
+    repaired: true,
+  };
+}
+
+/**
+ * Maps an issue type from the model onto the framework's issue types
+ * @param {*} type - Type from the model
+ * @param {Array<string>} issueTypes - Allowed types
+ * @returns {{type: string, repaired: boolean}} Normalized type
+ */
+function normalizeType(type, issueTypes) {
+  const value = String(type ?? "").trim().toLowerCase();
+  if (issueTypes.includes(value)) {
+    return { type: value, repaired: value !== type };
+  }
+  const alias = Object.hasOwn(TYPE_ALIASES, value) ? TYPE_ALIASES[value] : null;
+  const fallback = issueTypes.includes("ux") ? "ux" : issueTypes[0];
+  return { type: alias && issueTypes.includes(alias) ? alias : fallback, repaired: true };
+}
+
+/**
+ * Repairs a parsed model response into a usable report
+ * @param {Object} response - Parsed model output
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {Object} framework - Evaluation framework (issue types and criterion ids)
+ * @returns {{report: Array<Object>, quality: Object, failed: boolean, problems: Array<string>}}
+ *   Repaired report, quality flag, whether the answer is too broken to use, and the problems found
+ */
+function repairResponse(response, imageWidth, imageHeight, framework) {
+  const issueTypes = framework.issueTypes || ["accessibility", "performance", "ux", "seo", "error"];
+  const repairs = {};
+  const notes = [];
+  const note = (kind, message) => {
+    repairs[kind] = (repairs[kind] || 0) + 1;
+    if (notes.length < MAX_NOTES) {
+      notes.push(message);
+    }
+  };
+
+  // Some models answer with a bare array or wrap the report under another key
+  const items = Array.isArray(response)
+    ? response
+    : Array.isArray(response?.report)
+      ? response.report
+      : Array.isArray(response?.issues)
+        ? response.issues
+        : null;
+  if (!items) {
+    const problem = "The response has no \"report\" array";
+    return { report: [], quality: buildQuality(repairs, [problem], 0), failed: true, problems: [problem] };
+  }
+  if (!Array.isArray(response?.report)) {
+    note("restructured", "Report array found outside the \"report\" key");
+  }
+
+  const report = [];
+  items.forEach((item, index) => {
+    const message = typeof item?.message === "string" ? item.message.trim() : "";
+    if (!message) {
+      note("droppedItems", `Issue ${index + 1}: no message, dropped`);
+      return;
+    }
+
+    const { coordinates, repair } = repairBox(item.coordinates, imageWidth, imageHeight);
+    if (repair === "correctedBox") {
+      note("correctedBoxes", `Issue ${index + 1}: box corrected to fit the ${imageWidth}x${imageHeight} image`);
+    } else if (repair === "droppedBox") {
+      note("droppedBoxes", `Issue ${index + 1}: unusable box ${JSON.stringify(item.coordinates)} removed`);
+    }
+
+    const severity = normalizeSeverity(item.severity);
+    if (severity.repaired) {
+      note("normalizedSeverities", `Issue ${index + 1}: severity "${item.severity}" read as "${severity.severity}"`);
+    }
+    const type = normalizeType(item.type, issueTypes);
+    if (type.repaired) {
+      note("normalizedTypes", `Issue ${index + 1}: type "${item.type}" read as "${type.type}"`);
+    }
+    const criterion = item.criterion ?? item.heuristic;
+    if (criterion !== undefined && !framework.criteria.some((candidate) => candidate.id === String(criterion))) {
+      note("unknownCriteria", `Issue ${index + 1}: unknown criterion "${criterion}"`);
+    }
+
+    report.push({
+      ...item,
+      message: message,
+      severity: severity.severity,
+      type: type.type,
+      coordinates: coordinates,
+    });
+  });
+
+  // Ids must be unique positive integers; otherwise number the issues in order
+  const ids = report.map((issue) => issue.id);
+  const validIds = ids.every((id) => Number.isInteger(id) && id > 0) && new Set(ids).size === ids.length;
+  const renumbered = validIds ? report : report.map(({ id, ...issue }, index) => ({ id: index + 1, ...issue }));
+  if (!validIds) {
+    note("renumberedIds", "Issue ids were missing or duplicated and have been renumbered");
+  }
+
+  const dropped = repairs.droppedItems || 0;
+  const failed = items.length > 0 && dropped / items.length > MAX_DROPPED_RATIO;
+  const problems = failed ? [`${dropped} of ${items.length} issues were unusable`, ...notes] : [];
+  return { report: renumbered, quality: buildQuality(repairs, notes, 0), failed, problems };
+}
+
+/**
+ * Builds the quality flag of a report
+ * @param {Object} repairs - Repair kind -> count
+ * @param {Array<string>} notes - Human-readable repair notes
+ * @param {number} retries - Retries it took to get a usable answer
+ * @returns {Object} {status: "clean"|"repaired"|"degraded", retries, repairs, notes}
+ */
+function buildQuality(repairs, notes, retries) {
+  const repaired = Object.keys(repairs).length > 0;
+  return {
+    status: repairs.droppedItems ? "degraded" : repaired ? "repaired" : "clean",
+    retries: retries,
+    repairs: repairs,
+    notes: notes,
+  };
+}
+
+/**
+ * Combines the quality flags of several reports (e.g. the tiles of a page)
+ * @param {Array<Object>} qualities - Quality flags
+ * @returns {Object} Combined flag: worst status, summed counts
+ */
+function mergeQuality(qualities) {
+  const repairs = {};
+  qualities.forEach((quality) => {
+    Object.entries(quality.repairs).forEach(([kind, count]) => {
+      repairs[kind] = (repairs[kind] || 0) + count;
+    });
+  });
+  const statuses = ["clean", "repaired", "degraded"];
+  return {
+    status: statuses[Math.max(...qualities.map((quality) => statuses.indexOf(quality.status)))],
+    retries: qualities.reduce((total, quality) => total + quality.retries, 0),
+    repairs: repairs,
+    notes: qualities.flatMap((quality) => quality.notes).slice(0, MAX_NOTES),
+  };
+}
+
+/**
+ * Builds the prompt of a retry: the original prompt plus what was wrong with the last answer
+ * @param {string} prompt - Original prompt
+ * @param {Array<string>} problems - Problems of the previous answer
+ * @returns {string} Prompt with error feedback
+ */
+function feedbackPrompt(prompt, problems) {
+  return `${prompt}
+YOUR PREVIOUS ANSWER COULD NOT BE USED:
+${problems.slice(0, 10).map((problem) => `- ${problem}`).join("\n")}
+
+Answer again with ONLY the JSON object in the required structure. Every issue needs a non-empty "message", a "severity" of critical, warning, suggestion or info, and coordinates inside the image.
+`;
+}
+
+module.exports = {
+  parseModelOutput,
+  repairBox,
+  repairResponse,
+  buildQuality,
+  mergeQuality,
+  feedbackPrompt,
+};
@@ -1,148 +1,160 @@
 const visionAIService = require("./visionAIService");
+const tiledVisionService = require("./tiledVisionService");
+const contextBuilder = require("./contextBuilder");
+const frameworkService = require("./frameworkService");
+const aiCache = require("./aiCache");
+const usageService = require("./usageService");
+const providers = require("./providers");
+const heuristicAnalyzer = require("./heuristicAnalyzer");
+const domMapService = require("./domMapService");
 
 /**
- * B4.2: AI service that uses live Vision AI or falls back to mock
+ * B4.2: AI service that uses live Vision AI or falls back to the rule-based analyzer
  * @param {string} url - URL that was analyzed
  * @param {string} screenshotBase64 - Base64 encoded screenshot
  * @param {Array} navigationElements - Array of navigation elements
  * @param {number} imageWidth - Screenshot width
  * @param {number} imageHeight - Screenshot height
- * @returns {Promise<Object>} AI analysis results
+ * @param {Object} [options] - Page measurements and model selection
+ * @param {Object} [options.performance] - Performance metrics with graded Core Web Vitals
+ * @param {Object} [options.accessibility] - WCAG rule engine results
+ * @param {Object} [options.meta] - Meta information
+ * @param {Array<string>} [options.context] - Extra facts for the model (e.g. the user-flow step being judged)
+ * @param {Array<Object>} [options.domMap] - DOM element map used to snap predicted regions to real elements
+ * @param {number} [options.viewportHeight] - Viewport height; screenshots many viewports tall are analyzed in tiles
+ * @param {Object} [options.framework] - Evaluation framework (defaults to DEFAULT_FRAMEWORK)
+ * @param {boolean} [options.refreshCache] - Skip the Vision AI cache and store a fresh result
+ * @param {string} [options.usageKey] - Usage key AI calls are accounted to (see usageService)
+ * @param {string} [options.disableAI] - Reason to skip Vision AI (e.g. an exhausted budget)
+ * @param {string} [options.provider] - Vision provider name (defaults to AI_PROVIDER)
+ * @param {string} [options.model] - Model name (defaults to AI_MODEL or the provider default)
+ * @returns {Promise<Object>} AI analysis results; engine is "vision-ai" or "heuristic"
  */
-async function analyzeWithAI(url, screenshotBase64, navigationElements, imageWidth, imageHeight) {
-  // B4.2: Use live Vision AI if API key is available, otherwise fall back to mock
-  const useLiveAI = !!process.env.OPENAI_API_KEY;
+async function analyzeWithAI(url, screenshotBase64, navigationElements, imageWidth, imageHeight, options = {}) {
+  // B4.2: Use live Vision AI if the selected provider is configured, otherwise fall back to rules
+  const provider = providers.getProvider(options.provider);
+  const useLiveAI = !!provider && provider.isConfigured() && !options.disableAI;
+  let fallbackReason = null;
 
   if (useLiveAI) {
-    console.log("[AI] B4.2: Using live Vision AI analysis...");
+    console.log(`[AI] B4.2: Using live Vision AI analysis (${provider.name})...`);
     try {
-      const visionResult = await visionAIService.analyzeWithVisionAI(
+      const framework = options.framework || (await frameworkService.getFramework());
+      const visionOptions = {
+        evidence: contextBuilder.buildEvidence({
+          performance: options.performance,
+          accessibility: options.accessibility,
+          meta: options.meta,
+          navigationElements,
+        }),
+        context: options.context,
+        framework: framework,
+        provider: options.provider,
+        model: options.model,
+        usageKey: options.usageKey,
+      };
+      // Pages many viewports tall are analyzed in overlapping tiles so the model sees them at full size
+      const tiled = tiledVisionService.shouldTile(imageHeight, options.viewportHeight);
+
+      // Reuse the report of an identical screenshot of the same page analyzed the same way
+      const cacheScope = {
+        url: url.split("#")[0],
+        provider: provider.name,
+        model: visionAIService.resolveModel(options).model,
+        promptVersion: visionAIService.PROMPT_VERSION,
+        framework: framework,
+        context: options.context || null,
+        width: imageWidth,
+        height: imageHeight,
+        tiled: tiled,
+      };
+      const { result: visionResult, cache } = await aiCache.withCache(
+        cacheScope,
         screenshotBase64,
-        imageWidth,
-        imageHeight
+        { refresh: !!options.refreshCache },
+        () =>
+          tiled
+            ? tiledVisionService.analyzeTiled(screenshotBase64, imageWidth, imageHeight, options.viewportHeight, visionOptions)
+            : visionAIService.analyzeWithVisionAI(screenshotBase64, imageWidth, imageHeight, visionOptions)
       );
 
+      // Predicted regions are imprecise: snap them to the element they overlap best
+      const visionReport = options.domMap
+        ? domMapService.snapToElements(visionResult.report, options.domMap, imageWidth, imageHeight)
+        : visionResult.report;
+
+      // Measured link problems are appended after the model's findings
+      const lastId = visionReport.reduce((max, issue) => Math.max(max, Number(issue.id) || 0), 0);
+      const report = [
+        ...visionReport,
+        ...heuristicAnalyzer.linkItems(navigationElements, framework).map((item, index) => ({ id: lastId + index + 1, ...item })),
+      ];
+
       // Transform vision AI response to match expected format
       return {
-        coordinates: visionResult.report.map((issue) => ({
-          x: issue.coordinates.x,
-          y: issue.coordinates.y,
-          width: issue.coordinates.width,
-          height: issue.coordinates.height,
-          label: issue.message,
-          confidence: issue.severity === "critical" ? 0.95 : issue.severity === "warning" ? 0.8 : 0.6,
-        })),
-        report: visionResult.report,
+        engine: "vision-ai",
+        coordinates: toCoordinates(report),
+        report: report,
         timestamp: visionResult.timestamp,
+        provider: visionResult.provider,
         model: visionResult.model,
+        framework: { name: framework.name, title: framework.title },
+        quality: visionResult.quality,
+        cache: cache,
+        // A cache hit costs nothing; the original call's cost is reported as saved
+        usage: cache.hit
+          ? { ...usageService.summarizeCalls([]), cached: true, savedCostUsd: visionResult.usage?.costUsd || 0 }
+          : visionResult.usage,
+        ...(visionResult.tiling && { tiling: visionResult.tiling }),
       };
     } catch (error) {
-      console.error("[AI] Vision AI failed, falling back to mock:", error.message);
-      // Fall through to mock data
+      console.error("[AI] Vision AI failed, falling back to rule-based analysis:", error.message);
+      fallbackReason = `Vision AI failed: ${error.message}`;
     }
+  } else if (options.disableAI) {
+    fallbackReason = options.disableAI;
+  } else {
+    fallbackReason = provider ? `AI provider "${provider.name}" is not configured` : "Unknown AI provider";
   }
 
-  // Fallback to mock data
-  console.log("[AI] Using mock AI analysis (no OPENAI_API_KEY or Vision AI failed)...");
-  await new Promise((resolve) => setTimeout(resolve, 500));
-
-  // Mock coordinates (representing detected UI elements or regions of interest)
-  const mockCoordinates = [
-    {
-      x: 100,
-      y: 150,
-      width: 200,
-      height: 50,
-      label: "Header Section",
-      confidence: 0.95,
-    },
-    {
-      x: 50,
-      y: 300,
-      width: 300,
-      height: 100,
-      label: "Main Content Area",
-      confidence: 0.88,
-    },
-    {
-      x: 400,
-      y: 100,
-      width: 150,
-      height: 400,
-      label: "Sidebar",
-      confidence: 0.82,
-    },
-  ];
-
-  // Mock report array (representing AI-generated insights with coordinates and IDs)
-  const mockReport = [
-    {
-      id: 1,
-      type: "accessibility",
-      severity: "warning",
-      message: "Some images are missing alt text",
-      element: "img",
-      recommendation: "Add descriptive alt attributes to all images",
-      coordinates: {
-        x: 100,
-        y: 150,
-        width: 200,
-        height: 50,
-      },
-    },
-    {
-      id: 2,
-      type: "performance",
-      severity: "info",
-      message: "Page load time is acceptable",
-      metric: "loadTime",
-      value: "2.3s",
-      coordinates: {
-        x: 50,
-        y: 300,
-        width: 300,
-        height: 100,
-      },
-    },
-    {
-      id: 3,
-      type: "ux",
-      severity: "suggestion",
-      message: "Consider adding more visual hierarchy",
-      area: "main-content",
-      recommendation: "Use larger headings and better spacing",
-      coordinates: {
-        x: 400,
-        y: 100,
-        width: 150,
-        height: 400,
-      },
-    },
-    {
-      id: 4,
-      type: "seo",
-      severity: "warning",
-      message: "Meta description could be improved",
-      element: "meta",
-      recommendation: "Add a more descriptive meta description",
-      coordinates: {
-        x: 200,
-        y: 50,
-        width: 400,
-        height: 30,
-      },
-    },
-  ];
-
-  console.log("[AI] Mock AI analysis completed");
+  // Fallback: deterministic report built from the measured page data
+  console.log("[AI] Using rule-based analysis (AI provider not configured or Vision AI failed)...");
+  const report = heuristicAnalyzer.analyze({
+    navigationElements,
+    accessibility: options.accessibility,
+    meta: options.meta,
+    performance: options.performance,
+    framework: options.framework,
+  });
 
   return {
-    coordinates: mockCoordinates,
-    report: mockReport,
+    engine: "heuristic",
+    fallbackReason: fallbackReason,
+    coordinates: toCoordinates(report, 1), // Measured, not predicted
+    report: report,
     timestamp: new Date().toISOString(),
   };
 }
 
+/**
+ * Converts report items into labelled coordinate boxes (page-level items are skipped)
+ * @param {Array<Object>} report - Report items
+ * @param {number} [confidence] - Fixed confidence; derived from severity when omitted
+ * @returns {Array<Object>} Coordinate boxes with label and confidence
+ */
+function toCoordinates(report, confidence) {
+  return report
+    .filter((issue) => issue.coordinates)
+    .map((issue) => ({
+      x: issue.coordinates.x,
+      y: issue.coordinates.y,
+      width: issue.coordinates.width,
+      height: issue.coordinates.height,
+      label: issue.message,
+      confidence: confidence || (issue.severity === "critical" ? 0.95 : issue.severity === "warning" ? 0.8 : 0.6),
+    }));
+}
+
 module.exports = {
   analyzeWithAI,
 };
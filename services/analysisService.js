@@ -0,0 +1,330 @@
+const crypto = require("crypto");
+
+// Services
+const analysisStore = require("./analysisStore");
+const authService = require("./authService");
+const browserService = require("./browserService");
+const browserPool = require("./browserPool");
+const screenshotService = require("./screenshotService");
+const performanceService = require("./performanceService");
+const accessibilityService = require("./accessibilityService");
+const metaService = require("./metaService");
+const pageInfoService = require("./pageInfoService");
+const navigationService = require("./navigationService");
+const linkHealthService = require("./linkHealthService");
+const socialCardService = require("./socialCardService");
+const aiService = require("./aiService");
+const annotationService = require("./annotationService");
+const domMapService = require("./domMapService");
+
+// Utils
+const { enforceUrlPolicy } = require("../utils/urlValidator");
+
+// Set LINK_CHECK_ENABLED=false to skip the link health stage
+const LINK_CHECK_ENABLED = process.env.LINK_CHECK_ENABLED !== "false";
+
+/**
+ * Runs the pipeline for a single viewport and builds its result section
+ * Stages reported through onProgress: navigated, screenshot_captured, links_checked, ai_completed, annotated
+ * @param {string} url - URL to analyze
+ * @param {Object|null} device - Resolved device ({name, contextOptions}) or null for the default viewport
+ * @param {Object} options - Pipeline options (baseUrl, ai, auth, annotationLayers, onProgress)
+ * @returns {Promise<Object>} Viewport result section
+ */
+async function analyzeViewport(url, device, options) {
+  const { baseUrl, ai = {}, auth = null, annotationLayers, onProgress } = options;
+  let lease = null;
+
+  try {
+    // Borrow an isolated context from the shared browser pool and navigate
+    lease = await browserPool.acquireContext({
+      ...(device ? device.contextOptions : {}),
+      ...(auth ? auth.contextOptions : {}),
+    });
+    await enforceUrlPolicy(lease.context);
+    if (auth) {
+      await authService.applyAuth(lease.context, auth, url);
+    }
+    const performanceTracker = await performanceService.instrumentContext(lease.context);
+    const { page, loadTime, statusCode } = await browserService.navigateToUrl(lease.context, url);
+    onProgress("navigated", { statusCode, loadTime });
+
+    // Collect all analysis data in parallel where possible
+    const [
+      pageInfo,
+      screenshot,
+      performanceMetrics,
+      accessibilityData,
+      metaInfo,
+      pageNavigationElements,
+      domMap,
+    ] = await Promise.all([
+      pageInfoService.getPageInfo(page),
+      screenshotService.captureScreenshot(page, url, device?.name),
+      performanceService.getPerformanceMetrics(page, performanceTracker),
+      accessibilityService.checkAccessibility(page),
+      metaService.getMetaInfo(page),
+      navigationService.getNavigationElements(page),
+      domMapService.getDomMap(page),
+    ]);
+
+    // Return the context to the pool before the slow AI step
+    await lease.release();
+    lease = null;
+
+    onProgress("screenshot_captured", {
+      pageInfo: { ...pageInfo, loadTime },
+      performance: performanceMetrics,
+      accessibility: accessibilityData,
+      meta: metaInfo,
+      navigation: pageNavigationElements,
+      screenshotInfo: {
+        original: {
+          filename: screenshot.filename,
+          url: screenshot.url,
+          fullUrl: `${baseUrl}${screenshot.url}`,
+        },
+      },
+    });
+
+    // Resolve every link on the page (network only, so it runs after the context is released)
+    let navigationElements = pageNavigationElements;
+    let linkSummary = null;
+    if (LINK_CHECK_ENABLED) {
+      const linkHealth = await linkHealthService.checkLinks(pageNavigationElements, url);
+      navigationElements = linkHealth.elements;
+      linkSummary = linkHealth.summary;
+      onProgress("links_checked", { navigation: navigationElements, links: linkSummary });
+    }
+
+    // Grade SEO signals and render the social-share preview (neither ever fails the analysis)
+    let seoGrade = { score: null, findings: [] };
+    try {
+      seoGrade = metaService.gradeSeo(metaInfo);
+    } catch (error) {
+      console.error(`[ANALYZE] SEO grading failed: ${error.message}`);
+    }
+    let socialCard = null;
+    try {
+      socialCard = await socialCardService.renderSocialCard(metaInfo, url);
+    } catch (error) {
+      console.error(`[ANALYZE] Social card rendering failed: ${error.message}`);
+    }
+    const seoAudit = {
+      ...seoGrade,
+      socialCard: socialCard && { ...socialCard, fullUrl: `${baseUrl}${socialCard.url}` },
+    };
+
+    // B4.2: Run live Vision AI analysis (or fall back to rule-based analysis)
+    // Get image dimensions from screenshot
+    const imageWidth = screenshot.width || pageInfo.dimensions?.width || 1280;
+    const imageHeight = screenshot.height || pageInfo.dimensions?.height || 720;
+
+    console.log(`[ANALYZE] B4.2: Analyzing screenshot (${imageWidth}x${imageHeight}px) with Vision AI...`);
+    const aiAnalysis = await aiService.analyzeWithAI(
+      url,
+      screenshot.base64,
+      navigationElements,
+      imageWidth,
+      imageHeight,
+      {
+        performance: performanceMetrics,
+        accessibility: accessibilityData,
+        meta: metaInfo,
+        domMap,
+        viewportHeight: pageInfo.viewport?.height || pageInfo.dimensions?.viewportHeight,
+        ...ai,
+      }
+    );
+    onProgress("ai_completed", {
+      aiAnalysis: {
+        engine: aiAnalysis.engine,
+        coordinates: aiAnalysis.coordinates,
+        report: aiAnalysis.report,
+        timestamp: aiAnalysis.timestamp,
+      },
+    });
+
+    // Create annotated screenshot (Phase 3: with bounding boxes and issue ID badges)
+    const annotatedScreenshot = await annotationService.annotateScreenshot(
+      screenshot.buffer,
+      aiAnalysis.coordinates,
+      navigationElements,
+      aiAnalysis.report, // Pass report with coordinates and IDs
+      screenshot.filename,
+      { accessibilityViolations: accessibilityData.violations, layers: annotationLayers }
+    );
+
+    // Interactive output: every layer as JSON/SVG keyed by issue id, plus a zoomed crop per issue
+    const overlay = annotationService.buildOverlay({
+      report: aiAnalysis.report,
+      aiCoordinates: aiAnalysis.coordinates,
+      navigationElements: navigationElements,
+      accessibilityViolations: accessibilityData.violations,
+      width: imageWidth,
+      height: imageHeight,
+    });
+    const overlaySvg = await annotationService.saveOverlaySvg(overlay, screenshot.filename);
+    const issueCrops = await annotationService.cropIssues(screenshot.buffer, overlay, screenshot.filename);
+
+    // Build result (return URL instead of base64 to avoid 431 error)
+    const fullScreenshotUrl = `${baseUrl}${screenshot.url}`;
+    const fullAnnotatedScreenshotUrl = `${baseUrl}${annotatedScreenshot.url}`;
+    onProgress("annotated", {
+      screenshot: fullAnnotatedScreenshotUrl,
+    });
+
+    return {
+      ...(device && {
+        device: {
+          name: device.name,
+          viewport: device.contextOptions.viewport,
+          deviceScaleFactor: device.contextOptions.deviceScaleFactor || 1,
+          isMobile: !!device.contextOptions.isMobile,
+        },
+      }),
+      statusCode: statusCode,
+      pageInfo: {
+        ...pageInfo,
+        loadTime: loadTime,
+      },
+      performance: performanceMetrics,
+      accessibility: accessibilityData,
+      meta: metaInfo,
+      seo: seoAudit,
+      navigation: navigationElements,
+      links: linkSummary,
+      screenshot: fullAnnotatedScreenshotUrl, // Return annotated screenshot by default
+      screenshotInfo: {
+        original: {
+          filename: screenshot.filename,
+          url: screenshot.url,
+          fullUrl: fullScreenshotUrl,
+        },
+        annotated: {
+          filename: annotatedScreenshot.filename,
+          url: annotatedScreenshot.url,
+          fullUrl: fullAnnotatedScreenshotUrl,
+          layers: annotatedScreenshot.layers,
+        },
+      },
+      annotations: {
+        overlay: overlay,
+        svg: { ...overlaySvg, fullUrl: `${baseUrl}${overlaySvg.url}` },
+        crops: issueCrops.map((crop) => ({ ...crop, fullUrl: `${baseUrl}${crop.url}` })),
+      },
+      aiAnalysis: {
+        engine: aiAnalysis.engine,
+        ...(aiAnalysis.fallbackReason && { fallbackReason: aiAnalysis.fallbackReason }),
+        coordinates: aiAnalysis.coordinates,
+        report: aiAnalysis.report,
+        timestamp: aiAnalysis.timestamp,
+        provider: aiAnalysis.provider || null,
+        model: aiAnalysis.model || null,
+        ...(aiAnalysis.framework && { framework: aiAnalysis.framework }),
+        ...(aiAnalysis.quality && { quality: aiAnalysis.quality }),
+        ...(aiAnalysis.cache && { cache: aiAnalysis.cache }),
+        ...(aiAnalysis.usage && { usage: aiAnalysis.usage }),
+        ...(aiAnalysis.tiling && { tiling: aiAnalysis.tiling }),
+      },
+    };
+  } finally {
+    // Ensure the context goes back to the pool even if there's an error
+    if (lease) {
+      await lease.release();
+    }
+  }
+}
+
+/**
+ * Runs the full analysis pipeline for a URL and saves the result to the history store
+ * Without devices the result has a single section at the top level (default desktop viewport);
+ * with devices each viewport gets its own section under `viewports`
+ * @param {string} url - URL to analyze (already validated)
+ * @param {Object} options - Pipeline options
+ * @param {string} options.baseUrl - Backend base URL used to build full screenshot URLs
+ * @param {string} [options.id] - Analysis id (defaults to a new UUID; async jobs reuse their job id)
+ * @param {Array<Object>} [options.devices] - Resolved devices from resolveDevices
+ * @param {Object} [options.ai] - Vision model selection and evaluation framework ({provider, model, framework})
+ * @param {Object} [options.auth] - Resolved auth from authService.resolveAuth
+ * @param {Array<string>} [options.annotationLayers] - Layers burnt into the annotated PNG (all by default)
+ * @param {Object} [options.apiKey] - API key that requested the analysis ({id, name}), kept on the record
+ * @param {Function} [options.onProgress] - Called with (stage, partialResult) after each stage
+ * @returns {Promise<Object>} Analysis result
+ */
+async function runAnalysis(url, options = {}) {
+  const { baseUrl = "", devices = null, ai = {}, auth = null, annotationLayers, apiKey = null, onProgress = () => {} } = options;
+
+  const id = options.id || crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+
+  if (!devices || devices.length === 0) {
+    const section = await analyzeViewport(url, null, { baseUrl, ai, auth, annotationLayers, onProgress });
+    return persist({
+      id: id,
+      createdAt: createdAt,
+      message: "Analysis completed successfully",
+      url: url,
+      status: "success",
+      ...(apiKey && { apiKey }),
+      ...section,
+    });
+  }
+
+  // One section per device; the browser pool limits how many actually run at once
+  console.log(`[ANALYZE] Analyzing ${devices.length} viewports: ${devices.map((d) => d.name).join(", ")}`);
+  const partialViewports = devices.map((device) => ({ device: { name: device.name } }));
+
+  const viewports = await Promise.all(
+    devices.map((device, index) =>
+      analyzeViewport(url, device, {
+        baseUrl,
+        ai,
+        auth,
+        annotationLayers,
+        onProgress: (stage, partialResult) => {
+          partialViewports[index] = { ...partialViewports[index], ...partialResult, stage };
+          onProgress(stage, { viewports: partialViewports });
+        },
+      })
+    )
+  );
+
+  return persist({
+    id: id,
+    createdAt: createdAt,
+    message: "Analysis completed successfully",
+    url: url,
+    status: "success",
+    ...(apiKey && { apiKey }),
+    viewports: viewports,
+  });
+}
+
+/**
+ * Saves the analysis to the history store without failing the request if storage is down
+ * @param {Object} analysis - Completed analysis result
+ * @returns {Promise<Object>} The same analysis
+ */
+async function persist(analysis) {
+  try {
+    await analysisStore.saveAnalysis(analysis);
+  } catch (error) {
+    console.error(`[ANALYZE] Failed to persist analysis ${analysis.id}: ${error.message}`);
+  }
+  return analysis;
+}
+
+/**
+ * Returns the viewport sections of an analysis result, whichever shape it has
+ * @param {Object} analysis - Result from runAnalysis
+ * @returns {Array<Object>} Viewport sections
+ */
+function getViewports(analysis) {
+  return Array.isArray(analysis.viewports) ? analysis.viewports : [analysis];
+}
+
+module.exports = {
+  runAnalysis,
+  getViewports,
+};
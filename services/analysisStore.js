@@ -0,0 +1,109 @@
+const path = require("path");
+const { createJsonFileStore } = require("./stores/jsonFileStore");
+const { createMemoryStore } = require("./stores/memoryStore");
+const screenshotService = require("./screenshotService");
+
+/**
+ * Persistent analysis history
+ * Backend is chosen with ANALYSIS_STORE ("json" by default, or "memory");
+ * any object implementing save/get/list/remove can be plugged in with setStore
+ */
+const STORE_DIR = process.env.ANALYSIS_STORE_DIR || path.join(__dirname, "../data/analyses");
+
+let store = null;
+
+/**
+ * Creates the configured store backend on first use
+ * @returns {Object} Store instance
+ */
+function getStore() {
+  if (!store) {
+    const backend = process.env.ANALYSIS_STORE || "json";
+    if (backend === "memory") {
+      store = createMemoryStore();
+    } else if (backend === "json") {
+      store = createJsonFileStore(STORE_DIR);
+    } else {
+      throw new Error(`Unknown ANALYSIS_STORE backend: ${backend}`);
+    }
+    console.log(`[STORE] Using ${store.name} analysis store`);
+  }
+  return store;
+}
+
+/**
+ * Replaces the store backend (e.g. with a database-backed implementation)
+ * @param {Object} customStore - Object implementing save, get, list and remove
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Persists an analysis result
+ * @param {Object} analysis - Analysis result with id and createdAt
+ * @returns {Promise<Object>} Saved analysis
+ */
+async function saveAnalysis(analysis) {
+  await getStore().save(analysis);
+  console.log(`[STORE] Saved analysis ${analysis.id} for ${analysis.url}`);
+  return analysis;
+}
+
+/**
+ * Gets a stored analysis by id
+ * @param {string} id - Analysis id
+ * @returns {Promise<Object|null>} Analysis or null if not found
+ */
+async function getAnalysis(id) {
+  return getStore().get(id);
+}
+
+/**
+ * Lists stored analyses, newest first
+ * @param {Object} query - {url, apiKeyId, from, to, offset, limit}
+ * @returns {Promise<{items: Array<Object>, total: number}>} Page of analysis summaries
+ */
+async function listAnalyses(query) {
+  return getStore().list(query);
+}
+
+/**
+ * Deletes an analysis together with its original and annotated screenshots (plus overlays, issue crops,
+ * social cards and flow filmstrips)
+ * @param {string} id - Analysis id
+ * @returns {Promise<boolean>} False if the analysis did not exist
+ */
+async function deleteAnalysis(id) {
+  const analysis = await getStore().get(id);
+  if (!analysis) {
+    return false;
+  }
+
+  // Flows keep one section per captured step plus a filmstrip
+  let sections = Array.isArray(analysis.viewports) ? analysis.viewports : [analysis];
+  if (analysis.type === "flow") {
+    sections = analysis.steps;
+  }
+  const filenames = sections.flatMap((section) => [
+    section.screenshotInfo?.original?.filename,
+    section.screenshotInfo?.annotated?.filename,
+    section.seo?.socialCard?.filename,
+    section.annotations?.svg?.filename,
+    ...(section.annotations?.crops || []).map((crop) => crop.filename),
+  ]);
+  filenames.push(analysis.filmstrip?.filename);
+  await Promise.all(filenames.filter(Boolean).map((filename) => screenshotService.deleteScreenshot(filename)));
+
+  await getStore().remove(id);
+  console.log(`[STORE] Deleted analysis ${id} and ${filenames.filter(Boolean).length} screenshots`);
+  return true;
+}
+
+module.exports = {
+  setStore,
+  saveAnalysis,
+  getAnalysis,
+  listAnalyses,
+  deleteAnalysis,
+};
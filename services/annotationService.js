@@ -2,6 +2,21 @@ const { createCanvas, loadImage } = require("canvas");
 const fs = require("fs").promises;
 const path = require("path");
 
+// Layers that can be burnt into the composite PNG (all by default)
+const ANNOTATION_LAYERS = ["issues", "ai", "navigation", "accessibility"];
+// Per-issue crops: padding around the region, zoom limit and output width target
+const CROP_PADDING = parseInt(process.env.ANNOTATION_CROP_PADDING, 10) || 40;
+const CROP_MAX_ZOOM = 2;
+const CROP_TARGET_WIDTH = 600;
+const MAX_ISSUE_CROPS = parseInt(process.env.MAX_ISSUE_CROPS, 10) || 50;
+
+const SEVERITY_COLORS = {
+  critical: "#dc2626",
+  warning: "#ea580c",
+  suggestion: "#2563eb",
+  info: "#6b7280",
+};
+
 /**
  * Annotates a screenshot with AI coordinates and navigation elements
  * Phase 3: Implements bounding box drawing and issue ID badges
@@ -10,6 +25,9 @@ const path = require("path");
  * @param {Array} navigationElements - Navigation elements (links, buttons)
  * @param {Array} report - Mock report with coordinates and issue IDs
  * @param {string} originalFilename - Original screenshot filename
+ * @param {Object} [options] - Extra layers
+ * @param {Array} [options.accessibilityViolations] - WCAG violations with boundingBox and id (e.g. "A1")
+ * @param {Array<string>} [options.layers] - Layers to draw (issues, ai, navigation, accessibility); all by default
  * @returns {Promise<{filename: string, url: string, base64: string}>} Annotated screenshot info
  */
 async function annotateScreenshot(
@@ -17,9 +35,11 @@ async function annotateScreenshot(
   aiCoordinates,
   navigationElements,
   report,
-  originalFilename
+  originalFilename,
+  options = {}
 ) {
   console.log("[ANNOTATION] Starting screenshot annotation (Phase 3)...");
+  const layers = options.layers || ANNOTATION_LAYERS;
 
   // B3.1: Load the screenshot buffer into Canvas object
   console.log("[ANNOTATION] B3.1: Loading screenshot buffer into Canvas...");
@@ -32,7 +52,7 @@ async function annotateScreenshot(
   console.log(`[ANNOTATION] Canvas created: ${img.width}x${img.height}px`);
 
   // B3.2: Draw bounding boxes from mock report coordinates
-  if (report && report.length > 0) {
+  if (layers.includes("issues") && report && report.length > 0) {
     console.log(`[ANNOTATION] B3.2: Drawing ${report.length} bounding boxes from report...`);
     report.forEach((issue) => {
       if (issue.coordinates) {
@@ -89,7 +109,7 @@ async function annotateScreenshot(
   }
 
   // Draw AI coordinate boxes
-  if (aiCoordinates && aiCoordinates.length > 0) {
+  if (layers.includes("ai") && aiCoordinates && aiCoordinates.length > 0) {
     console.log(`[ANNOTATION] Drawing ${aiCoordinates.length} AI coordinate boxes`);
     aiCoordinates.forEach((coord, index) => {
       const { x, y, width, height, label, confidence } = coord;
@@ -123,7 +143,7 @@ async function annotateScreenshot(
   }
 
   // Draw navigation element boxes (links and buttons)
-  if (navigationElements && navigationElements.length > 0) {
+  if (layers.includes("navigation") && navigationElements && navigationElements.length > 0) {
     console.log(`[ANNOTATION] Drawing ${navigationElements.length} navigation elements`);
     
     // Group by type for different colors
@@ -159,6 +179,33 @@ async function annotateScreenshot(
     });
   }
 
+  // Draw accessibility violations in orange with their rule id tag
+  const violations = (options.accessibilityViolations || []).filter((violation) => violation.boundingBox);
+  if (layers.includes("accessibility") && violations.length > 0) {
+    console.log(`[ANNOTATION] Drawing ${violations.length} accessibility violations`);
+    violations.forEach((violation) => {
+      const { x, y, width, height } = violation.boundingBox;
+
+      ctx.strokeStyle = "rgba(255, 140, 0, 0.9)";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([]);
+      ctx.strokeRect(x, y, width, height);
+
+      // Small tag at the top-left corner, kept inside the canvas
+      ctx.font = "bold 11px Arial";
+      const tagWidth = ctx.measureText(violation.id).width + 8;
+      const tagHeight = 16;
+      const tagX = Math.min(Math.max(x, 0), canvas.width - tagWidth);
+      const tagY = Math.max(y - tagHeight, 0);
+      ctx.fillStyle = "rgba(255, 140, 0, 0.95)";
+      ctx.fillRect(tagX, tagY, tagWidth, tagHeight);
+      ctx.fillStyle = "white";
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+      ctx.fillText(violation.id, tagX + 4, tagY + tagHeight / 2);
+    });
+  }
+
   // Generate annotated filename
   const baseFilename = originalFilename.replace(".png", "");
   const annotatedFilename = `${baseFilename}_annotated.png`;
@@ -176,10 +223,209 @@ async function annotateScreenshot(
     filename: annotatedFilename,
     url: `/screenshots/${annotatedFilename}`,
     base64: base64, // Return base64 for verification
+    layers: layers,
   };
 }
 
+/**
+ * Validates the composite layers requested by the client
+ * @param {*} layers - Requested layers
+ * @returns {{isValid: boolean, error?: Object}} Validation result
+ */
+function validateLayers(layers) {
+  if (!Array.isArray(layers) || layers.some((layer) => !ANNOTATION_LAYERS.includes(layer))) {
+    return {
+      isValid: false,
+      error: {
+        status: 400,
+        message: "Invalid annotation layers",
+        details: `annotationLayers must be an array of: ${ANNOTATION_LAYERS.join(", ")}`,
+      },
+    };
+  }
+  return { isValid: true };
+}
+
+/**
+ * Checks that a box has a drawable area
+ * @param {Object} box - {x, y, width, height}
+ * @returns {boolean} True if drawable
+ */
+function isDrawable(box) {
+  return !!box && box.width > 0 && box.height > 0;
+}
+
+/**
+ * Builds the structured overlay: every shape in screenshot pixels, grouped by layer and
+ * keyed by issue id so a frontend can toggle layers and link shapes to the issue list
+ * @param {Object} data - {report, aiCoordinates, navigationElements, accessibilityViolations, width, height}
+ * @returns {Object} Overlay ({width, height, layers: {issues, ai, navigation, accessibility}})
+ */
+function buildOverlay(data) {
+  const { report = [], aiCoordinates = [], navigationElements = [], accessibilityViolations = [] } = data;
+  const box = ({ x, y, width, height }) => ({ x, y, width, height });
+
+  return {
+    width: data.width,
+    height: data.height,
+    layers: {
+      issues: report
+        .filter((issue) => isDrawable(issue.coordinates))
+        .map((issue) => ({
+          id: String(issue.id),
+          severity: issue.severity,
+          label: issue.message,
+          ...(issue.element && { selector: issue.element }),
+          ...box(issue.coordinates),
+        })),
+      ai: aiCoordinates.filter(isDrawable).map((coord, index) => ({
+        id: `R${index + 1}`,
+        label: coord.label,
+        confidence: coord.confidence,
+        ...box(coord),
+      })),
+      navigation: navigationElements
+        .filter((el) => isDrawable(el.boundingBox))
+        .map((el, index) => ({
+          id: `N${index + 1}`,
+          type: el.type,
+          label: el.text || el.url || el.type,
+          ...(el.health && { health: el.health.status }),
+          ...box(el.boundingBox),
+        })),
+      accessibility: accessibilityViolations
+        .filter((violation) => isDrawable(violation.boundingBox))
+        .map((violation) => ({
+          id: violation.id,
+          rule: violation.rule,
+          impact: violation.impact,
+          label: violation.message,
+          ...box(violation.boundingBox),
+        })),
+    },
+  };
+}
+
+/**
+ * Escapes text for SVG/XML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders the overlay as a transparent SVG the size of the screenshot
+ * Each layer is a <g id="layer-..."> and each shape has data-issue-id and a <title> tooltip
+ * @param {Object} overlay - Result of buildOverlay
+ * @returns {string} SVG document
+ */
+function renderOverlaySvg(overlay) {
+  const styles = {
+    issues: (shape) => `fill="none" stroke="${SEVERITY_COLORS[shape.severity] || "red"}" stroke-width="3"`,
+    ai: () => `fill="none" stroke="rgba(255,0,0,0.8)" stroke-width="3" stroke-dasharray="5 5"`,
+    navigation: (shape) => `fill="none" stroke="${shape.type === "button" ? "rgba(0,255,0,0.6)" : "rgba(0,0,255,0.6)"}" stroke-width="2"`,
+    accessibility: () => `fill="none" stroke="rgba(255,140,0,0.9)" stroke-width="2"`,
+  };
+
+  const groups = Object.entries(overlay.layers)
+    .map(([layer, shapes]) => {
+      const elements = shapes
+        .map(
+          (shape) =>
+            `<rect id="${escapeXml(`${layer}-${shape.id}`)}" data-issue-id="${escapeXml(shape.id)}" x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" ${styles[layer](shape)}><title>${escapeXml(`${shape.id}: ${shape.label}`)}</title></rect>`
+        )
+        .join("\n    ");
+      return `  <g id="layer-${layer}">\n    ${elements}\n  </g>`;
+    })
+    .join("\n");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${overlay.width}" height="${overlay.height}" viewBox="0 0 ${overlay.width} ${overlay.height}">\n${groups}\n</svg>\n`;
+}
+
+/**
+ * Saves the overlay SVG next to the screenshot
+ * @param {Object} overlay - Result of buildOverlay
+ * @param {string} originalFilename - Original screenshot filename
+ * @returns {Promise<{filename: string, url: string}>} SVG file info
+ */
+async function saveOverlaySvg(overlay, originalFilename) {
+  const filename = `${originalFilename.replace(".png", "")}_overlay.svg`;
+  await fs.writeFile(path.join(__dirname, "../screenshots", filename), renderOverlaySvg(overlay));
+  console.log(`[ANNOTATION] Overlay saved: ${filename}`);
+  return { filename: filename, url: `/screenshots/${filename}` };
+}
+
+/**
+ * Crops a zoomed PNG around each issue (report issues and accessibility violations)
+ * @param {Buffer} screenshotBuffer - Original screenshot buffer
+ * @param {Object} overlay - Result of buildOverlay
+ * @param {string} originalFilename - Original screenshot filename
+ * @returns {Promise<Array<Object>>} Crops ({issueId, layer, filename, url, region, zoom})
+ */
+async function cropIssues(screenshotBuffer, overlay, originalFilename) {
+  const shapes = [
+    ...overlay.layers.issues.map((shape) => ({ ...shape, layer: "issues" })),
+    ...overlay.layers.accessibility.map((shape) => ({ ...shape, layer: "accessibility" })),
+  ].slice(0, MAX_ISSUE_CROPS);
+  if (shapes.length === 0) {
+    return [];
+  }
+
+  const img = await loadImage(screenshotBuffer);
+  const baseFilename = originalFilename.replace(".png", "");
+  const crops = [];
+
+  for (const shape of shapes) {
+    // Padded region clamped to the screenshot
+    const x = Math.max(0, Math.floor(shape.x - CROP_PADDING));
+    const y = Math.max(0, Math.floor(shape.y - CROP_PADDING));
+    const right = Math.min(img.width, Math.ceil(shape.x + shape.width + CROP_PADDING));
+    const bottom = Math.min(img.height, Math.ceil(shape.y + shape.height + CROP_PADDING));
+    if (right <= x || bottom <= y) {
+      continue;
+    }
+    const region = { x, y, width: right - x, height: bottom - y };
+    const zoom = Math.max(1, Math.min(CROP_MAX_ZOOM, CROP_TARGET_WIDTH / region.width));
+
+    const canvas = createCanvas(Math.round(region.width * zoom), Math.round(region.height * zoom));
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+
+    // Outline the issue inside the crop
+    ctx.strokeStyle = shape.layer === "accessibility" ? "rgba(255, 140, 0, 0.9)" : SEVERITY_COLORS[shape.severity] || "red";
+    ctx.lineWidth = 3;
+    ctx.setLineDash([]);
+    ctx.strokeRect((shape.x - region.x) * zoom, (shape.y - region.y) * zoom, shape.width * zoom, shape.height * zoom);
+
+    const filename = `${baseFilename}_crop-${String(shape.id).replace(/[^a-zA-Z0-9]+/g, "-")}.png`;
+    await fs.writeFile(path.join(__dirname, "../screenshots", filename), canvas.toBuffer("image/png"));
+    crops.push({
+      issueId: shape.id,
+      layer: shape.layer,
+      filename: filename,
+      url: `/screenshots/${filename}`,
+      region: region,
+      zoom: Number(zoom.toFixed(2)),
+    });
+  }
+
+  console.log(`[ANNOTATION] Saved ${crops.length} issue crops`);
+  return crops;
+}
+
 module.exports = {
+  ANNOTATION_LAYERS,
   annotateScreenshot,
+  validateLayers,
+  buildOverlay,
+  renderOverlaySvg,
+  saveOverlaySvg,
+  cropIssues,
 };
 
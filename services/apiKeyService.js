@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * API keys
+ * Keys are kept in a local JSON file (data/api-keys.json). Only a SHA-256 hash of each key
+ * is stored; the raw key is shown once, when it is created. A key's id is derived from the
+ * same hash ("key_" + 12 hex chars), so usage records and analyses can name the key
+ * without storing it. Revoked keys stay in the file so their history remains attributable.
+ */
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, "../data/api-keys.json");
+const KEY_PREFIX = "uxr_";
+const MAX_NAME_LENGTH = 100;
+const LIMIT_FIELDS = ["requestsPerMinute", "concurrentAnalyses"];
+
+// Loaded once; concurrent callers share the same promise so a key created during the
+// first load is never replaced by a second copy of the file
+let keysLoading = null;
+// Writes run one at a time, each saving the latest records
+let writing = Promise.resolve();
+
+/**
+ * Hashes a raw API key
+ * @param {string} rawKey - Raw key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(rawKey).digest("hex");
+}
+
+/**
+ * Derives the public id of a key from its hash
+ * @param {string} hash - Key hash
+ * @returns {string} Key id
+ */
+function idForHash(hash) {
+  return `key_${hash.slice(0, 12)}`;
+}
+
+/**
+ * Reads the key file
+ * @returns {Promise<Array<Object>>} Key records
+ */
+async function readKeys() {
+  try {
+    return JSON.parse(await fs.readFile(API_KEYS_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    return [];
+  }
+}
+
+/**
+ * Loads the key file once
+ * @returns {Promise<Array<Object>>} Key records
+ */
+function loadKeys() {
+  if (!keysLoading) {
+    keysLoading = readKeys().catch((error) => {
+      // Let the next call retry instead of caching the failure
+      keysLoading = null;
+      throw error;
+    });
+  }
+  return keysLoading;
+}
+
+/**
+ * Writes the key file (temp file first so a crash never leaves it half-written)
+ * Queued behind earlier writes so two changes never race on the temp file
+ * @returns {Promise<void>}
+ */
+function saveKeys() {
+  const write = writing
+    .catch(() => {})
+    .then(async () => {
+      const records = await loadKeys();
+      await fs.mkdir(path.dirname(API_KEYS_FILE), { recursive: true });
+      const tempPath = `${API_KEYS_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(records, null, 2));
+      await fs.rename(tempPath, API_KEYS_FILE);
+    });
+  writing = write;
+  return write;
+}
+
+/**
+ * Describes a key without its hash
+ * @param {Object} record - Key record
+ * @returns {Object} Public key description
+ */
+function summarizeKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    limits: record.limits,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt || null,
+    lastUsedAt: record.lastUsedAt || null,
+  };
+}
+
+/**
+ * Validates the body of a key creation request
+ * @param {Object} body - {name, limits?: {requestsPerMinute?, concurrentAnalyses?}}
+ * @returns {{isValid: boolean, error?: Object}} Validation result
+ */
+function validateKeyRequest(body) {
+  const invalid = (details) => ({
+    isValid: false,
+    error: { status: 400, message: "Invalid API key request", details: details },
+  });
+
+  if (!body || typeof body.name !== "string" || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+    return invalid(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (body.limits !== undefined) {
+    if (!body.limits || typeof body.limits !== "object" || Array.isArray(body.limits)) {
+      return invalid("limits must be an object");
+    }
+    for (const [field, value] of Object.entries(body.limits)) {
+      if (!LIMIT_FIELDS.includes(field)) {
+        return invalid(`Unknown limit "${field}". Allowed: ${LIMIT_FIELDS.join(", ")}`);
+      }
+      if (!Number.isInteger(value) || value < 1) {
+        return invalid(`${field} must be a positive integer`);
+      }
+    }
+  }
+  return { isValid: true };
+}
+
+/**
+ * Creates a key
+ * @param {Object} request - Validated {name, limits?}
+ * @returns {Promise<{key: string, record: Object}>} Raw key (shown once) and its public description
+ */
+async function createKey(request) {
+  const records = await loadKeys();
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const hash = hashKey(rawKey);
+  const record = {
+    id: idForHash(hash),
+    name: request.name.trim(),
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 4),
+    hash: hash,
+    limits: request.limits || {},
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  records.push(record);
+  await saveKeys();
+  console.log(`[API_KEYS] Created key ${record.id} (${record.name})`);
+  return { key: rawKey, record: summarizeKey(record) };
+}
+
+/**
+ * Finds the active key matching a raw key
+ * @param {string} rawKey - Key from the request
+ * @returns {Promise<Object|null>} Key record, or null if unknown or revoked
+ */
+async function verifyKey(rawKey) {
+  if (typeof rawKey !== "string" || !rawKey) {
+    return null;
+  }
+  const hash = hashKey(rawKey);
+  const record = (await loadKeys()).find((candidate) => candidate.hash === hash);
+  if (!record || record.revokedAt) {
+    return null;
+  }
+  // Kept in memory only; written with the next change to the key file
+  record.lastUsedAt = new Date().toISOString();
+  return record;
+}
+
+/**
+ * Lists all keys, including revoked ones
+ * @returns {Promise<Array<Object>>} Public key descriptions
+ */
+async function listKeys() {
+  return (await loadKeys()).map(summarizeKey);
+}
+
+/**
+ * Revokes a key
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} Revoked key, or null if it does not exist
+ */
+async function revokeKey(id) {
+  const record = (await loadKeys()).find((candidate) => candidate.id === id);
+  if (!record) {
+    return null;
+  }
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await saveKeys();
+    console.log(`[API_KEYS] Revoked key ${record.id} (${record.name})`);
+  }
+  return summarizeKey(record);
+}
+
+module.exports = {
+  validateKeyRequest,
+  createKey,
+  verifyKey,
+  listKeys,
+  revokeKey,
+};
@@ -0,0 +1,153 @@
+const sessionService = require("./sessionService");
+const stepRunner = require("./stepRunner");
+
+/**
+ * Authenticated page analysis
+ * An /analyze request may carry an `auth` object:
+ *   cookies          - Playwright cookies (url defaults to the target URL)
+ *   headers          - extra HTTP headers sent with every request
+ *   httpCredentials  - {username, password} for HTTP basic auth
+ *   storageState     - Playwright storageState ({cookies, origins})
+ *   profile          - name of a saved session profile (of the same API key) to start from
+ *   loginSteps       - goto / fill / click / waitForUrl / waitForSelector steps run before the target navigation
+ *   saveProfile      - name to save the resulting session under, for reuse
+ */
+
+const LOGIN_ACTIONS = ["goto", "fill", "click", "waitForUrl", "waitForSelector"];
+
+/**
+ * Builds an invalid result in the same shape as validateUrl
+ * @param {string} details - Explanation for the client
+ * @returns {Object} Validation result
+ */
+function invalid(details) {
+  return {
+    isValid: false,
+    error: {
+      status: 400,
+      message: "Invalid auth options",
+      details: details,
+    },
+  };
+}
+
+/**
+ * Validates the shape of the auth options
+ * @param {Object} auth - Auth options from the request body
+ * @returns {Object} Validation result with isValid flag and error
+ */
+function validateAuth(auth) {
+  if (!auth || typeof auth !== "object" || Array.isArray(auth)) {
+    return invalid("auth must be an object");
+  }
+
+  const { cookies, headers, httpCredentials, storageState, profile, loginSteps, saveProfile } = auth;
+
+  if (cookies !== undefined) {
+    if (!Array.isArray(cookies) || cookies.some((cookie) => !cookie || !cookie.name || cookie.value === undefined)) {
+      return invalid("auth.cookies must be an array of {name, value} cookies");
+    }
+  }
+  if (headers !== undefined) {
+    if (typeof headers !== "object" || Array.isArray(headers) || Object.values(headers).some((v) => typeof v !== "string")) {
+      return invalid("auth.headers must be an object of string header values");
+    }
+  }
+  if (httpCredentials !== undefined) {
+    if (!httpCredentials || typeof httpCredentials.username !== "string" || typeof httpCredentials.password !== "string") {
+      return invalid("auth.httpCredentials must be {username, password}");
+    }
+  }
+  if (storageState !== undefined) {
+    if (!storageState || typeof storageState !== "object" || (storageState.cookies && !Array.isArray(storageState.cookies))) {
+      return invalid("auth.storageState must be a Playwright storageState object");
+    }
+  }
+  if (profile !== undefined && !sessionService.isValidName(profile)) {
+    return invalid("auth.profile must be a profile name (letters, digits, - and _)");
+  }
+  if (saveProfile !== undefined && !sessionService.isValidName(saveProfile)) {
+    return invalid("auth.saveProfile must be a profile name (letters, digits, - and _)");
+  }
+  if (loginSteps !== undefined) {
+    const stepsError = stepRunner.validateSteps(loginSteps, LOGIN_ACTIONS);
+    if (stepsError) {
+      return invalid(`auth.loginSteps: ${stepsError}`);
+    }
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Loads the saved profile (if any) and builds BrowserContext options
+ * @param {Object} auth - Validated auth options
+ * @param {string|null} owner - API key id whose session profiles are used and saved (null when anonymous)
+ * @returns {Promise<Object>} Resolved auth ({contextOptions, cookies, loginSteps, saveProfile, owner}) or {error} when the profile does not exist
+ */
+async function resolveAuth(auth, owner) {
+  let storageState = auth.storageState;
+  if (auth.profile && !storageState) {
+    const profile = await sessionService.getProfile(auth.profile, owner);
+    if (!profile) {
+      return {
+        error: {
+          status: 404,
+          message: "Session profile not found",
+          details: `No saved session profile named "${auth.profile}"`,
+        },
+      };
+    }
+    storageState = profile.storageState;
+  }
+
+  return {
+    contextOptions: {
+      ...(storageState && { storageState }),
+      ...(auth.headers && { extraHTTPHeaders: auth.headers }),
+      ...(auth.httpCredentials && { httpCredentials: auth.httpCredentials }),
+    },
+    cookies: auth.cookies || [],
+    loginSteps: auth.loginSteps || [],
+    saveProfile: auth.saveProfile || null,
+    owner: owner || null,
+  };
+}
+
+/**
+ * Adds cookies and runs login steps in a fresh context before the target navigation
+ * Saves the resulting session when saveProfile is set
+ * @param {BrowserContext} context - Context created with resolved.contextOptions
+ * @param {Object} resolved - Result of resolveAuth
+ * @param {string} targetUrl - URL being analyzed (default cookie scope)
+ */
+async function applyAuth(context, resolved, targetUrl) {
+  if (resolved.cookies.length > 0) {
+    // Playwright needs either url or domain+path for each cookie
+    await context.addCookies(
+      resolved.cookies.map((cookie) => (cookie.url || cookie.domain ? cookie : { ...cookie, url: targetUrl }))
+    );
+    console.log(`[AUTH] Added ${resolved.cookies.length} cookies`);
+  }
+
+  if (resolved.loginSteps.length > 0) {
+    console.log(`[AUTH] Running ${resolved.loginSteps.length} login steps...`);
+    const page = await context.newPage();
+    try {
+      await stepRunner.runSteps(page, resolved.loginSteps, "Login step");
+    } finally {
+      await page.close();
+    }
+    console.log("[AUTH] Login steps completed");
+  }
+
+  if (resolved.saveProfile) {
+    await sessionService.saveProfile(resolved.saveProfile, await context.storageState(), resolved.owner);
+  }
+}
+
+module.exports = {
+  validateAuth,
+  resolveAuth,
+  applyAuth,
+};
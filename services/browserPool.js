@@ -0,0 +1,270 @@
+const browserService = require("./browserService");
+
+/**
+ * Shared pool of warm Chromium instances
+ * Each analysis borrows an isolated BrowserContext instead of owning a browser
+ */
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+const MAX_CONCURRENCY = parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY, 10) || POOL_SIZE * 2;
+const QUEUE_TIMEOUT_MS = parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT_MS, 10) || 120000;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.BROWSER_POOL_HEALTH_CHECK_INTERVAL_MS, 10) || 30000;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.BROWSER_POOL_SHUTDOWN_TIMEOUT_MS, 10) || 30000;
+
+// Pool state: browser slots, active lease count and waiters for a free slot
+const slots = [];
+const waiters = [];
+let activeLeases = 0;
+let started = null;
+let shuttingDown = false;
+let healthTimer = null;
+
+/**
+ * Launches a browser into a slot and recycles it if it disconnects
+ * Callers that find a launch already pending share it, so a slot never gets two browsers
+ * (the one replaced would be leaked)
+ * @param {Object} slot - Pool slot ({browser, contexts, launching})
+ * @returns {Promise<void>}
+ */
+async function fillSlot(slot) {
+  if (slot.launching) {
+    return slot.launching;
+  }
+
+  slot.launching = browserService.launchBrowser().then((browser) => {
+    slot.browser = browser;
+    slot.contexts = 0;
+    browser.on("disconnected", () => {
+      if (slot.browser === browser && !shuttingDown) {
+        console.warn("[BROWSER_POOL] Browser disconnected, recycling slot...");
+        slot.browser = null;
+        fillSlot(slot).catch((error) => {
+          console.error(`[BROWSER_POOL] Failed to relaunch browser: ${error.message}`);
+        });
+      }
+    });
+  });
+
+  try {
+    await slot.launching;
+  } finally {
+    slot.launching = null;
+  }
+}
+
+/**
+ * Launches the configured number of warm browsers and starts health checks
+ * Safe to call more than once
+ * @returns {Promise<void>}
+ */
+function start() {
+  if (!started) {
+    console.log(`[BROWSER_POOL] Starting pool with ${POOL_SIZE} browsers (max ${MAX_CONCURRENCY} concurrent analyses)`);
+    for (let i = 0; i < POOL_SIZE; i++) {
+      slots.push({ browser: null, contexts: 0, launching: null });
+    }
+    started = Promise.all(
+      slots.map((slot) =>
+        fillSlot(slot).catch((error) => {
+          // Left empty here; pickSlot relaunches on demand
+          console.error(`[BROWSER_POOL] Failed to launch browser: ${error.message}`);
+        })
+      )
+    ).then(() => {
+      console.log("[BROWSER_POOL] Pool is warm");
+    });
+    healthTimer = setInterval(checkHealth, HEALTH_CHECK_INTERVAL_MS);
+    healthTimer.unref();
+  }
+  return started;
+}
+
+/**
+ * Verifies each browser responds and replaces the ones that crashed
+ * @returns {Promise<void>}
+ */
+async function checkHealth() {
+  await Promise.all(
+    slots.map(async (slot) => {
+      if (shuttingDown || slot.launching) {
+        return;
+      }
+      const healthy = slot.browser && slot.browser.isConnected();
+      if (!healthy) {
+        console.warn("[BROWSER_POOL] Health check failed, recycling browser...");
+        const crashed = slot.browser;
+        slot.browser = null;
+        if (crashed) {
+          await browserService.closeBrowser(crashed).catch(() => {});
+        }
+        await fillSlot(slot).catch((error) => {
+          console.error(`[BROWSER_POOL] Failed to relaunch browser: ${error.message}`);
+        });
+      }
+    })
+  );
+}
+
+/**
+ * Picks the healthy browser with the fewest open contexts, waiting for one still launching
+ * @returns {Promise<Object>} Pool slot
+ */
+async function pickSlot() {
+  await start();
+
+  let slot = slots
+    .filter((s) => s.browser && s.browser.isConnected())
+    .sort((a, b) => a.contexts - b.contexts)[0];
+
+  if (!slot) {
+    const launching = slots.find((s) => s.launching);
+    if (launching) {
+      await launching.launching;
+      slot = launching;
+    } else {
+      // Every browser is dead and nothing is relaunching: recover synchronously
+      // (concurrent callers join the same launch)
+      slot = slots[0];
+      await fillSlot(slot);
+    }
+  }
+  return slot;
+}
+
+/**
+ * Waits until the number of active leases is under the concurrency limit
+ * @returns {Promise<void>}
+ */
+function waitForTurn() {
+  if (activeLeases < MAX_CONCURRENCY) {
+    activeLeases++;
+    return Promise.resolve();
+  }
+
+  console.log(`[BROWSER_POOL] All ${MAX_CONCURRENCY} slots busy, queueing request (${waiters.length + 1} waiting)`);
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      reject(new Error("Browser pool is busy: no free slot became available in time"));
+    }, QUEUE_TIMEOUT_MS);
+    waiters.push(waiter);
+  });
+}
+
+/**
+ * Frees a concurrency slot and hands it straight to the next waiter
+ */
+function releaseTurn() {
+  const next = waiters.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activeLeases--;
+  }
+}
+
+/**
+ * Borrows an isolated browser context from the pool
+ * @param {Object} contextOptions - Playwright BrowserContext options
+ * @returns {Promise<{context: BrowserContext, release: Function}>} Context and a release function
+ */
+async function acquireContext(contextOptions = {}) {
+  if (shuttingDown) {
+    throw new Error("Browser pool is shutting down");
+  }
+
+  await waitForTurn();
+
+  let slot;
+  let browser;
+  let context;
+  try {
+    slot = await pickSlot();
+    browser = slot.browser;
+    // Service worker requests skip context.route, so they would escape the URL policy
+    context = await browser.newContext({ ...contextOptions, serviceWorkers: "block" });
+    slot.contexts++;
+  } catch (error) {
+    releaseTurn();
+    throw error;
+  }
+
+  let released = false;
+  const release = async () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    // A recycled slot already reset its count for the new browser
+    if (slot.browser === browser) {
+      slot.contexts--;
+    }
+    await context.close().catch(() => {
+      console.log("[BROWSER_POOL] Context was already closed");
+    });
+    releaseTurn();
+  };
+
+  return { context, release };
+}
+
+/**
+ * Stops accepting work, waits for active analyses and closes every browser
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log("[BROWSER_POOL] Shutting down...");
+  clearInterval(healthTimer);
+
+  // Reject everyone still waiting for a slot
+  waiters.splice(0).forEach((waiter) => {
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error("Browser pool is shutting down"));
+  });
+
+  // Give in-flight analyses a chance to finish
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (activeLeases > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+
+  await Promise.all(
+    slots.map(async (slot) => {
+      if (slot.launching) {
+        await slot.launching.catch(() => {});
+      }
+      await browserService.closeBrowser(slot.browser).catch(() => {});
+      slot.browser = null;
+    })
+  );
+  console.log("[BROWSER_POOL] Shutdown complete");
+}
+
+/**
+ * Returns the current pool status for diagnostics
+ * @returns {Object} Pool statistics
+ */
+function getStats() {
+  return {
+    size: POOL_SIZE,
+    maxConcurrency: MAX_CONCURRENCY,
+    activeLeases: activeLeases,
+    queued: waiters.length,
+    browsers: slots.map((slot) => ({
+      connected: !!(slot.browser && slot.browser.isConnected()),
+      contexts: slot.contexts,
+    })),
+  };
+}
+
+module.exports = {
+  start,
+  acquireContext,
+  shutdown,
+  getStats,
+};
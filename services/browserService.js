@@ -15,12 +15,12 @@ async function launchBrowser() {
 
 /**
  * Creates a new page and navigates to the URL
- * @param {Browser} browser - Browser instance
+ * @param {Browser|BrowserContext} context - Browser context (from the pool) or browser instance
  * @param {string} url - URL to navigate to
  * @returns {Promise<{page: Page, loadTime: number, statusCode: number}>} Page instance, load time, and status code
  */
-async function navigateToUrl(browser, url) {
-  const page = await browser.newPage();
+async function navigateToUrl(context, url) {
+  const page = await context.newPage();
   console.log("[BROWSER] New page created");
 
   console.log(`[BROWSER] Navigating to: ${url}`);
@@ -0,0 +1,100 @@
+// Services
+const analysisStore = require("./analysisStore");
+const browserService = require("./browserService");
+const browserPool = require("./browserPool");
+const screenshotService = require("./screenshotService");
+const diffService = require("./diffService");
+
+// Utils
+const { enforceUrlPolicy } = require("../utils/urlValidator");
+
+/**
+ * Picks the viewport section of an analysis to compare
+ * @param {Object} analysis - Stored analysis
+ * @param {string} [deviceName] - Device name; defaults to the first (or only) viewport
+ * @returns {Object|null} Viewport section or null if the device was not analyzed
+ */
+function pickViewport(analysis, deviceName) {
+  const viewports = Array.isArray(analysis.viewports) ? analysis.viewports : [analysis];
+  if (!deviceName) {
+    return viewports[0];
+  }
+  return viewports.find((viewport) => viewport.device?.name === deviceName) || null;
+}
+
+/**
+ * Checks whether a stored record has a page screenshot to compare
+ * Flow and crawl records keep their screenshots per step or page, not at the top level
+ * @param {Object} analysis - Stored analysis
+ * @returns {boolean} True if at least one viewport section has an original screenshot
+ */
+function hasScreenshots(analysis) {
+  const viewports = Array.isArray(analysis.viewports) ? analysis.viewports : [analysis];
+  return viewports.some((viewport) => Boolean(viewport.screenshotInfo?.original?.filename));
+}
+
+/**
+ * Finds the newest stored analysis of a URL, made by one API key, with a screenshot for a device
+ * @param {string} url - Page URL
+ * @param {string} [deviceName] - Device name; without one only default-viewport captures match
+ * @param {string|null} apiKeyId - Owning API key id (null for anonymous analyses)
+ * @returns {Promise<{analysis: Object, viewport: Object}|null>} Baseline or null if there is none
+ */
+async function findBaseline(url, deviceName, apiKeyId) {
+  const label = deviceName || "default";
+  const { items } = await analysisStore.listAnalyses({ url, apiKeyId, limit: Infinity });
+  for (const summary of items) {
+    if (summary.type !== "analysis" || !summary.devices.includes(label)) {
+      continue;
+    }
+    const analysis = await analysisStore.getAnalysis(summary.id);
+    const viewports = analysis && (Array.isArray(analysis.viewports) ? analysis.viewports : [analysis]);
+    const viewport = viewports?.find((section) => (section.device?.name || "default") === label);
+    if (viewport && hasScreenshots(viewport)) {
+      return { analysis, viewport };
+    }
+  }
+  return null;
+}
+
+/**
+ * Captures a fresh screenshot of a URL without running the full analysis pipeline
+ * @param {string} url - URL to capture
+ * @param {Object|null} device - Resolved device ({name, contextOptions}) or null for the default viewport
+ * @returns {Promise<Object>} Screenshot data from captureScreenshot
+ */
+async function captureFresh(url, device) {
+  const lease = await browserPool.acquireContext(device ? device.contextOptions : {});
+  try {
+    await enforceUrlPolicy(lease.context);
+    const { page } = await browserService.navigateToUrl(lease.context, url);
+    return await screenshotService.captureScreenshot(page, url, device?.name);
+  } finally {
+    await lease.release();
+  }
+}
+
+/**
+ * Diffs two saved screenshots of the same page
+ * @param {string} url - Page URL (used to name the diff image)
+ * @param {string} baseFilename - Earlier screenshot filename
+ * @param {string} targetFilename - Newer screenshot filename
+ * @param {Object} [options] - {threshold}
+ * @returns {Promise<Object>} Diff result from diffService
+ */
+async function compareFiles(url, baseFilename, targetFilename, options = {}) {
+  const [baseBuffer, targetBuffer] = await Promise.all([
+    screenshotService.readScreenshot(baseFilename),
+    screenshotService.readScreenshot(targetFilename),
+  ]);
+  const diffFilename = screenshotService.newFilename("diff", url);
+  return diffService.compareScreenshots(baseBuffer, targetBuffer, diffFilename, options);
+}
+
+module.exports = {
+  pickViewport,
+  hasScreenshots,
+  findBaseline,
+  captureFresh,
+  compareFiles,
+};
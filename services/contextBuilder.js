@@ -0,0 +1,150 @@
+// Services
+const performanceService = require("./performanceService");
+
+/**
+ * Prompt context builder
+ * Turns the measurements collected on the live page (performance, accessibility, meta,
+ * navigation) into a short list of facts the vision model can cite as evidence, so findings
+ * are grounded in data instead of guessed from pixels
+ */
+
+// Upper bound on the evidence text so the prompt stays small next to the image
+const MAX_CONTEXT_CHARS = parseInt(process.env.MAX_CONTEXT_CHARS, 10) || 3000;
+const MAX_RULES_LISTED = 6;
+const MAX_EXAMPLES_PER_RULE = 2;
+const MAX_LINK_TEXTS = 12;
+// WCAG 2.5.8 Target Size (Minimum), same threshold as heuristicAnalyzer
+const MIN_TARGET_SIZE = 24;
+
+/**
+ * Formats a bounding box for the prompt
+ * @param {Object} box - {x, y, width, height}
+ * @returns {string} e.g. "at (120, 40) 200x48px"
+ */
+function formatBox(box) {
+  return box ? `at (${box.x}, ${box.y}) ${box.width}x${box.height}px` : "";
+}
+
+/**
+ * Accessibility facts: totals by impact, then the most frequent rules with example elements
+ * @param {Object} accessibility - Result of accessibilityService.checkAccessibility
+ * @returns {Array<string>} Evidence lines
+ */
+function accessibilityFacts(accessibility) {
+  const violations = accessibility?.violations || [];
+  if (!accessibility?.summary) {
+    return [];
+  }
+  if (violations.length === 0) {
+    return ["Accessibility: no WCAG violations detected by the rule engine"];
+  }
+
+  const { summary } = accessibility;
+  const lines = [
+    `Accessibility: ${summary.total} WCAG violations (${summary.critical} critical, ${summary.serious} serious, ${summary.moderate} moderate, ${summary.minor} minor)`,
+  ];
+
+  const byRule = new Map();
+  violations.forEach((violation) => {
+    byRule.set(violation.rule, [...(byRule.get(violation.rule) || []), violation]);
+  });
+  [...byRule.entries()]
+    .sort((a, b) => (accessibility.ruleCounts?.[b[0]] || b[1].length) - (accessibility.ruleCounts?.[a[0]] || a[1].length))
+    .slice(0, MAX_RULES_LISTED)
+    .forEach(([rule, items]) => {
+      const count = accessibility.ruleCounts?.[rule] || items.length;
+      const examples = items
+        .slice(0, MAX_EXAMPLES_PER_RULE)
+        .map((violation) => `${violation.id} ${violation.selector} ${formatBox(violation.boundingBox)}`.trim())
+        .join("; ");
+      lines.push(`Accessibility: ${rule} x${count} (WCAG ${items[0].wcag.criterion}, ${items[0].impact}) e.g. ${examples}`);
+    });
+  return lines;
+}
+
+/**
+ * Meta and document-structure facts
+ * @param {Object} meta - Result of metaService.getMetaInfo
+ * @returns {Array<string>} Evidence lines
+ */
+function metaFacts(meta) {
+  const seo = meta?.seo;
+  if (!seo) {
+    return [];
+  }
+  const { h1Count, outline, total } = seo.headings;
+  const firstH1 = outline.find((heading) => heading.level === 1);
+  return [
+    `Meta: title "${seo.title.text}" (${seo.title.length} chars); description ${seo.description.text ? `${seo.description.length} chars` : "missing"}`,
+    `Meta: language ${seo.language || "not declared"}; viewport meta ${meta.viewport ? `"${meta.viewport}"` : "missing"}`,
+    `Structure: ${h1Count} h1${firstH1 ? ` ("${firstH1.text}")` : ""}, ${total} headings in total; ${seo.images.total} images (${seo.images.missingDimensions} without width/height, ${seo.images.oversized} oversized)`,
+  ];
+}
+
+/**
+ * Navigation facts: counts, link labels, unlabeled and tiny targets, and link health
+ * @param {Array<Object>} navigationElements - Links and buttons (with health when links were checked)
+ * @returns {Array<string>} Evidence lines
+ */
+function navigationFacts(navigationElements) {
+  if (!navigationElements || navigationElements.length === 0) {
+    return [];
+  }
+  const visible = navigationElements.filter((el) => el.boundingBox && el.boundingBox.width > 0 && el.boundingBox.height > 0);
+  const links = visible.filter((el) => el.type === "a");
+  const buttons = visible.filter((el) => el.type === "button");
+  const labels = [...new Set(links.map((el) => (el.text || "").replace(/\s+/g, " ").trim()).filter(Boolean))];
+  const labelList = labels.slice(0, MAX_LINK_TEXTS).map((label) => `"${label.slice(0, 40)}"`);
+  if (labels.length > MAX_LINK_TEXTS) {
+    labelList.push("...");
+  }
+
+  const lines = [`Navigation: ${links.length} visible links, ${buttons.length} buttons; link labels: ${labelList.join(", ")}`];
+
+  const unlabeled = visible.filter((el) => !el.text);
+  if (unlabeled.length > 0) {
+    lines.push(`Navigation: ${unlabeled.length} links/buttons without text, e.g. ${unlabeled[0].type} ${formatBox(unlabeled[0].boundingBox)}`);
+  }
+  const tiny = visible.filter((el) => el.boundingBox.width < MIN_TARGET_SIZE || el.boundingBox.height < MIN_TARGET_SIZE);
+  if (tiny.length > 0) {
+    lines.push(`Navigation: ${tiny.length} tap targets smaller than ${MIN_TARGET_SIZE}x${MIN_TARGET_SIZE}px, e.g. "${tiny[0].text || tiny[0].type}" ${formatBox(tiny[0].boundingBox)}`);
+  }
+  const broken = links.filter((el) => el.health?.status === "broken");
+  if (broken.length > 0) {
+    lines.push(`Links: ${broken.length} broken, e.g. "${broken[0].text || broken[0].url}" (${broken[0].health.statusCode || broken[0].health.error}) ${formatBox(broken[0].boundingBox)}`);
+  }
+  return lines;
+}
+
+/**
+ * Builds the evidence lines for the vision prompt, trimmed to MAX_CONTEXT_CHARS
+ * @param {Object} data - Measurements from the page session
+ * @param {Object} [data.performance] - Performance metrics with graded Core Web Vitals
+ * @param {Object} [data.accessibility] - WCAG rule engine results
+ * @param {Object} [data.meta] - Meta information
+ * @param {Array<Object>} [data.navigationElements] - Links and buttons
+ * @returns {Array<string>} Evidence lines, most important first
+ */
+function buildEvidence(data = {}) {
+  const lines = [
+    ...performanceService.toEvidence(data.performance).map((line) => `Performance: ${line}`),
+    ...accessibilityFacts(data.accessibility),
+    ...navigationFacts(data.navigationElements),
+    ...metaFacts(data.meta),
+  ];
+
+  const evidence = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length > MAX_CONTEXT_CHARS) {
+      break;
+    }
+    evidence.push(line);
+    length += line.length;
+  }
+  return evidence;
+}
+
+module.exports = {
+  buildEvidence,
+};
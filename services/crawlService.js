@@ -0,0 +1,433 @@
+const crypto = require("crypto");
+
+// Services
+const analysisService = require("./analysisService");
+const analysisStore = require("./analysisStore");
+const usageService = require("./usageService");
+
+// Utils
+const { parseRobots, isAllowed } = require("../utils/robots");
+const { fetchAllowed } = require("../utils/urlValidator");
+
+/**
+ * Site crawl mode
+ * Starts from a URL (and optionally its sitemap), follows same-origin links found by the
+ * navigation step, respects robots.txt, and runs the regular per-page analysis on each page
+ */
+
+const CRAWL_USER_AGENT = process.env.CRAWL_USER_AGENT || "uxray";
+const MAX_CRAWL_PAGES = parseInt(process.env.MAX_CRAWL_PAGES, 10) || 50;
+const MAX_CRAWL_DEPTH = parseInt(process.env.MAX_CRAWL_DEPTH, 10) || 3;
+const CRAWL_CONCURRENCY = parseInt(process.env.CRAWL_CONCURRENCY, 10) || 2;
+const FETCH_TIMEOUT_MS = parseInt(process.env.CRAWL_FETCH_TIMEOUT_MS, 10) || 10000;
+const MAX_SITEMAP_FILES = 10;
+const WORST_PAGES_COUNT = 5;
+
+// Links to files the page pipeline cannot analyze
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|jpe?g|png|gif|svg|webp|ico|mp3|mp4|webm|docx?|xlsx?|pptx?|csv|xml|json)$/i;
+
+const SEVERITY_WEIGHTS = { critical: 5, warning: 3, suggestion: 1, info: 0 };
+
+/**
+ * Builds an invalid result in the same shape as validateUrl
+ * @param {string} details - Explanation for the client
+ * @returns {Object} Validation result
+ */
+function invalid(details) {
+  return {
+    isValid: false,
+    error: {
+      status: 400,
+      message: "Invalid crawl options",
+      details: details,
+    },
+  };
+}
+
+/**
+ * Validates crawl limits and the sitemap option
+ * @param {string} url - Start URL (already validated)
+ * @param {Object} body - Request body ({maxPages, maxDepth, sitemap})
+ * @returns {Object} Validation result with isValid flag and resolved options or error
+ */
+function validateCrawlOptions(url, body) {
+  const maxPages = body.maxPages === undefined ? Math.min(20, MAX_CRAWL_PAGES) : body.maxPages;
+  const maxDepth = body.maxDepth === undefined ? Math.min(2, MAX_CRAWL_DEPTH) : body.maxDepth;
+
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_CRAWL_PAGES) {
+    return invalid(`maxPages must be an integer between 1 and ${MAX_CRAWL_PAGES}`);
+  }
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > MAX_CRAWL_DEPTH) {
+    return invalid(`maxDepth must be an integer between 0 and ${MAX_CRAWL_DEPTH}`);
+  }
+
+  const { sitemap = false } = body;
+  if (typeof sitemap === "string") {
+    let sitemapUrl;
+    try {
+      sitemapUrl = new URL(sitemap);
+    } catch {
+      return invalid("sitemap must be true or a sitemap URL");
+    }
+    if (sitemapUrl.origin !== new URL(url).origin) {
+      return invalid("sitemap must be on the same origin as url");
+    }
+  } else if (typeof sitemap !== "boolean") {
+    return invalid("sitemap must be true or a sitemap URL");
+  }
+
+  return { isValid: true, options: { maxPages, maxDepth, sitemap } };
+}
+
+/**
+ * Fetches a text resource with the crawler user agent
+ * @param {string} url - Resource URL
+ * @returns {Promise<string|null>} Body, or null when missing or unreachable
+ */
+async function fetchText(url) {
+  try {
+    // Sitemap entries and robots.txt redirects are checked against the URL policy
+    const response = await fetchAllowed(url, {
+      headers: { "User-Agent": CRAWL_USER_AGENT },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    return response.ok ? await response.text() : null;
+  } catch (error) {
+    console.log(`[CRAWL] Could not fetch ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads and parses the site's robots.txt
+ * @param {string} origin - Site origin
+ * @returns {Promise<Object|null>} Parsed robots.txt, or null when there is none
+ */
+async function loadRobots(origin) {
+  const text = await fetchText(`${origin}/robots.txt`);
+  return text === null ? null : parseRobots(text);
+}
+
+/**
+ * Collects page URLs from a sitemap, following sitemap indexes
+ * @param {Array<string>} sitemapUrls - Sitemaps to read
+ * @param {string} origin - Only URLs on this origin are kept
+ * @returns {Promise<Array<string>>} Page URLs
+ */
+async function loadSitemap(sitemapUrls, origin) {
+  const pending = [...sitemapUrls];
+  const pages = [];
+  let filesRead = 0;
+
+  while (pending.length > 0 && filesRead < MAX_SITEMAP_FILES) {
+    const xml = await fetchText(pending.shift());
+    filesRead++;
+    if (!xml) {
+      continue;
+    }
+
+    const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((match) =>
+      match[1].replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+    );
+    if (/<sitemapindex/i.test(xml)) {
+      pending.push(...locations.filter((location) => isSameOrigin(location, origin)));
+    } else {
+      pages.push(...locations.filter((location) => normalizeLink(location, origin)));
+    }
+  }
+
+  console.log(`[CRAWL] Sitemap listed ${pages.length} pages (${filesRead} files read)`);
+  return pages.map((page) => normalizeLink(page, origin));
+}
+
+/**
+ * Checks that a URL belongs to the crawled site
+ * @param {string} href - Absolute URL
+ * @param {string} origin - Site origin
+ * @returns {boolean} True if same origin
+ */
+function isSameOrigin(href, origin) {
+  try {
+    return new URL(href).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalizes a link for crawling: same origin, http(s), no fragment, no file downloads
+ * @param {string} href - Absolute link
+ * @param {string} origin - Site origin
+ * @returns {string|null} Normalized URL, or null if it should not be crawled
+ */
+function normalizeLink(href, origin) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return null;
+  }
+  if (url.origin !== origin || !["http:", "https:"].includes(url.protocol) || SKIPPED_EXTENSIONS.test(url.pathname)) {
+    return null;
+  }
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * Keys that identify the same problem on different pages
+ * @param {Object} analysis - Page analysis result
+ * @returns {Map<string, string>} Issue key -> example message
+ */
+function issueKeys(analysis) {
+  const keys = new Map();
+  (analysis.accessibility?.violations || []).forEach((violation) => {
+    keys.set(`accessibility:${violation.rule}`, violation.message);
+  });
+  (analysis.aiAnalysis?.report || []).forEach((issue) => {
+    // Numbers differ between pages ("only 18x18px"), so they are not part of the key
+    const normalized = String(issue.message || "").toLowerCase().replace(/\d+(\.\d+)?/g, "#").trim();
+    keys.set(`${issue.type || "ux"}:${normalized}`, issue.message);
+  });
+  return keys;
+}
+
+/**
+ * Summarizes one analyzed page for the crawl result
+ * @param {Object} analysis - Page analysis result
+ * @param {number} depth - Link depth from the start page
+ * @returns {Object} Page entry
+ */
+function summarizePage(analysis, depth) {
+  const report = analysis.aiAnalysis?.report || [];
+  const severityCounts = report.reduce((counts, issue) => {
+    counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    url: analysis.url,
+    depth: depth,
+    status: "success",
+    analysisId: analysis.id,
+    statusCode: analysis.statusCode,
+    title: analysis.pageInfo?.title || null,
+    issueCount: report.length,
+    severityCounts: severityCounts,
+    score: report.reduce((sum, issue) => sum + (SEVERITY_WEIGHTS[issue.severity] || 0), 0),
+    accessibilityViolations: analysis.accessibility?.summary?.total ?? (analysis.accessibility?.violations || []).length,
+    hasMetaDescription: !!analysis.meta?.description,
+    screenshot: analysis.screenshot,
+  };
+}
+
+/**
+ * Re-applies the usage key's AI budget before a page, so a crawl cannot overshoot it by
+ * many pages; once the budget is used up with onExceeded "reject", the remaining pages use
+ * the rule-based analyzer
+ * @param {Object} ai - AI options of the crawl (with usageKey)
+ * @returns {Promise<Object>} AI options for the page
+ */
+async function budgetedAi(ai) {
+  if (!ai.usageKey) {
+    return ai;
+  }
+  const budgetCheck = await usageService.applyBudget(ai.usageKey, ai);
+  return budgetCheck.isValid ? budgetCheck.ai : { ...ai, disableAI: budgetCheck.error.details };
+}
+
+/**
+ * Builds the site-level summary
+ * @param {Array<Object>} pages - Page entries
+ * @param {Map<string, Map<string, string>>} pageIssues - Page URL -> issue keys
+ * @param {Map<string, Set<string>>} linkedFrom - Page URL -> pages linking to it
+ * @param {Map<string, Object>} brokenLinks - Link URL -> link health and the pages it is broken on
+ * @returns {Object} Summary
+ */
+function buildSummary(pages, pageIssues, linkedFrom, brokenLinks) {
+  const analyzed = pages.filter((page) => page.status === "success");
+
+  // Issues found on at least two pages
+  const recurring = new Map();
+  pageIssues.forEach((keys, url) => {
+    keys.forEach((example, key) => {
+      const entry = recurring.get(key) || { key, type: key.split(":")[0], example, pages: [] };
+      entry.pages.push(url);
+      recurring.set(key, entry);
+    });
+  });
+
+  return {
+    pagesAnalyzed: analyzed.length,
+    pagesFailed: pages.length - analyzed.length,
+    totalIssues: analyzed.reduce((sum, page) => sum + page.issueCount, 0),
+    worstPages: [...analyzed]
+      .sort((a, b) => b.score - a.score || b.issueCount - a.issueCount)
+      .slice(0, WORST_PAGES_COUNT)
+      .map((page) => ({ url: page.url, analysisId: page.analysisId, score: page.score, issueCount: page.issueCount })),
+    recurringIssues: [...recurring.values()]
+      .filter((entry) => entry.pages.length > 1)
+      .sort((a, b) => b.pages.length - a.pages.length)
+      .map((entry) => ({ ...entry, pageCount: entry.pages.length })),
+    // Internal links the link checker found broken on the analyzed pages
+    brokenLinks: [...brokenLinks.values()]
+      .sort((a, b) => b.linkedFrom.size - a.linkedFrom.size)
+      .map((link) => ({ ...link, linkedFrom: [...link.linkedFrom] })),
+    // Pages whose analysis failed (navigation errors, timeouts, HTTP errors)
+    failedPages: pages
+      .filter((page) => page.status === "failed")
+      .map((page) => ({
+        url: page.url,
+        statusCode: page.statusCode,
+        error: page.error,
+        linkedFrom: [...(linkedFrom.get(page.url) || [])],
+      })),
+    missingMetaDescriptions: analyzed
+      .filter((page) => !page.hasMetaDescription)
+      .map((page) => ({ url: page.url, analysisId: page.analysisId })),
+  };
+}
+
+/**
+ * Crawls a site and analyzes each discovered page
+ * Stages reported through onProgress: seeded, page_completed (per page)
+ * @param {string} startUrl - Start URL (already validated)
+ * @param {Object} options - Crawl options
+ * @param {string} options.baseUrl - Backend base URL used to build full screenshot URLs
+ * @param {string} [options.id] - Crawl id (defaults to a new UUID; async jobs reuse their job id)
+ * @param {number} options.maxPages - Maximum pages to analyze
+ * @param {number} options.maxDepth - Maximum link depth from the start page (and sitemap pages)
+ * @param {boolean|string} [options.sitemap] - true to read the site's sitemap, or a sitemap URL
+ * @param {Object} [options.ai] - Vision model selection and evaluation framework ({provider, model, framework})
+ * @param {Object} [options.apiKey] - API key that requested the crawl ({id, name}), kept on the crawl and its pages
+ * @param {Function} [options.onProgress] - Called with (stage, partialResult) after each stage
+ * @returns {Promise<Object>} Crawl result with per-page entries and a site summary
+ */
+async function runCrawl(startUrl, options) {
+  const { baseUrl = "", maxPages, maxDepth, sitemap = false, ai = {}, apiKey = null, onProgress = () => {} } = options;
+
+  const id = options.id || crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const origin = new URL(startUrl).origin;
+
+  console.log(`[CRAWL] Crawling ${origin} (max ${maxPages} pages, depth ${maxDepth})`);
+  const robots = await loadRobots(origin);
+
+  const queue = [];
+  const seen = new Set();
+  const skipped = [];
+  const linkedFrom = new Map();
+
+  const enqueue = (url, depth, referrer) => {
+    if (referrer) {
+      linkedFrom.set(url, (linkedFrom.get(url) || new Set()).add(referrer));
+    }
+    if (seen.has(url)) {
+      return;
+    }
+    seen.add(url);
+    const { pathname, search } = new URL(url);
+    if (!isAllowed(robots, CRAWL_USER_AGENT, pathname + search)) {
+      skipped.push({ url, reason: "Disallowed by robots.txt" });
+      return;
+    }
+    queue.push({ url, depth });
+  };
+
+  enqueue(normalizeLink(startUrl, origin) || startUrl, 0, null);
+
+  if (sitemap) {
+    const sitemapUrls = typeof sitemap === "string"
+      ? [sitemap]
+      : (robots ? robots.sitemaps : []).filter((url) => isSameOrigin(url, origin));
+    if (sitemapUrls.length === 0) {
+      sitemapUrls.push(`${origin}/sitemap.xml`);
+    }
+    (await loadSitemap(sitemapUrls, origin)).forEach((url) => enqueue(url, 0, null));
+  }
+  onProgress("seeded", { queued: queue.length, skipped });
+
+  const pages = [];
+  const pageIssues = new Map();
+  const brokenLinks = new Map();
+
+  const crawlPage = async ({ url, depth }) => {
+    try {
+      const analysis = await analysisService.runAnalysis(url, { baseUrl, ai: await budgetedAi(ai), apiKey });
+      pages.push(summarizePage(analysis, depth));
+      pageIssues.set(url, issueKeys(analysis));
+
+      (analysis.navigation || [])
+        .filter((element) => element.type === "a" && element.health?.status === "broken" && isSameOrigin(element.url, origin))
+        .forEach((element) => {
+          const link = element.url.split("#")[0];
+          const entry = brokenLinks.get(link) || {
+            url: link,
+            statusCode: element.health.statusCode,
+            error: element.health.error,
+            linkedFrom: new Set(),
+          };
+          entry.linkedFrom.add(url);
+          brokenLinks.set(link, entry);
+        });
+
+      if (depth < maxDepth) {
+        (analysis.navigation || [])
+          .filter((element) => element.type === "a" && element.url)
+          .map((element) => normalizeLink(element.url, origin))
+          .filter(Boolean)
+          .forEach((link) => enqueue(link, depth + 1, url));
+      }
+    } catch (error) {
+      const statusMatch = error.message.match(/HTTP (\d{3})/);
+      console.log(`[CRAWL] Page failed: ${url} (${error.message})`);
+      pages.push({
+        url: url,
+        depth: depth,
+        status: "failed",
+        statusCode: statusMatch ? Number(statusMatch[1]) : null,
+        error: error.message,
+      });
+    }
+    onProgress("page_completed", { pages: [...pages], queued: queue.length });
+  };
+
+  // Pages at the front of the queue run a few at a time; the browser pool bounds the rest
+  while (queue.length > 0 && pages.length < maxPages) {
+    const batch = queue.splice(0, Math.min(CRAWL_CONCURRENCY, maxPages - pages.length));
+    await Promise.all(batch.map(crawlPage));
+  }
+
+  const crawl = {
+    id: id,
+    createdAt: createdAt,
+    type: "crawl",
+    message: "Crawl completed successfully",
+    url: startUrl,
+    status: "success",
+    ...(apiKey && { apiKey }),
+    options: { maxPages, maxDepth, sitemap },
+    robots: {
+      found: !!robots,
+      sitemaps: robots ? robots.sitemaps : [],
+    },
+    pages: pages,
+    notVisited: queue.map((entry) => entry.url),
+    skipped: skipped,
+    summary: buildSummary(pages, pageIssues, linkedFrom, brokenLinks),
+  };
+
+  try {
+    await analysisStore.saveAnalysis(crawl);
+  } catch (error) {
+    console.error(`[CRAWL] Failed to persist crawl ${id}: ${error.message}`);
+  }
+  console.log(`[CRAWL] Crawl finished: ${pages.length} pages, ${queue.length} not visited, ${skipped.length} skipped`);
+  return crawl;
+}
+
+module.exports = {
+  validateCrawlOptions,
+  normalizeLink,
+  runCrawl,
+};
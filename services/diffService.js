@@ -0,0 +1,185 @@
+const { createCanvas, loadImage } = require("canvas");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Visual regression diff between two screenshots
+ * Pixels are compared on a shared canvas; pages of different heights count the
+ * area covered by only one screenshot as changed
+ */
+
+// Per-channel colour distance (0-1) above which a pixel counts as changed
+const DEFAULT_THRESHOLD = 0.1;
+// Changed pixels are grouped on a grid of this size before regions are merged
+const REGION_CELL_SIZE = 16;
+const MAX_REGIONS = 50;
+
+/**
+ * Draws an image onto a canvas of the shared comparison size and returns its pixels
+ * @param {Image} img - Loaded image
+ * @param {number} width - Comparison width
+ * @param {number} height - Comparison height
+ * @returns {Uint8ClampedArray} RGBA pixel data
+ */
+function getPixels(img, width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Groups changed grid cells into connected regions and returns their bounding boxes
+ * @param {Uint8Array} cells - 1 for each grid cell containing a changed pixel
+ * @param {number} columns - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {number} width - Image width (to clip boxes)
+ * @param {number} height - Image height (to clip boxes)
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} Changed regions, largest first
+ */
+function findRegions(cells, columns, rows, width, height) {
+  const visited = new Uint8Array(cells.length);
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || visited[start]) {
+      continue;
+    }
+
+    // Flood fill over neighbouring changed cells
+    let minCol = columns, minRow = rows, maxCol = 0, maxRow = 0;
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const col = cell % columns;
+      const row = Math.floor(cell / columns);
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      const neighbours = [
+        col > 0 ? cell - 1 : -1,
+        col < columns - 1 ? cell + 1 : -1,
+        row > 0 ? cell - columns : -1,
+        row < rows - 1 ? cell + columns : -1,
+      ];
+      neighbours.forEach((next) => {
+        if (next >= 0 && cells[next] && !visited[next]) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      });
+    }
+
+    const x = minCol * REGION_CELL_SIZE;
+    const y = minRow * REGION_CELL_SIZE;
+    regions.push({
+      x: x,
+      y: y,
+      width: Math.min((maxCol + 1) * REGION_CELL_SIZE, width) - x,
+      height: Math.min((maxRow + 1) * REGION_CELL_SIZE, height) - y,
+    });
+  }
+
+  return regions
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, MAX_REGIONS);
+}
+
+/**
+ * Compares two screenshots and saves a diff image
+ * The diff image shows the newer screenshot faded, with changed pixels in red and
+ * changed regions outlined
+ * @param {Buffer} baseBuffer - Earlier screenshot
+ * @param {Buffer} targetBuffer - Newer screenshot
+ * @param {string} diffFilename - Filename to save the diff image under
+ * @param {Object} [options] - {threshold: 0-1 colour distance}
+ * @returns {Promise<Object>} Diff stats, regions and saved image info
+ */
+async function compareScreenshots(baseBuffer, targetBuffer, diffFilename, options = {}) {
+  const threshold = typeof options.threshold === "number" ? options.threshold : DEFAULT_THRESHOLD;
+  console.log(`[DIFF] Comparing screenshots (threshold ${threshold})...`);
+
+  const [baseImg, targetImg] = await Promise.all([loadImage(baseBuffer), loadImage(targetBuffer)]);
+  const width = Math.max(baseImg.width, targetImg.width);
+  const height = Math.max(baseImg.height, targetImg.height);
+
+  const basePixels = getPixels(baseImg, width, height);
+  const targetPixels = getPixels(targetImg, width, height);
+
+  // Start the diff image from a faded copy of the newer screenshot
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, width, height);
+  ctx.globalAlpha = 0.25;
+  ctx.drawImage(targetImg, 0, 0);
+  ctx.globalAlpha = 1;
+  const diffData = ctx.getImageData(0, 0, width, height);
+
+  const columns = Math.ceil(width / REGION_CELL_SIZE);
+  const rows = Math.ceil(height / REGION_CELL_SIZE);
+  const cells = new Uint8Array(columns * rows);
+  const maxDistance = threshold * 255 * 3;
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const inBase = x < baseImg.width && y < baseImg.height;
+      const inTarget = x < targetImg.width && y < targetImg.height;
+
+      let changed = inBase !== inTarget;
+      if (!changed) {
+        const distance =
+          Math.abs(basePixels[i] - targetPixels[i]) +
+          Math.abs(basePixels[i + 1] - targetPixels[i + 1]) +
+          Math.abs(basePixels[i + 2] - targetPixels[i + 2]);
+        changed = distance > maxDistance;
+      }
+
+      if (changed) {
+        changedPixels++;
+        diffData.data[i] = 255;
+        diffData.data[i + 1] = 0;
+        diffData.data[i + 2] = 0;
+        diffData.data[i + 3] = 255;
+        cells[Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE)] = 1;
+      }
+    }
+  }
+  ctx.putImageData(diffData, 0, 0);
+
+  const regions = findRegions(cells, columns, rows, width, height);
+
+  // Outline changed regions so small changes are easy to spot
+  ctx.strokeStyle = "rgba(255, 0, 255, 0.9)";
+  ctx.lineWidth = 2;
+  regions.forEach((region) => ctx.strokeRect(region.x, region.y, region.width, region.height));
+
+  const buffer = canvas.toBuffer("image/png");
+  const filepath = path.join(__dirname, "../screenshots", diffFilename);
+  await fs.writeFile(filepath, buffer);
+
+  const totalPixels = width * height;
+  const changedPercentage = totalPixels ? Number(((changedPixels / totalPixels) * 100).toFixed(3)) : 0;
+  console.log(`[DIFF] ${changedPercentage}% of pixels changed across ${regions.length} regions`);
+
+  return {
+    filename: diffFilename,
+    url: `/screenshots/${diffFilename}`,
+    width: width,
+    height: height,
+    sizeChanged: baseImg.width !== targetImg.width || baseImg.height !== targetImg.height,
+    changedPixels: changedPixels,
+    totalPixels: totalPixels,
+    changedPercentage: changedPercentage,
+    regions: regions,
+  };
+}
+
+module.exports = {
+  compareScreenshots,
+};
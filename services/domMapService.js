@@ -0,0 +1,228 @@
+/**
+ * DOM element map
+ * Captures the visible elements of the page (selector, role, text, bounding box) while the
+ * page session is open, so issue regions predicted from pixels can be snapped to the real
+ * element they point at and reported with a CSS selector
+ */
+
+const MAX_DOM_ELEMENTS = parseInt(process.env.MAX_DOM_ELEMENTS, 10) || 1500;
+// Minimum overlap (intersection over union) for an AI box to be snapped to an element
+const MIN_SNAP_IOU = parseFloat(process.env.MIN_SNAP_IOU) || 0.3;
+
+/**
+ * Extracts the visible elements of the page with their bounding boxes
+ * @param {Page} page - Playwright page instance
+ * @param {Object} [options]
+ * @param {boolean} [options.fullPage=true] - Page-space boxes (full-page screenshots); false for
+ *   viewport-space boxes limited to elements inside the viewport
+ * @returns {Promise<Array<Object>>} Elements ({selector, tag, role, text, snippet, boundingBox})
+ */
+async function getDomMap(page, options = {}) {
+  const { fullPage = true } = options;
+  console.log("[DOM_MAP] Capturing DOM element map...");
+
+  const elements = await page.evaluate(
+    ({ fullPage, maxElements }) => {
+      const cssEscape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value);
+
+      const getSelector = (el) => {
+        if (el.id && document.querySelectorAll(`#${cssEscape(el.id)}`).length === 1) {
+          return `#${cssEscape(el.id)}`;
+        }
+        const parts = [];
+        let node = el;
+        while (node && node.nodeType === 1 && node !== document.documentElement) {
+          if (node.id && document.querySelectorAll(`#${cssEscape(node.id)}`).length === 1) {
+            parts.unshift(`#${cssEscape(node.id)}`);
+            break;
+          }
+          let part = node.tagName.toLowerCase();
+          const parent = node.parentElement;
+          if (parent) {
+            const sameTag = Array.from(parent.children).filter((child) => child.tagName === node.tagName);
+            if (sameTag.length > 1) {
+              part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+            }
+          }
+          parts.unshift(part);
+          node = parent;
+        }
+        return parts.join(" > ") || "html";
+      };
+
+      // Implicit ARIA roles of the common landmark and widget elements
+      const implicitRoles = {
+        a: "link",
+        button: "button",
+        nav: "navigation",
+        header: "banner",
+        footer: "contentinfo",
+        main: "main",
+        aside: "complementary",
+        form: "form",
+        img: "img",
+        select: "combobox",
+        textarea: "textbox",
+        ul: "list",
+        ol: "list",
+        li: "listitem",
+        table: "table",
+        h1: "heading",
+        h2: "heading",
+        h3: "heading",
+        h4: "heading",
+        h5: "heading",
+        h6: "heading",
+      };
+      const inputRoles = { checkbox: "checkbox", radio: "radio", range: "slider", submit: "button", button: "button" };
+      const getRole = (el) => {
+        const tag = el.tagName.toLowerCase();
+        if (el.getAttribute("role")) return el.getAttribute("role");
+        if (tag === "a" && !el.hasAttribute("href")) return null;
+        if (tag === "input") return inputRoles[el.type] || "textbox";
+        return implicitRoles[tag] || null;
+      };
+
+      // Opening tag plus the start of the content, enough to recognize the element in source
+      const snippet = (el) => {
+        const html = el.outerHTML.replace(/\s+/g, " ");
+        const openTag = html.slice(0, html.indexOf(">") + 1);
+        const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+        return `${openTag.slice(0, 160)}${text.slice(0, 60)}${text.length > 60 ? "…" : ""}`;
+      };
+
+      const offsetX = fullPage ? window.scrollX : 0;
+      const offsetY = fullPage ? window.scrollY : 0;
+      const result = [];
+
+      for (const el of document.body ? document.body.querySelectorAll("*") : []) {
+        if (result.length >= maxElements) break;
+        const tag = el.tagName.toLowerCase();
+        if (["script", "style", "noscript", "template", "br", "wbr"].includes(tag)) continue;
+
+        const rect = el.getBoundingClientRect();
+        if (rect.width < 1 || rect.height < 1) continue;
+        if (!fullPage && (rect.bottom <= 0 || rect.right <= 0 || rect.top >= innerHeight || rect.left >= innerWidth)) {
+          continue;
+        }
+        const style = getComputedStyle(el);
+        if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") continue;
+
+        result.push({
+          selector: getSelector(el),
+          tag: tag,
+          role: getRole(el),
+          text: (el.getAttribute("aria-label") || el.innerText || el.getAttribute("alt") || "")
+            .replace(/\s+/g, " ")
+            .trim()
+            .slice(0, 100),
+          snippet: snippet(el),
+          boundingBox: {
+            x: Math.round(rect.x + offsetX),
+            y: Math.round(rect.y + offsetY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+          },
+        });
+      }
+      return result;
+    },
+    { fullPage, maxElements: MAX_DOM_ELEMENTS }
+  );
+
+  console.log(`[DOM_MAP] Captured ${elements.length} elements`);
+  return elements;
+}
+
+/**
+ * Intersection over union of two boxes
+ * @param {Object} a - {x, y, width, height}
+ * @param {Object} b - {x, y, width, height}
+ * @returns {number} Overlap between 0 and 1
+ */
+function intersectionOverUnion(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+/**
+ * Clamps a box to the image
+ * @param {Object} box - {x, y, width, height}
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object|null} Clamped box, or null when nothing of it is inside the image
+ */
+function clampBox(box, imageWidth, imageHeight) {
+  const x = Math.max(0, box.x);
+  const y = Math.max(0, box.y);
+  const width = Math.min(imageWidth, box.x + box.width) - x;
+  const height = Math.min(imageHeight, box.y + box.height) - y;
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+/**
+ * Snaps each issue region to the DOM element it overlaps best and adds the element's
+ * selector and snippet. Issues without a good match keep their box (clamped to the image)
+ * @param {Array<Object>} report - Report items with predicted coordinates
+ * @param {Array<Object>} domMap - Result of getDomMap
+ * @param {number} imageWidth - Screenshot width
+ * @param {number} imageHeight - Screenshot height
+ * @returns {Array<Object>} Report items; snapped ones get `element` (selector), `snippet` and
+ *   `snap` ({iou, tag, role, text, originalCoordinates})
+ */
+function snapToElements(report, domMap, imageWidth, imageHeight) {
+  let snapped = 0;
+
+  const result = report.map((issue) => {
+    const { x, y, width, height } = issue.coordinates || {};
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      return issue;
+    }
+    const predicted = { x, y, width, height };
+
+    let best = null;
+    let bestIou = 0;
+    for (const element of domMap) {
+      const iou = intersectionOverUnion(predicted, element.boundingBox);
+      if (iou > bestIou) {
+        best = element;
+        bestIou = iou;
+      }
+    }
+
+    if (!best || bestIou < MIN_SNAP_IOU) {
+      const clamped = clampBox(predicted, imageWidth, imageHeight);
+      return clamped ? { ...issue, coordinates: clamped } : { ...issue, coordinates: null };
+    }
+
+    snapped++;
+    return {
+      ...issue,
+      coordinates: { ...best.boundingBox },
+      // Same `element` (CSS selector) field the rule-based items use
+      element: best.selector,
+      snippet: best.snippet,
+      snap: {
+        iou: Number(bestIou.toFixed(2)),
+        tag: best.tag,
+        role: best.role,
+        text: best.text,
+        originalCoordinates: predicted,
+      },
+    };
+  });
+
+  console.log(`[DOM_MAP] Snapped ${snapped} of ${report.length} issues to DOM elements`);
+  return result;
+}
+
+module.exports = {
+  getDomMap,
+  snapToElements,
+  intersectionOverUnion,
+};
@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+
+// Services
+const analysisStore = require("./analysisStore");
+const authService = require("./authService");
+const browserPool = require("./browserPool");
+const stepRunner = require("./stepRunner");
+const screenshotService = require("./screenshotService");
+const navigationService = require("./navigationService");
+const domMapService = require("./domMapService");
+const aiService = require("./aiService");
+const annotationService = require("./annotationService");
+
+// Utils
+const { enforceUrlPolicy } = require("../utils/urlValidator");
+
+/**
+ * Scripted user-flow analysis
+ * Steps run in one page; steps marked with `capture: true` (or the last step when none are)
+ * get a viewport screenshot, navigation elements and an AI analysis. Viewport screenshots
+ * keep element boxes aligned with what the user actually sees after scrolling.
+ */
+
+const FLOW_ACTIONS = ["navigate", "click", "fill", "select", "scroll", "wait"];
+const MAX_FLOW_CAPTURES = parseInt(process.env.MAX_FLOW_CAPTURES, 10) || 10;
+
+/**
+ * Validates flow steps: allowed actions, a leading navigate step and the capture limit
+ * @param {Array<Object>} steps - Steps from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateFlow(steps) {
+  const stepsError = stepRunner.validateSteps(steps, FLOW_ACTIONS);
+  if (stepsError) {
+    return stepsError;
+  }
+  if (steps[0].action !== "navigate") {
+    return "The first step must be a navigate step";
+  }
+  const captureCount = steps.filter((step) => step.capture).length;
+  if (captureCount > MAX_FLOW_CAPTURES) {
+    return `At most ${MAX_FLOW_CAPTURES} steps can be captured`;
+  }
+  return null;
+}
+
+/**
+ * Returns the indexes of the steps to capture
+ * @param {Array<Object>} steps - Validated steps
+ * @returns {Array<number>} Step indexes
+ */
+function captureIndexes(steps) {
+  const chosen = steps.map((step, index) => (step.capture ? index : -1)).filter((index) => index >= 0);
+  return chosen.length > 0 ? chosen : [steps.length - 1];
+}
+
+/**
+ * Runs the steps in a pooled context and captures the chosen steps
+ * @param {Array<Object>} steps - Validated steps
+ * @param {Object|null} device - Resolved device or null
+ * @param {Object|null} auth - Resolved auth or null
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Array<Object>>} Step records, with a `capture` for captured steps
+ */
+async function runSteps(steps, device, auth, onProgress) {
+  const flowUrl = steps[0].url;
+  const toCapture = captureIndexes(steps);
+  let lease = null;
+
+  try {
+    lease = await browserPool.acquireContext({
+      ...(device ? device.contextOptions : {}),
+      ...(auth ? auth.contextOptions : {}),
+    });
+    await enforceUrlPolicy(lease.context);
+    if (auth) {
+      await authService.applyAuth(lease.context, auth, flowUrl);
+    }
+    const page = await lease.context.newPage();
+
+    const records = [];
+    for (let i = 0; i < steps.length; i++) {
+      await stepRunner.runStep(page, steps[i], i, "Flow step");
+      const record = {
+        index: i + 1,
+        action: steps[i].action,
+        description: stepRunner.describeStep(steps[i]),
+        url: page.url(),
+      };
+
+      if (toCapture.includes(i)) {
+        const label = [device?.name, `step-${i + 1}`].filter(Boolean).join(" ");
+        const [title, screenshot, navigationElements, domMap] = await Promise.all([
+          page.title(),
+          screenshotService.captureScreenshot(page, flowUrl, label, { fullPage: false }),
+          navigationService.getNavigationElements(page),
+          domMapService.getDomMap(page, { fullPage: false }),
+        ]);
+        record.title = title;
+        record.capture = { screenshot, navigationElements, domMap };
+      }
+
+      records.push(record);
+      onProgress("step_completed", {
+        steps: records.map(({ capture, ...rest }) => ({ ...rest, captured: !!capture })),
+      });
+    }
+    return records;
+  } finally {
+    if (lease) {
+      await lease.release();
+    }
+  }
+}
+
+/**
+ * Runs the AI analysis and annotation for one captured step
+ * @param {Object} record - Step record with a capture
+ * @param {Array<Object>} records - All step records (for the interaction context)
+ * @param {Object} options - {baseUrl, ai}
+ * @returns {Promise<Object>} Step report
+ */
+async function analyzeCapture(record, records, options) {
+  const { baseUrl, ai = {} } = options;
+  const { screenshot, navigationElements, domMap } = record.capture;
+
+  const previous = records.filter((other) => other.index < record.index);
+  const context = [
+    `Step ${record.index} of ${records.length}: ${record.description}`,
+    ...(previous.length > 0 ? [`Earlier steps: ${previous.map((other) => other.description).join("; ")}`] : []),
+    `Current page: ${record.title ? `"${record.title}" ` : ""}${record.url}`,
+  ];
+
+  console.log(`[FLOW] Analyzing step ${record.index} (${screenshot.width}x${screenshot.height}px)...`);
+  const aiAnalysis = await aiService.analyzeWithAI(
+    record.url,
+    screenshot.base64,
+    navigationElements,
+    screenshot.width,
+    screenshot.height,
+    { context, domMap, ...ai }
+  );
+
+  const annotatedScreenshot = await annotationService.annotateScreenshot(
+    screenshot.buffer,
+    aiAnalysis.coordinates,
+    navigationElements,
+    aiAnalysis.report,
+    screenshot.filename
+  );
+
+  const { capture, ...step } = record;
+  return {
+    ...step,
+    captured: true,
+    navigation: navigationElements,
+    screenshot: `${baseUrl}${annotatedScreenshot.url}`,
+    screenshotInfo: {
+      original: {
+        filename: screenshot.filename,
+        url: screenshot.url,
+        fullUrl: `${baseUrl}${screenshot.url}`,
+      },
+      annotated: {
+        filename: annotatedScreenshot.filename,
+        url: annotatedScreenshot.url,
+        fullUrl: `${baseUrl}${annotatedScreenshot.url}`,
+      },
+    },
+    aiAnalysis: {
+      engine: aiAnalysis.engine,
+      ...(aiAnalysis.fallbackReason && { fallbackReason: aiAnalysis.fallbackReason }),
+      coordinates: aiAnalysis.coordinates,
+      report: aiAnalysis.report,
+      timestamp: aiAnalysis.timestamp,
+      provider: aiAnalysis.provider || null,
+      model: aiAnalysis.model || null,
+      ...(aiAnalysis.framework && { framework: aiAnalysis.framework }),
+      ...(aiAnalysis.quality && { quality: aiAnalysis.quality }),
+      ...(aiAnalysis.cache && { cache: aiAnalysis.cache }),
+      ...(aiAnalysis.usage && { usage: aiAnalysis.usage }),
+    },
+  };
+}
+
+/**
+ * Runs a scripted user flow, analyzes the captured steps and builds a filmstrip
+ * Stages reported through onProgress: step_completed (per step), ai_completed (per capture), filmstrip_created
+ * @param {Array<Object>} steps - Steps validated with validateFlow
+ * @param {Object} options - Pipeline options
+ * @param {string} options.baseUrl - Backend base URL used to build full screenshot URLs
+ * @param {string} [options.id] - Analysis id (defaults to a new UUID; async jobs reuse their job id)
+ * @param {Object} [options.device] - Resolved device from resolveDevices
+ * @param {Object} [options.ai] - Vision model selection and evaluation framework ({provider, model, framework})
+ * @param {Object} [options.auth] - Resolved auth from authService.resolveAuth
+ * @param {Object} [options.apiKey] - API key that requested the flow ({id, name}), kept on the record
+ * @param {Function} [options.onProgress] - Called with (stage, partialResult) after each stage
+ * @returns {Promise<Object>} Flow analysis result
+ */
+async function runFlow(steps, options = {}) {
+  const { baseUrl = "", device = null, ai = {}, auth = null, apiKey = null, onProgress = () => {} } = options;
+
+  const id = options.id || crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const flowUrl = steps[0].url;
+
+  console.log(`[FLOW] Running ${steps.length} steps starting at ${flowUrl}`);
+  const records = await runSteps(steps, device, auth, onProgress);
+
+  // AI calls run after the context is back in the pool, one capture at a time
+  const reports = [];
+  for (const record of records) {
+    if (!record.capture) {
+      reports.push({ ...record, captured: false });
+      continue;
+    }
+    reports.push(await analyzeCapture(record, records, { baseUrl, ai }));
+    onProgress("ai_completed", { steps: reports });
+  }
+
+  const frames = records
+    .filter((record) => record.capture)
+    .map((record) => ({ buffer: record.capture.screenshot.buffer, caption: `${record.index}. ${record.description}` }));
+  const filmstrip = await screenshotService.createFilmstrip(frames, flowUrl);
+  onProgress("filmstrip_created", { filmstrip: { ...filmstrip, fullUrl: `${baseUrl}${filmstrip.url}` } });
+
+  const flow = {
+    id: id,
+    createdAt: createdAt,
+    type: "flow",
+    message: "Flow analysis completed successfully",
+    url: flowUrl,
+    status: "success",
+    ...(apiKey && { apiKey }),
+    ...(device && {
+      device: {
+        name: device.name,
+        viewport: device.contextOptions.viewport,
+        deviceScaleFactor: device.contextOptions.deviceScaleFactor || 1,
+        isMobile: !!device.contextOptions.isMobile,
+      },
+    }),
+    steps: reports,
+    filmstrip: {
+      filename: filmstrip.filename,
+      url: filmstrip.url,
+      fullUrl: `${baseUrl}${filmstrip.url}`,
+    },
+  };
+
+  try {
+    await analysisStore.saveAnalysis(flow);
+  } catch (error) {
+    console.error(`[FLOW] Failed to persist flow ${id}: ${error.message}`);
+  }
+  return flow;
+}
+
+module.exports = {
+  FLOW_ACTIONS,
+  validateFlow,
+  describeStep: stepRunner.describeStep,
+  runFlow,
+};
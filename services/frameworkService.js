@@ -0,0 +1,230 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Evaluation frameworks: the criteria the vision model audits a page against
+ * Built-in frameworks live in config/frameworks/*.json; custom frameworks (e.g. a team's
+ * design system guidelines) are created through the API and stored under data/frameworks,
+ * one subdirectory per API key ("anonymous" without a key): only that key can use them.
+ * A framework: {name, title, description, criteria: [{id, name, description}],
+ * severityGuidance: {critical, warning, suggestion, info}, issueTypes, instructions?}
+ */
+const BUILTIN_DIR = path.join(__dirname, "../config/frameworks");
+const FRAMEWORKS_DIR = process.env.FRAMEWORKS_DIR || path.join(__dirname, "../data/frameworks");
+const DEFAULT_FRAMEWORK = process.env.DEFAULT_FRAMEWORK || "nielsen";
+const NAME_PATTERN = /^[a-z0-9_-]{1,64}$/;
+const SEVERITIES = ["critical", "warning", "suggestion", "info"];
+const MAX_CRITERIA = 50;
+const MAX_INSTRUCTIONS_LENGTH = 4000;
+
+let builtins = null;
+
+/**
+ * Checks that a framework name is safe to use as a filename
+ * @param {string} name - Framework name
+ * @returns {boolean} True if valid
+ */
+function isValidName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+function ownerDir(owner) {
+  return path.join(FRAMEWORKS_DIR, path.basename(owner || "anonymous"));
+}
+
+function fileFor(name, owner) {
+  return path.join(ownerDir(owner), `${name}.json`);
+}
+
+/**
+ * Loads the built-in frameworks once
+ * @returns {Promise<Map<string, Object>>} Built-in frameworks by name
+ */
+async function loadBuiltins() {
+  if (!builtins) {
+    const files = (await fs.readdir(BUILTIN_DIR)).filter((file) => file.endsWith(".json"));
+    const frameworks = await Promise.all(
+      files.map(async (file) => JSON.parse(await fs.readFile(path.join(BUILTIN_DIR, file), "utf8")))
+    );
+    builtins = new Map(frameworks.map((framework) => [framework.name, { ...framework, builtIn: true }]));
+    console.log(`[FRAMEWORKS] Loaded ${builtins.size} built-in frameworks`);
+  }
+  return builtins;
+}
+
+/**
+ * Validates a framework definition
+ * @param {Object} framework - Framework from the request body
+ * @returns {{isValid: boolean, error?: Object}} Validation result
+ */
+function validateFramework(framework) {
+  const invalid = (details) => ({
+    isValid: false,
+    error: { status: 400, message: "Invalid framework", details: details },
+  });
+
+  if (!framework || typeof framework !== "object" || Array.isArray(framework)) {
+    return invalid("Framework must be an object");
+  }
+  if (!isValidName(framework.name)) {
+    return invalid("name must be 1-64 lowercase letters, digits, - or _");
+  }
+  if (typeof framework.title !== "string" || !framework.title.trim()) {
+    return invalid("title is required");
+  }
+  const { criteria } = framework;
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    return invalid(`criteria must be an array of 1-${MAX_CRITERIA} criteria`);
+  }
+  for (const [index, criterion] of criteria.entries()) {
+    if (!criterion || typeof criterion.id !== "string" || !criterion.id || typeof criterion.name !== "string" || !criterion.name) {
+      return invalid(`criteria[${index}] needs a string id and name`);
+    }
+  }
+  const ids = criteria.map((criterion) => criterion.id);
+  if (new Set(ids).size !== ids.length) {
+    return invalid("criteria ids must be unique");
+  }
+  if (framework.severityGuidance !== undefined) {
+    const unknown = Object.keys(framework.severityGuidance || {}).filter((key) => !SEVERITIES.includes(key));
+    if (typeof framework.severityGuidance !== "object" || unknown.length > 0) {
+      return invalid(`severityGuidance keys must be ${SEVERITIES.join(", ")}`);
+    }
+  }
+  if (framework.issueTypes !== undefined &&
+    (!Array.isArray(framework.issueTypes) || framework.issueTypes.some((type) => typeof type !== "string"))) {
+    return invalid("issueTypes must be an array of strings");
+  }
+  if (framework.instructions !== undefined &&
+    (typeof framework.instructions !== "string" || framework.instructions.length > MAX_INSTRUCTIONS_LENGTH)) {
+    return invalid(`instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+  }
+  return { isValid: true };
+}
+
+/**
+ * Loads a framework by name (built-in, or a custom framework of the API key)
+ * @param {string} [name] - Framework name (defaults to DEFAULT_FRAMEWORK)
+ * @param {string|null} [owner] - API key id whose custom frameworks are searched (null when anonymous)
+ * @returns {Promise<Object|null>} Framework or null
+ */
+async function getFramework(name = DEFAULT_FRAMEWORK, owner = null) {
+  const builtIn = (await loadBuiltins()).get(name);
+  if (builtIn) {
+    return builtIn;
+  }
+  if (!isValidName(name)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(fileFor(name, owner), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lists built-in frameworks and the API key's custom frameworks
+ * @param {string|null} [owner] - API key id (null when anonymous)
+ * @returns {Promise<Array<Object>>} Framework summaries
+ */
+async function listFrameworks(owner = null) {
+  let files = [];
+  try {
+    files = await fs.readdir(ownerDir(owner));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+  const custom = await Promise.all(
+    files.filter((file) => file.endsWith(".json")).map((file) => getFramework(file.replace(/\.json$/, ""), owner))
+  );
+  return [...(await loadBuiltins()).values(), ...custom.filter(Boolean)].map(summarizeFramework);
+}
+
+/**
+ * Describes a framework without its criteria
+ * @param {Object} framework - Framework
+ * @returns {Object} Summary
+ */
+function summarizeFramework(framework) {
+  return {
+    name: framework.name,
+    title: framework.title,
+    description: framework.description || null,
+    builtIn: !!framework.builtIn,
+    criteriaCount: framework.criteria.length,
+    isDefault: framework.name === DEFAULT_FRAMEWORK,
+    ...(framework.updatedAt && { updatedAt: framework.updatedAt }),
+  };
+}
+
+/**
+ * Saves (or replaces) a custom framework of an API key; built-in names are reserved
+ * @param {Object} framework - Validated framework definition
+ * @param {string|null} [owner] - API key id that owns the framework (null when anonymous)
+ * @returns {Promise<Object>} Saved framework
+ */
+async function saveFramework(framework, owner = null) {
+  if ((await loadBuiltins()).has(framework.name)) {
+    throw new Error(`Framework "${framework.name}" is built in and cannot be replaced`);
+  }
+  await fs.mkdir(ownerDir(owner), { recursive: true });
+  const existing = await getFramework(framework.name, owner);
+  const now = new Date().toISOString();
+  const saved = {
+    name: framework.name,
+    title: framework.title.trim(),
+    description: framework.description || null,
+    criteria: framework.criteria.map(({ id, name, description }) => ({ id, name, description: description || "" })),
+    severityGuidance: framework.severityGuidance || {},
+    issueTypes: framework.issueTypes || ["accessibility", "performance", "ux", "seo", "error"],
+    ...(framework.instructions && { instructions: framework.instructions }),
+    apiKeyId: owner || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+  await fs.writeFile(fileFor(framework.name, owner), JSON.stringify(saved, null, 2));
+  console.log(`[FRAMEWORKS] Saved framework "${framework.name}"`);
+  return saved;
+}
+
+/**
+ * Deletes a custom framework of an API key
+ * @param {string} name - Framework name
+ * @param {string|null} [owner] - API key id that owns the framework (null when anonymous)
+ * @returns {Promise<boolean>} False if it did not exist
+ */
+async function deleteFramework(name, owner = null) {
+  if ((await loadBuiltins()).has(name)) {
+    throw new Error(`Framework "${name}" is built in and cannot be deleted`);
+  }
+  if (!isValidName(name)) {
+    return false;
+  }
+  try {
+    await fs.unlink(fileFor(name, owner));
+    console.log(`[FRAMEWORKS] Deleted framework "${name}"`);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_FRAMEWORK,
+  isValidName,
+  validateFramework,
+  getFramework,
+  listFrameworks,
+  summarizeFramework,
+  saveFramework,
+  deleteFramework,
+};
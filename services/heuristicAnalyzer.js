@@ -0,0 +1,291 @@
+/**
+ * Deterministic rule-based analyzer
+ * Used when no vision provider is configured or the Vision AI call fails. Every item is
+ * derived from data measured on the live page, with real element coordinates where the
+ * problem belongs to an element; page-level findings have coordinates set to null
+ */
+
+// Minimum tap target size in CSS pixels (WCAG 2.5.8 Target Size (Minimum))
+const MIN_TARGET_SIZE = 24;
+// Items reported per rule so one noisy rule cannot flood the report
+const MAX_ITEMS_PER_RULE = 10;
+
+const IMPACT_TO_SEVERITY = {
+  critical: "critical",
+  serious: "warning",
+  moderate: "suggestion",
+  minor: "info",
+};
+
+// Issue types of frameworks that do not declare any, and the types link findings prefer, in order
+const DEFAULT_ISSUE_TYPES = ["accessibility", "performance", "ux", "seo", "error"];
+const LINK_ISSUE_TYPES = ["error", "ux", "accessibility"];
+
+const RATING_TO_SEVERITY = {
+  poor: "warning",
+  "needs-improvement": "suggestion",
+};
+
+/**
+ * Builds report items from WCAG violations collected by accessibilityService
+ * @param {Object} accessibility - Accessibility data
+ * @returns {Array<Object>} Report items (without ids)
+ */
+function accessibilityItems(accessibility) {
+  const perRule = {};
+  return (accessibility?.violations || [])
+    .filter((violation) => {
+      perRule[violation.rule] = (perRule[violation.rule] || 0) + 1;
+      return perRule[violation.rule] <= MAX_ITEMS_PER_RULE;
+    })
+    .map((violation) => ({
+      heuristic: null,
+      heuristicName: null,
+      type: "accessibility",
+      severity: IMPACT_TO_SEVERITY[violation.impact] || "info",
+      message: violation.message,
+      recommendation: `Fix the ${violation.rule} violation (WCAG ${violation.wcag.criterion} ${violation.wcag.name})`,
+      evidence: `${violation.rule} on ${violation.selector}`,
+      element: violation.selector,
+      coordinates: violation.boundingBox,
+    }));
+}
+
+/**
+ * Builds report items from navigation elements: tiny tap targets, and links/buttons
+ * without text when no rule-engine data is available
+ * @param {Array} navigationElements - Links and buttons with bounding boxes
+ * @param {boolean} hasViolations - True when accessibility violations already cover empty names
+ * @returns {Array<Object>} Report items (without ids)
+ */
+function navigationItems(navigationElements, hasViolations) {
+  const visible = (navigationElements || []).filter(
+    (el) => el.boundingBox && el.boundingBox.width > 0 && el.boundingBox.height > 0
+  );
+
+  const tinyTargets = visible
+    .filter((el) => el.boundingBox.width < MIN_TARGET_SIZE || el.boundingBox.height < MIN_TARGET_SIZE)
+    .slice(0, MAX_ITEMS_PER_RULE)
+    .map((el) => ({
+      heuristic: 5,
+      heuristicName: "Error prevention",
+      type: "ux",
+      severity: "warning",
+      message: `Tap target "${el.text || el.url || el.type}" is only ${el.boundingBox.width}x${el.boundingBox.height}px`,
+      recommendation: `Make interactive targets at least ${MIN_TARGET_SIZE}x${MIN_TARGET_SIZE}px or add spacing around them`,
+      evidence: `Measured size ${el.boundingBox.width}x${el.boundingBox.height}px`,
+      element: el.type,
+      coordinates: el.boundingBox,
+    }));
+
+  const emptyNames = hasViolations
+    ? []
+    : visible
+        .filter((el) => !el.text)
+        .slice(0, MAX_ITEMS_PER_RULE)
+        .map((el) => ({
+          heuristic: null,
+          heuristicName: null,
+          type: "accessibility",
+          severity: "critical",
+          message: el.type === "a" ? "Link has no text" : "Button has no text",
+          recommendation: "Add visible text or an aria-label describing the action",
+          evidence: el.url ? `Empty ${el.type} pointing to ${el.url}` : `Empty ${el.type}`,
+          element: el.type,
+          coordinates: el.boundingBox,
+        }));
+
+  return [...tinyTargets, ...emptyNames];
+}
+
+/**
+ * Builds report items from link health: broken links and insecure (mixed content) links
+ * Used by both engines, since the model cannot see HTTP status codes in a screenshot
+ * @param {Array} navigationElements - Navigation elements with `health` from linkHealthService
+ * @param {Object} [framework] - Framework of the report; items use one of its issue types
+ * @returns {Array<Object>} Report items (without ids)
+ */
+function linkItems(navigationElements, framework) {
+  const withHealth = (navigationElements || []).filter((el) => el.health);
+  const issueTypes = framework?.issueTypes || DEFAULT_ISSUE_TYPES;
+  const type = LINK_ISSUE_TYPES.find((candidate) => issueTypes.includes(candidate)) || issueTypes[0];
+  // Only Nielsen's heuristics have a criterion for broken links
+  const isNielsen = !framework || framework.name === "nielsen";
+
+  const broken = withHealth
+    .filter((el) => el.health.status === "broken")
+    .slice(0, MAX_ITEMS_PER_RULE)
+    .map((el) => ({
+      heuristic: isNielsen ? 9 : null,
+      heuristicName: isNielsen ? "Help users recognize, diagnose, and recover from errors" : null,
+      type: type,
+      severity: "critical",
+      message: `Link "${el.text || el.url}" is broken`,
+      recommendation: "Fix or remove the link, or redirect the old URL to its replacement",
+      evidence: el.health.statusCode
+        ? `${el.url} returned HTTP ${el.health.statusCode}`
+        : `${el.url} failed: ${el.health.error}`,
+      element: "a",
+      url: el.url,
+      coordinates: hasBox(el) ? el.boundingBox : null,
+    }));
+
+  const insecure = withHealth
+    .filter((el) => el.health.status !== "broken" && el.health.mixedContent)
+    .slice(0, MAX_ITEMS_PER_RULE)
+    .map((el) => ({
+      heuristic: null,
+      heuristicName: null,
+      type: type,
+      severity: "suggestion",
+      message: `Link "${el.text || el.url}" leaves HTTPS`,
+      recommendation: "Link to the https:// version of the page",
+      evidence: `${el.url} resolves over plain HTTP`,
+      element: "a",
+      url: el.url,
+      coordinates: hasBox(el) ? el.boundingBox : null,
+    }));
+
+  return [...broken, ...insecure];
+}
+
+/**
+ * Checks that an element was rendered with a non-empty box
+ * @param {Object} el - Navigation element
+ * @returns {boolean} True if visible
+ */
+function hasBox(el) {
+  return !!el.boundingBox && el.boundingBox.width > 0 && el.boundingBox.height > 0;
+}
+
+/**
+ * Builds report items from meta information
+ * @param {Object} meta - Meta information
+ * @returns {Array<Object>} Report items (without ids)
+ */
+function metaItems(meta) {
+  const items = [];
+  if (!meta) {
+    return items;
+  }
+  if (!meta.description) {
+    items.push({
+      heuristic: null,
+      heuristicName: null,
+      type: "seo",
+      severity: "warning",
+      message: "Page has no meta description",
+      recommendation: "Add a meta description of 50-160 characters summarizing the page",
+      evidence: "No <meta name=\"description\"> or og:description found",
+      element: "meta",
+      coordinates: null,
+    });
+  }
+  if (!meta.viewport) {
+    items.push({
+      heuristic: null,
+      heuristicName: null,
+      type: "ux",
+      severity: "warning",
+      message: "Page has no viewport meta tag",
+      recommendation: "Add <meta name=\"viewport\" content=\"width=device-width, initial-scale=1\"> for mobile layouts",
+      evidence: "No <meta name=\"viewport\"> found",
+      element: "meta",
+      coordinates: null,
+    });
+  }
+  return items;
+}
+
+/**
+ * Builds report items from graded Core Web Vitals
+ * @param {Object} performance - Performance metrics
+ * @returns {Array<Object>} Report items (without ids)
+ */
+function performanceItems(performance) {
+  const webVitals = performance?.webVitals;
+  if (!webVitals) {
+    return [];
+  }
+
+  const item = (metric, message, recommendation, coordinates) => ({
+    heuristic: 1,
+    heuristicName: "Visibility of system status",
+    type: "performance",
+    severity: RATING_TO_SEVERITY[webVitals[metric].rating],
+    message: message,
+    recommendation: recommendation,
+    evidence: `${metric.toUpperCase()} ${webVitals[metric].value}${metric === "cls" ? "" : "ms"} (${webVitals[metric].rating})`,
+    metric: metric,
+    value: webVitals[metric].value,
+    coordinates: coordinates || null,
+  });
+
+  const items = [];
+  if (RATING_TO_SEVERITY[webVitals.lcp.rating]) {
+    items.push(
+      item(
+        "lcp",
+        `Largest content renders slowly (${webVitals.lcp.value}ms)`,
+        "Optimize and preload the LCP element, and reduce render-blocking resources",
+        webVitals.lcp.element?.boundingBox
+      )
+    );
+  }
+  if (RATING_TO_SEVERITY[webVitals.cls.rating]) {
+    const shiftedBox = webVitals.cls.shifts.flatMap((shift) => shift.sources)[0]?.boundingBox;
+    items.push(
+      item(
+        "cls",
+        `Layout shifts while loading (CLS ${webVitals.cls.value})`,
+        "Reserve space for images, ads and late-loading content",
+        shiftedBox
+      )
+    );
+  }
+  if (RATING_TO_SEVERITY[webVitals.tbt.rating]) {
+    items.push(
+      item(
+        "tbt",
+        `Main thread is blocked for ${webVitals.tbt.value}ms`,
+        "Split long JavaScript tasks and defer non-critical scripts"
+      )
+    );
+  }
+  if (RATING_TO_SEVERITY[webVitals.ttfb.rating]) {
+    items.push(
+      item(
+        "ttfb",
+        `Server responds slowly (TTFB ${webVitals.ttfb.value}ms)`,
+        "Cache responses or use a CDN to reduce server response time"
+      )
+    );
+  }
+  return items;
+}
+
+/**
+ * Produces a report from page measurements alone
+ * @param {Object} pageData - {navigationElements, accessibility, meta, performance, framework?}
+ * @returns {Array<Object>} Report items in the Vision AI report schema
+ */
+function analyze(pageData) {
+  console.log("[HEURISTIC] Building rule-based report from page measurements...");
+  const hasViolations = Array.isArray(pageData.accessibility?.violations);
+
+  const report = [
+    ...accessibilityItems(pageData.accessibility),
+    ...navigationItems(pageData.navigationElements, hasViolations),
+    ...linkItems(pageData.navigationElements, pageData.framework),
+    ...performanceItems(pageData.performance),
+    ...metaItems(pageData.meta),
+  ].map((item, index) => ({ id: index + 1, ...item }));
+
+  console.log(`[HEURISTIC] Rule-based report has ${report.length} issues`);
+  return report;
+}
+
+module.exports = {
+  analyze,
+  linkItems,
+};
@@ -0,0 +1,149 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const { handleError } = require("../utils/errorHandler");
+
+/**
+ * In-memory job registry for long-running work (async analyses)
+ * Finished jobs are kept for JOB_TTL_MS so clients can still poll their result
+ */
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+
+const jobs = new Map();
+
+/**
+ * Creates a new queued job
+ * @param {string} type - Job type (e.g. "analysis")
+ * @param {Object} input - Input the job was created with
+ * @param {string|null} [apiKeyId] - API key that owns the job (null when anonymous)
+ * @returns {Object} Job record
+ */
+function createJob(type, input, apiKeyId = null) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: type,
+    status: "queued",
+    stage: null,
+    input: input,
+    apiKeyId: apiKeyId,
+    events: [],
+    result: {},
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    emitter: new EventEmitter(),
+  };
+  jobs.set(job.id, job);
+  console.log(`[JOBS] Created ${type} job ${job.id}`);
+  return job;
+}
+
+/**
+ * Gets a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} Job record or null if unknown/expired
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Records an event on the job and notifies subscribers
+ * @param {Object} job - Job record
+ * @param {string} name - Event name
+ * @param {Object} data - Event payload
+ */
+function emitEvent(job, name, data) {
+  const event = {
+    id: job.events.length + 1,
+    event: name,
+    data: data,
+    timestamp: new Date().toISOString(),
+  };
+  job.events.push(event);
+  job.updatedAt = event.timestamp;
+  job.emitter.emit("event", event);
+}
+
+/**
+ * Records a pipeline stage and merges its partial result into the job
+ * @param {Object} job - Job record
+ * @param {string} stage - Stage name
+ * @param {Object} partialResult - Result fields produced by the stage
+ */
+function reportProgress(job, stage, partialResult = {}) {
+  job.stage = stage;
+  job.result = { ...job.result, ...partialResult };
+  console.log(`[JOBS] Job ${job.id} reached stage: ${stage}`);
+  emitEvent(job, stage, partialResult);
+}
+
+/**
+ * Runs a task for the job in the background
+ * @param {Object} job - Job record
+ * @param {Function} task - Async function receiving an onProgress(stage, partialResult) callback
+ */
+function runJob(job, task) {
+  job.status = "running";
+  emitEvent(job, "started", { status: job.status });
+
+  Promise.resolve()
+    .then(() => task((stage, partialResult) => reportProgress(job, stage, partialResult)))
+    .then((result) => {
+      job.status = "completed";
+      job.result = result;
+      console.log(`[JOBS] Job ${job.id} completed`);
+      emitEvent(job, "completed", result);
+    })
+    .catch((error) => {
+      const errorResponse = handleError(error);
+      job.status = "failed";
+      job.error = {
+        status: errorResponse.status,
+        error: errorResponse.error,
+        message: errorResponse.message,
+        ...(errorResponse.details && { details: errorResponse.details }),
+      };
+      console.error(`[JOBS] Job ${job.id} failed: ${error.message}`);
+      emitEvent(job, "failed", job.error);
+    })
+    .finally(() => {
+      // Expire finished jobs so the registry does not grow forever
+      setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+    });
+}
+
+/**
+ * Checks whether a job has reached a terminal state
+ * @param {Object} job - Job record
+ * @returns {boolean} True if completed or failed
+ */
+function isFinished(job) {
+  return job.status === "completed" || job.status === "failed";
+}
+
+/**
+ * Converts a job to its public JSON representation
+ * @param {Object} job - Job record
+ * @returns {Object} Serializable job status
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    result: job.result,
+    ...(job.error && { error: job.error }),
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  runJob,
+  isFinished,
+  serializeJob,
+};
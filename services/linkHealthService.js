@@ -0,0 +1,192 @@
+// Utils
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { assertAllowedUrl } = require("../utils/urlValidator");
+
+/**
+ * Link health stage
+ * Resolves every unique href found by navigationService (HEAD first, GET when the server
+ * rejects HEAD), following redirects by hand so the chain can be reported. Requests are
+ * sent without the page's cookies, so links behind a login may report 401/403. Links the
+ * URL policy does not allow the server to fetch are reported as skipped with the reason.
+ */
+
+const LINK_CHECK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 8;
+const LINK_CHECK_TIMEOUT_MS = parseInt(process.env.LINK_CHECK_TIMEOUT_MS, 10) || 10000;
+const MAX_LINKS_CHECKED = parseInt(process.env.MAX_LINKS_CHECKED, 10) || 200;
+const MAX_REDIRECTS = 10;
+const LINK_CHECK_USER_AGENT = process.env.LINK_CHECK_USER_AGENT || "uxray-link-checker";
+
+/**
+ * Sends one request without following redirects
+ * Every hop is checked against the URL policy, so a link cannot redirect the checker to internal hosts
+ * @param {string} url - URL to request
+ * @param {string} method - HEAD or GET
+ * @returns {Promise<Response>} Fetch response
+ */
+async function request(url, method) {
+  await assertAllowedUrl(url);
+  const response = await fetch(url, {
+    method: method,
+    redirect: "manual",
+    headers: { "User-Agent": LINK_CHECK_USER_AGENT },
+    signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS),
+  });
+  // Only the status matters; do not download GET bodies
+  if (response.body) {
+    await response.body.cancel().catch(() => {});
+  }
+  return response;
+}
+
+/**
+ * Follows a URL's redirect chain with one method
+ * @param {string} url - Starting URL
+ * @param {string} method - HEAD or GET
+ * @returns {Promise<{statusCode: number, finalUrl: string, redirects: Array<Object>}>} Final hop and chain
+ */
+async function follow(url, method) {
+  const redirects = [];
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await request(current, method);
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { statusCode: response.status, finalUrl: current, redirects };
+    }
+    redirects.push({ url: current, statusCode: response.status });
+    current = new URL(location, current).href;
+  }
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Checks one link
+ * @param {string} url - Absolute link URL
+ * @param {string} pageUrl - URL of the page the link is on (for mixed content)
+ * @returns {Promise<Object>} Health ({status, statusCode, redirects, finalUrl, latencyMs, mixedContent, method, error, reason?})
+ */
+async function checkLink(url, pageUrl) {
+  const pageIsSecure = new URL(pageUrl).protocol === "https:";
+  const startTime = Date.now();
+  let result = null;
+  let method = "HEAD";
+  let error = null;
+
+  // The URL policy forbids the link or a hop of its redirect chain: the link was not checked, not found broken
+  const isPolicyError = (candidate) => Boolean(candidate && candidate.message.startsWith("URL policy:"));
+  const skipped = (policyError) => ({
+    status: "skipped",
+    statusCode: null,
+    redirects: [],
+    finalUrl: null,
+    latencyMs: Date.now() - startTime,
+    mixedContent: false,
+    method: method,
+    error: null,
+    reason: policyError.message,
+  });
+
+  try {
+    result = await follow(url, "HEAD");
+  } catch (headError) {
+    error = headError;
+  }
+  if (isPolicyError(error)) {
+    return skipped(error);
+  }
+
+  // Some servers reject or mishandle HEAD, so confirm failures with GET
+  if (!result || result.statusCode >= 400) {
+    method = "GET";
+    try {
+      result = await follow(url, "GET");
+      error = null;
+    } catch (getError) {
+      // A GET the policy refuses (e.g. redirected somewhere HEAD was not) means the link was not checked
+      if (isPolicyError(getError)) {
+        return skipped(getError);
+      }
+      error = result ? null : getError;
+    }
+  }
+
+  const latencyMs = Date.now() - startTime;
+  if (!result) {
+    // fetch reports DNS and connection failures as "fetch failed" with the reason in cause
+    const reason = error.name === "TimeoutError"
+      ? `Timed out after ${LINK_CHECK_TIMEOUT_MS}ms`
+      : error.cause ? `${error.message} (${error.cause.code || error.cause.message})` : error.message;
+    return {
+      status: "broken",
+      statusCode: null,
+      redirects: [],
+      finalUrl: null,
+      latencyMs: latencyMs,
+      mixedContent: pageIsSecure && url.startsWith("http:"),
+      method: method,
+      error: reason,
+    };
+  }
+
+  const chain = [...result.redirects.map((hop) => hop.url), result.finalUrl];
+  return {
+    status: result.statusCode >= 400 ? "broken" : result.redirects.length > 0 ? "redirected" : "ok",
+    statusCode: result.statusCode,
+    redirects: result.redirects,
+    finalUrl: result.finalUrl,
+    latencyMs: latencyMs,
+    mixedContent: pageIsSecure && chain.some((hop) => hop.startsWith("http:")),
+    method: method,
+    error: null,
+  };
+}
+
+/**
+ * Checks every unique http(s) link among the navigation elements and attaches the result
+ * to each element as `health` (other schemes such as mailto: are skipped)
+ * @param {Array<Object>} navigationElements - Elements from getNavigationElements
+ * @param {string} pageUrl - URL of the analyzed page
+ * @returns {Promise<{elements: Array<Object>, summary: Object}>} Elements with health and a summary
+ */
+async function checkLinks(navigationElements, pageUrl) {
+  const isHttp = (url) => /^https?:\/\//i.test(url || "");
+  const uniqueUrls = [
+    ...new Set(
+      navigationElements.filter((el) => el.type === "a" && isHttp(el.url)).map((el) => el.url.split("#")[0])
+    ),
+  ];
+  const toCheck = uniqueUrls.slice(0, MAX_LINKS_CHECKED);
+
+  console.log(`[LINKS] Checking ${toCheck.length} unique links (${uniqueUrls.length - toCheck.length} over the limit)...`);
+  const results = await mapWithConcurrency(toCheck, LINK_CHECK_CONCURRENCY, (url) => checkLink(url, pageUrl));
+  const healthByUrl = new Map(toCheck.map((url, index) => [url, results[index]]));
+
+  const elements = navigationElements.map((el) => {
+    if (el.type !== "a" || !el.url) {
+      return el;
+    }
+    if (!isHttp(el.url)) {
+      return { ...el, health: { status: "skipped" } };
+    }
+    return { ...el, health: healthByUrl.get(el.url.split("#")[0]) || { status: "unchecked" } };
+  });
+
+  const summary = {
+    checked: results.filter((health) => health.status !== "skipped").length,
+    unchecked: uniqueUrls.length - toCheck.length,
+    skipped: results.filter((health) => health.status === "skipped").length,
+    ok: results.filter((health) => health.status === "ok").length,
+    redirected: results.filter((health) => health.status === "redirected").length,
+    broken: results.filter((health) => health.status === "broken").length,
+    mixedContent: results.filter((health) => health.mixedContent).length,
+  };
+  console.log(`[LINKS] ${summary.broken} broken, ${summary.redirected} redirected, ${summary.mixedContent} mixed content`);
+
+  return { elements, summary };
+}
+
+module.exports = {
+  checkLink,
+  checkLinks,
+};
@@ -1,27 +1,427 @@
 /**
- * Extracts meta information from the page
+ * Meta information and SEO audit
+ * getMetaInfo extracts everything search engines and social networks read from the page;
+ * gradeSeo turns it into scored pass / warning / fail findings
+ */
+
+// Headings and images kept in the extraction output
+const MAX_OUTLINE_HEADINGS = 100;
+const MAX_IMAGE_EXAMPLES = 20;
+
+/**
+ * Required properties per schema.org type (Google rich result requirements, simplified)
+ * Types not listed here are accepted if they look like schema.org type names
+ */
+const SCHEMA_REQUIRED_PROPERTIES = {
+  Article: ["headline"],
+  NewsArticle: ["headline"],
+  BlogPosting: ["headline"],
+  BreadcrumbList: ["itemListElement"],
+  Event: ["name", "startDate", "location"],
+  FAQPage: ["mainEntity"],
+  HowTo: ["name", "step"],
+  JobPosting: ["title", "datePosted", "description", "hiringOrganization"],
+  LocalBusiness: ["name", "address"],
+  Organization: ["name"],
+  Person: ["name"],
+  Product: ["name"],
+  Recipe: ["name", "recipeIngredient"],
+  Review: ["itemReviewed", "author"],
+  SoftwareApplication: ["name"],
+  VideoObject: ["name", "thumbnailUrl", "uploadDate"],
+  WebPage: [],
+  WebSite: ["name"],
+};
+
+const OPEN_GRAPH_REQUIRED = ["og:title", "og:type", "og:image", "og:url"];
+const TWITTER_CARD_TYPES = ["summary", "summary_large_image", "app", "player"];
+
+// Check weights for the 0-100 score; a warning earns half, a fail nothing
+const CHECK_WEIGHTS = {
+  title: 15,
+  description: 10,
+  canonical: 10,
+  robots: 15,
+  hreflang: 5,
+  openGraph: 10,
+  twitterCard: 5,
+  structuredData: 10,
+  headings: 10,
+  images: 5,
+  favicon: 5,
+  language: 5,
+};
+
+/**
+ * Extracts meta information and SEO signals from the page
  * @param {Page} page - Playwright page instance
- * @returns {Promise<Object>} Meta information
+ * @returns {Promise<Object>} Meta information (description, keywords, author, viewport) plus `seo`
  */
 async function getMetaInfo(page) {
-  const metaInfo = await page.evaluate(() => {
-    const getMeta = (name) => {
-      const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
-      return meta ? meta.getAttribute("content") : null;
-    };
-
-    return {
-      description: getMeta("description") || getMeta("og:description"),
-      keywords: getMeta("keywords"),
-      author: getMeta("author"),
-      viewport: getMeta("viewport"),
-    };
-  });
+  console.log("[META] Extracting meta information and SEO signals...");
+  const metaInfo = await page.evaluate(
+    ({ maxHeadings, maxImages }) => {
+      const getMeta = (name) => {
+        const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+        return meta ? meta.getAttribute("content") : null;
+      };
+
+      const collectPrefixed = (prefix) => {
+        const tags = {};
+        document.querySelectorAll(`meta[property^="${prefix}"], meta[name^="${prefix}"]`).forEach((meta) => {
+          const key = meta.getAttribute("property") || meta.getAttribute("name");
+          // Repeated tags (e.g. several og:image) become arrays
+          const value = meta.getAttribute("content");
+          tags[key] = key in tags ? [].concat(tags[key], value) : value;
+        });
+        return tags;
+      };
+
+      const absolute = (href) => {
+        try {
+          return href ? new URL(href, document.baseURI).href : null;
+        } catch {
+          return null;
+        }
+      };
+
+      // JSON-LD blocks: parse errors are kept so they can be reported
+      const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map((script) => {
+        try {
+          return { data: JSON.parse(script.textContent), error: null };
+        } catch (error) {
+          return { data: null, error: error.message };
+        }
+      });
+
+      // Top-level microdata items
+      const microdata = Array.from(document.querySelectorAll("[itemscope]:not([itemprop])")).map((item) => {
+        const properties = Array.from(item.querySelectorAll("[itemprop]")).map((prop) => prop.getAttribute("itemprop"));
+        return { type: item.getAttribute("itemtype"), properties: Array.from(new Set(properties)) };
+      });
+
+      const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6")).map((heading) => ({
+        level: Number(heading.tagName[1]),
+        text: (heading.textContent || "").trim().replace(/\s+/g, " ").slice(0, 120),
+      }));
+
+      // Images without width/height attributes cause layout shifts; oversized images waste bytes
+      const images = Array.from(document.images);
+      const missingDimensions = images.filter((img) => !img.getAttribute("width") || !img.getAttribute("height"));
+      const oversized = images.filter(
+        (img) => img.complete && img.clientWidth > 0 && img.naturalWidth > img.clientWidth * 2 * (window.devicePixelRatio || 1)
+      );
+      const describeImage = (img) => ({
+        src: img.currentSrc || img.src,
+        naturalWidth: img.naturalWidth,
+        naturalHeight: img.naturalHeight,
+        renderedWidth: img.clientWidth,
+        renderedHeight: img.clientHeight,
+      });
+
+      const linkHref = (selector) => {
+        const link = document.querySelector(selector);
+        return link ? absolute(link.getAttribute("href")) : null;
+      };
+      const canonicals = Array.from(document.querySelectorAll('link[rel="canonical"]'));
+      const robotsContent = [getMeta("robots"), getMeta("googlebot")].filter(Boolean).join(", ");
+      const title = document.title || "";
+      const description = getMeta("description");
+
+      return {
+        description: description || getMeta("og:description"),
+        keywords: getMeta("keywords"),
+        author: getMeta("author"),
+        viewport: getMeta("viewport"),
+        seo: {
+          url: location.href,
+          language: document.documentElement.getAttribute("lang"),
+          title: { text: title, length: title.length },
+          description: { text: description, length: description ? description.length : 0 },
+          canonical: {
+            href: canonicals.length > 0 ? absolute(canonicals[0].getAttribute("href")) : null,
+            count: canonicals.length,
+          },
+          robots: {
+            content: robotsContent || null,
+            noindex: /noindex|\bnone\b/i.test(robotsContent),
+            nofollow: /nofollow|\bnone\b/i.test(robotsContent),
+          },
+          hreflang: Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]')).map((link) => ({
+            lang: link.getAttribute("hreflang"),
+            href: absolute(link.getAttribute("href")),
+          })),
+          openGraph: collectPrefixed("og:"),
+          twitter: collectPrefixed("twitter:"),
+          structuredData: { jsonLd, microdata },
+          headings: {
+            h1Count: headings.filter((heading) => heading.level === 1).length,
+            outline: headings.slice(0, maxHeadings),
+            total: headings.length,
+          },
+          images: {
+            total: images.length,
+            missingDimensions: missingDimensions.length,
+            oversized: oversized.length,
+            examples: {
+              missingDimensions: missingDimensions.slice(0, maxImages).map(describeImage),
+              oversized: oversized.slice(0, maxImages).map(describeImage),
+            },
+          },
+          favicon: linkHref('link[rel~="icon"]'),
+          appleTouchIcon: linkHref('link[rel="apple-touch-icon"]'),
+          manifest: linkHref('link[rel="manifest"]'),
+        },
+      };
+    },
+    { maxHeadings: MAX_OUTLINE_HEADINGS, maxImages: MAX_IMAGE_EXAMPLES }
+  );
   return metaInfo;
 }
 
+/**
+ * Flattens JSON-LD blocks (including @graph and arrays) into typed entities
+ * @param {Array<Object>} jsonLd - Parsed JSON-LD blocks
+ * @returns {Array<Object>} Entities with their @context
+ */
+function jsonLdEntities(jsonLd) {
+  const entities = [];
+  const visit = (node, context) => {
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, context));
+    } else if (node && typeof node === "object") {
+      const nodeContext = node["@context"] || context;
+      if (node["@graph"]) {
+        visit(node["@graph"], nodeContext);
+      }
+      if (node["@type"]) {
+        entities.push({ entity: node, context: nodeContext });
+      }
+    }
+  };
+  jsonLd.filter((block) => block.data).forEach((block) => visit(block.data, null));
+  return entities;
+}
+
+/**
+ * Validates structured data against schema.org naming and required properties
+ * @param {Object} structuredData - {jsonLd, microdata} from getMetaInfo
+ * @returns {{types: Array<string>, problems: Array<string>}} Types found and problems
+ */
+function validateStructuredData(structuredData) {
+  const problems = [];
+  const types = [];
+
+  structuredData.jsonLd
+    .filter((block) => block.error)
+    .forEach((block) => problems.push(`JSON-LD block does not parse: ${block.error}`));
+
+  jsonLdEntities(structuredData.jsonLd).forEach(({ entity, context }) => {
+    const contextText = JSON.stringify(context || "");
+    if (!/schema\.org/i.test(contextText)) {
+      problems.push(`${entity["@type"]} has no schema.org @context`);
+    }
+    [].concat(entity["@type"]).forEach((type) => {
+      const name = String(type).replace(/^https?:\/\/schema\.org\//i, "");
+      types.push(name);
+      if (!/^[A-Z][A-Za-z]+$/.test(name)) {
+        problems.push(`"${type}" is not a schema.org type name`);
+        return;
+      }
+      const required = Object.hasOwn(SCHEMA_REQUIRED_PROPERTIES, name) ? SCHEMA_REQUIRED_PROPERTIES[name] : [];
+      const missing = required.filter((property) => entity[property] === undefined);
+      if (missing.length > 0) {
+        problems.push(`${name} is missing ${missing.join(", ")}`);
+      }
+    });
+  });
+
+  structuredData.microdata.forEach((item) => {
+    const match = (item.type || "").match(/schema\.org\/([A-Za-z]+)/i);
+    if (!match) {
+      problems.push(`Microdata item has no schema.org itemtype (${item.type || "none"})`);
+      return;
+    }
+    types.push(match[1]);
+    const required = Object.hasOwn(SCHEMA_REQUIRED_PROPERTIES, match[1]) ? SCHEMA_REQUIRED_PROPERTIES[match[1]] : [];
+    const missing = required.filter((property) => !item.properties.includes(property));
+    if (missing.length > 0) {
+      problems.push(`${match[1]} (microdata) is missing ${missing.join(", ")}`);
+    }
+  });
+
+  return { types, problems };
+}
+
+/**
+ * Grades the SEO signals extracted by getMetaInfo
+ * @param {Object} metaInfo - Result of getMetaInfo
+ * @returns {{score: number, findings: Array<Object>}} Score (0-100) and one finding per applicable check
+ */
+function gradeSeo(metaInfo) {
+  const seo = metaInfo?.seo;
+  if (!seo) {
+    return { score: null, findings: [] };
+  }
+
+  const findings = [];
+  const add = (check, status, message, recommendation) => {
+    findings.push({
+      check: check,
+      status: status,
+      severity: status === "fail" ? "warning" : status === "warning" ? "suggestion" : "info",
+      message: message,
+      ...(recommendation && status !== "pass" && { recommendation }),
+    });
+  };
+
+  // Title
+  const titleLength = seo.title.length;
+  if (titleLength === 0) {
+    add("title", "fail", "Page has no <title>", "Add a unique, descriptive title of 30-60 characters");
+  } else if (titleLength < 30 || titleLength > 60) {
+    add("title", "warning", `Title is ${titleLength} characters`, "Keep titles between 30 and 60 characters so they are not truncated");
+  } else {
+    add("title", "pass", `Title is ${titleLength} characters`);
+  }
+
+  // Meta description
+  const descriptionLength = seo.description.length;
+  if (descriptionLength === 0) {
+    add("description", "fail", "Page has no meta description", "Add a meta description of 50-160 characters summarizing the page");
+  } else if (descriptionLength < 50 || descriptionLength > 160) {
+    add("description", "warning", `Meta description is ${descriptionLength} characters`, "Keep meta descriptions between 50 and 160 characters");
+  } else {
+    add("description", "pass", `Meta description is ${descriptionLength} characters`);
+  }
+
+  // Canonical link
+  if (seo.canonical.count === 0) {
+    add("canonical", "warning", "No canonical link", "Add <link rel=\"canonical\"> pointing to the preferred URL of this page");
+  } else if (seo.canonical.count > 1) {
+    add("canonical", "fail", `${seo.canonical.count} canonical links`, "Keep exactly one canonical link");
+  } else if (!seo.canonical.href || new URL(seo.canonical.href).origin !== new URL(seo.url).origin) {
+    add("canonical", "warning", `Canonical points to another origin (${seo.canonical.href})`, "Check that the canonical URL is intended");
+  } else {
+    add("canonical", "pass", `Canonical is ${seo.canonical.href}`);
+  }
+
+  // Robots meta
+  if (seo.robots.noindex) {
+    add("robots", "fail", `Page is excluded from search results (robots: ${seo.robots.content})`, "Remove noindex if the page should be found in search");
+  } else if (seo.robots.nofollow) {
+    add("robots", "warning", `Links are not followed (robots: ${seo.robots.content})`, "Remove nofollow unless links must not pass ranking signals");
+  } else {
+    add("robots", "pass", seo.robots.content ? `Robots meta allows indexing (${seo.robots.content})` : "No robots restrictions");
+  }
+
+  // hreflang alternates (only graded when present)
+  if (seo.hreflang.length > 0) {
+    const invalid = seo.hreflang.filter(
+      (alternate) => !alternate.href || !/^(x-default|[a-z]{2,3}(-[A-Za-z]{2,4})?)$/i.test(alternate.lang)
+    );
+    const selfUrl = seo.canonical.href || seo.url;
+    const hasSelf = seo.hreflang.some((alternate) => alternate.href === selfUrl);
+    if (invalid.length > 0) {
+      add("hreflang", "fail", `Invalid hreflang entries: ${invalid.map((alternate) => alternate.lang).join(", ")}`, "Use ISO 639-1 language codes (optionally with a region) and absolute URLs");
+    } else if (!hasSelf) {
+      add("hreflang", "warning", "hreflang alternates do not include this page", "Add a self-referencing hreflang entry");
+    } else {
+      add("hreflang", "pass", `${seo.hreflang.length} hreflang alternates`);
+    }
+  }
+
+  // Open Graph
+  const missingOg = OPEN_GRAPH_REQUIRED.filter((tag) => !seo.openGraph[tag]);
+  if (missingOg.length === OPEN_GRAPH_REQUIRED.length) {
+    add("openGraph", "fail", "No Open Graph tags", "Add og:title, og:type, og:image and og:url for rich link previews");
+  } else if (missingOg.length > 0) {
+    add("openGraph", "warning", `Missing Open Graph tags: ${missingOg.join(", ")}`, "Add the missing Open Graph tags");
+  } else {
+    add("openGraph", "pass", "Required Open Graph tags are present");
+  }
+
+  // Twitter Card (falls back to Open Graph when absent)
+  const card = seo.twitter["twitter:card"];
+  if (!card && missingOg.length === 0) {
+    add("twitterCard", "pass", "No twitter:card tag; X/Twitter falls back to Open Graph");
+  } else if (!card) {
+    add("twitterCard", "warning", "No twitter:card tag", "Add twitter:card (e.g. summary_large_image)");
+  } else if (!TWITTER_CARD_TYPES.includes(card)) {
+    add("twitterCard", "fail", `Unknown twitter:card "${card}"`, `Use one of ${TWITTER_CARD_TYPES.join(", ")}`);
+  } else {
+    add("twitterCard", "pass", `twitter:card is ${card}`);
+  }
+
+  // Structured data
+  const structured = validateStructuredData(seo.structuredData);
+  if (structured.problems.length > 0) {
+    add("structuredData", "fail", structured.problems.slice(0, 5).join("; "), "Fix the structured data so it validates against schema.org");
+  } else if (structured.types.length === 0) {
+    add("structuredData", "warning", "No structured data", "Describe the page with JSON-LD (e.g. Organization, Article or Product)");
+  } else {
+    add("structuredData", "pass", `Structured data: ${[...new Set(structured.types)].join(", ")}`);
+  }
+
+  // Heading outline
+  const levels = seo.headings.outline.map((heading) => heading.level);
+  const skipped = levels.some((level, index) => index > 0 && level > levels[index - 1] + 1);
+  if (seo.headings.h1Count === 0) {
+    add("headings", "fail", "Page has no <h1>", "Add one <h1> describing the page topic");
+  } else if (seo.headings.h1Count > 1 || skipped) {
+    add(
+      "headings",
+      "warning",
+      seo.headings.h1Count > 1 ? `${seo.headings.h1Count} <h1> headings` : "Heading levels are skipped",
+      "Use a single <h1> and nest headings without skipping levels"
+    );
+  } else {
+    add("headings", "pass", `${seo.headings.total} headings in a valid outline`);
+  }
+
+  // Images
+  if (seo.images.total > 0) {
+    if (seo.images.missingDimensions > 0 || seo.images.oversized > 0) {
+      add(
+        "images",
+        "warning",
+        `${seo.images.missingDimensions} images without width/height, ${seo.images.oversized} oversized`,
+        "Set width and height on images and serve them close to their rendered size"
+      );
+    } else {
+      add("images", "pass", `${seo.images.total} images have dimensions and fit their size`);
+    }
+  }
+
+  // Favicon and manifest
+  if (!seo.favicon) {
+    add("favicon", "warning", "No favicon link", "Add <link rel=\"icon\"> so browsers and search results show your icon");
+  } else {
+    add("favicon", "pass", seo.manifest ? "Favicon and web app manifest are present" : "Favicon is present");
+  }
+
+  // Document language
+  if (!seo.language) {
+    add("language", "warning", "<html> has no lang attribute", "Set <html lang> to the page language");
+  } else {
+    add("language", "pass", `Page language is ${seo.language}`);
+  }
+
+  const total = findings.reduce((sum, finding) => sum + CHECK_WEIGHTS[finding.check], 0);
+  const earned = findings.reduce(
+    (sum, finding) =>
+      sum + (finding.status === "pass" ? 1 : finding.status === "warning" ? 0.5 : 0) * CHECK_WEIGHTS[finding.check],
+    0
+  );
+
+  return {
+    score: total > 0 ? Math.round((earned / total) * 100) : null,
+    findings: findings,
+  };
+}
+
 module.exports = {
   getMetaInfo,
+  gradeSeo,
+  validateStructuredData,
 };
-
-
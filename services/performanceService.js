@@ -1,13 +1,197 @@
+/**
+ * Core Web Vitals and resource waterfall
+ * PerformanceObservers are installed before navigation (instrumentContext) so buffered
+ * LCP, layout-shift, long-task and event entries are captured from the very first paint
+ */
+
+// [good, poor] boundaries per metric (values between are "needs-improvement")
+// Based on the web.dev Core Web Vitals thresholds
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  tbt: [200, 600],
+  ttfb: [800, 1800],
+  fcp: [1800, 3000],
+};
+
+// Resources listed individually; totals always cover every request
+const MAX_RESOURCES = parseInt(process.env.PERFORMANCE_MAX_RESOURCES, 10) || 150;
+
+/**
+ * Runs in the page before any page script: records vitals into window.__uxrayVitals
+ */
+function installVitalsObservers() {
+  const vitals = { lcp: null, lcpElement: null, layoutShifts: [], longTasks: [], interactions: [] };
+  Object.defineProperty(window, "__uxrayVitals", { value: vitals, enumerable: false });
+
+  const describe = (node) => {
+    if (!node || node.nodeType !== 1) return null;
+    const rect = node.getBoundingClientRect();
+    let selector = node.tagName.toLowerCase();
+    if (node.id) selector += `#${node.id}`;
+    else if (typeof node.className === "string" && node.className.trim()) {
+      selector += `.${node.className.trim().split(/\s+/).slice(0, 2).join(".")}`;
+    }
+    return {
+      selector: selector,
+      boundingBox: {
+        x: Math.round(rect.x + window.scrollX),
+        y: Math.round(rect.y + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      },
+    };
+  };
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe("largest-contentful-paint", (entry) => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+    vitals.lcpElement = entry.element || null;
+  });
+
+  observe("layout-shift", (entry) => {
+    if (entry.hadRecentInput) return;
+    vitals.layoutShifts.push({
+      value: entry.value,
+      time: Math.round(entry.startTime),
+      sources: (entry.sources || []).map((source) => describe(source.node)).filter(Boolean),
+    });
+  });
+
+  observe("longtask", (entry) => {
+    vitals.longTasks.push({ start: Math.round(entry.startTime), duration: Math.round(entry.duration) });
+  });
+
+  observe("event", (entry) => {
+    if (entry.interactionId) {
+      vitals.interactions.push({ name: entry.name, duration: Math.round(entry.duration) });
+    }
+  });
+
+  // Keep the LCP element description fresh: the node may move after the entry fires
+  window.__uxrayDescribeLcp = () => describe(vitals.lcpElement);
+}
+
+/**
+ * Installs vitals observers and request tracking on a context before navigation
+ * @param {BrowserContext} context - Playwright context the page will be created in
+ * @returns {Promise<{getResources: Function}>} Tracker whose getResources() resolves finished requests
+ */
+async function instrumentContext(context) {
+  await context.addInitScript(installVitalsObservers);
+
+  const pending = [];
+  const record = (request, failed) => {
+    pending.push(
+      (async () => {
+        const timing = request.timing();
+        const response = failed ? null : await request.response().catch(() => null);
+        const sizes = failed ? null : await request.sizes().catch(() => null);
+        return {
+          url: request.url(),
+          type: request.resourceType(),
+          status: response ? response.status() : null,
+          failed: failed,
+          size: sizes ? sizes.responseBodySize + sizes.responseHeadersSize : 0,
+          startTime: timing.startTime,
+          duration: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : null,
+        };
+      })()
+    );
+  };
+
+  context.on("requestfinished", (request) => record(request, false));
+  context.on("requestfailed", (request) => record(request, true));
+
+  return {
+    getResources: () => Promise.all(pending),
+  };
+}
+
+/**
+ * Grades a metric value against its thresholds
+ * @param {string} metric - Metric key (lcp, cls, inp, tbt, ttfb, fcp)
+ * @param {number|null} value - Measured value
+ * @returns {string|null} "good", "needs-improvement", "poor" or null if not measured
+ */
+function rate(metric, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const [good, poor] = THRESHOLDS[metric];
+  if (value <= good) return "good";
+  if (value <= poor) return "needs-improvement";
+  return "poor";
+}
+
+/**
+ * Builds the per-resource breakdown from Playwright requests and in-page resource timing
+ * @param {Array<Object>} requests - Finished/failed requests from the tracker
+ * @param {Object} renderBlocking - Map of URL to true for render-blocking resources
+ * @returns {Object} Totals by type plus the slowest resources
+ */
+function buildResourceBreakdown(requests, renderBlocking) {
+  const byType = {};
+  let totalBytes = 0;
+
+  const items = requests.map((request) => {
+    totalBytes += request.size;
+    byType[request.type] = byType[request.type] || { count: 0, bytes: 0 };
+    byType[request.type].count++;
+    byType[request.type].bytes += request.size;
+    return {
+      url: request.url,
+      type: request.type,
+      status: request.status,
+      failed: request.failed,
+      size: request.size,
+      duration: request.duration,
+      renderBlocking: !!renderBlocking[request.url],
+    };
+  });
+
+  return {
+    total: items.length,
+    totalBytes: totalBytes,
+    renderBlockingCount: items.filter((item) => item.renderBlocking).length,
+    byType: byType,
+    // Render-blocking first, then slowest
+    items: items
+      .sort((a, b) => b.renderBlocking - a.renderBlocking || (b.duration || 0) - (a.duration || 0))
+      .slice(0, MAX_RESOURCES),
+  };
+}
+
 /**
  * Collects performance metrics from the page
  * @param {Page} page - Playwright page instance
- * @returns {Promise<Object>} Performance metrics
+ * @param {Object} [tracker] - Tracker from instrumentContext (resource breakdown is omitted without it)
+ * @returns {Promise<Object>} Performance metrics with graded Core Web Vitals
  */
-async function getPerformanceMetrics(page) {
+async function getPerformanceMetrics(page, tracker) {
   console.log("[PERFORMANCE] Collecting performance metrics...");
   const performanceMetrics = await page.evaluate(() => {
     const navigation = performance.getEntriesByType("navigation")[0];
     const paint = performance.getEntriesByType("paint");
+    const vitals = window.__uxrayVitals || null;
+    const fcp = paint.find((p) => p.name === "first-contentful-paint")?.startTime || null;
+
+    // Chromium reports render-blocking status on resource timing entries
+    const renderBlocking = {};
+    performance.getEntriesByType("resource").forEach((entry) => {
+      if (entry.renderBlockingStatus === "blocking") {
+        renderBlocking[entry.name] = true;
+      }
+    });
+
     return {
       domContentLoaded: navigation
         ? navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart
@@ -16,16 +200,105 @@ async function getPerformanceMetrics(page) {
         ? navigation.loadEventEnd - navigation.loadEventStart
         : null,
       firstPaint: paint.find((p) => p.name === "first-paint")?.startTime || null,
-      firstContentfulPaint:
-        paint.find((p) => p.name === "first-contentful-paint")?.startTime || null,
+      firstContentfulPaint: fcp,
+      ttfb: navigation ? navigation.responseStart - navigation.startTime : null,
+      vitals: vitals && {
+        lcp: vitals.lcp,
+        lcpElement: window.__uxrayDescribeLcp ? window.__uxrayDescribeLcp() : null,
+        layoutShifts: vitals.layoutShifts,
+        // Total Blocking Time: the part of each long task after FCP beyond 50ms
+        tbt: vitals.longTasks
+          .filter((task) => fcp === null || task.start >= fcp)
+          .reduce((sum, task) => sum + Math.max(task.duration - 50, 0), 0),
+        longTaskCount: vitals.longTasks.length,
+        inp: vitals.interactions.length > 0 ? Math.max(...vitals.interactions.map((i) => i.duration)) : null,
+      },
+      renderBlocking,
     };
   });
+
+  const { vitals, renderBlocking, ttfb, ...navigationMetrics } = performanceMetrics;
+  const cls = vitals ? vitals.layoutShifts.reduce((sum, shift) => sum + shift.value, 0) : null;
+
+  const webVitals = {
+    lcp: {
+      value: vitals?.lcp ? Math.round(vitals.lcp) : null,
+      rating: rate("lcp", vitals?.lcp),
+      element: vitals?.lcpElement || null,
+    },
+    cls: {
+      value: cls !== null ? Number(cls.toFixed(4)) : null,
+      rating: rate("cls", cls),
+      shifts: vitals ? vitals.layoutShifts.filter((shift) => shift.value >= 0.001) : [],
+    },
+    // Headless loads have no user input, so INP is usually not measurable; TBT is the lab proxy
+    inp: {
+      value: vitals?.inp ?? null,
+      rating: rate("inp", vitals?.inp),
+    },
+    tbt: {
+      value: vitals ? vitals.tbt : null,
+      rating: rate("tbt", vitals ? vitals.tbt : null),
+      longTasks: vitals ? vitals.longTaskCount : 0,
+    },
+    ttfb: {
+      value: ttfb !== null ? Math.round(ttfb) : null,
+      rating: rate("ttfb", ttfb),
+    },
+    fcp: {
+      value: navigationMetrics.firstContentfulPaint !== null ? Math.round(navigationMetrics.firstContentfulPaint) : null,
+      rating: rate("fcp", navigationMetrics.firstContentfulPaint),
+    },
+  };
+
+  const resources = tracker
+    ? buildResourceBreakdown(await tracker.getResources(), renderBlocking)
+    : null;
+
   console.log("[PERFORMANCE] Performance metrics collected");
-  return performanceMetrics;
+  return {
+    ...navigationMetrics,
+    webVitals: webVitals,
+    resources: resources,
+  };
+}
+
+/**
+ * Turns graded metrics into evidence lines for the AI report
+ * Only metrics that were measured are included
+ * @param {Object} performanceMetrics - Result of getPerformanceMetrics
+ * @returns {Array<string>} Evidence lines, e.g. "LCP 4200ms (poor) on img.hero"
+ */
+function toEvidence(performanceMetrics) {
+  const webVitals = performanceMetrics?.webVitals;
+  if (!webVitals) {
+    return [];
+  }
+
+  const labels = { lcp: "LCP", cls: "CLS", inp: "INP", tbt: "TBT", ttfb: "TTFB", fcp: "FCP" };
+  const evidence = Object.entries(labels)
+    .filter(([key]) => webVitals[key].rating)
+    .map(([key, label]) => {
+      const metric = webVitals[key];
+      const value = key === "cls" ? metric.value : `${metric.value}ms`;
+      let line = `${label} ${value} (${metric.rating})`;
+      if (key === "lcp" && metric.element) {
+        line += ` on ${metric.element.selector}`;
+      }
+      return line;
+    });
+
+  const resources = performanceMetrics.resources;
+  if (resources && resources.renderBlockingCount > 0) {
+    evidence.push(`${resources.renderBlockingCount} render-blocking resources`);
+  }
+  return evidence;
 }
 
 module.exports = {
+  THRESHOLDS,
+  instrumentContext,
   getPerformanceMetrics,
+  rate,
+  toEvidence,
 };
-
-
@@ -0,0 +1,62 @@
+const API_URL = "https://api.anthropic.com/v1/messages";
+const API_VERSION = "2023-06-01";
+
+/**
+ * Anthropic Claude vision provider (Messages API over fetch)
+ */
+module.exports = {
+  name: "anthropic",
+  defaultModel: process.env.ANTHROPIC_MODEL || "claude-sonnet-4-5",
+
+  isConfigured() {
+    return !!process.env.ANTHROPIC_API_KEY;
+  },
+
+  /**
+   * Sends the prompt and screenshot to Anthropic
+   * @param {Object} request - {prompt, imageBase64, model, maxTokens, temperature}
+   * @returns {Promise<{content: string, model: string, usage: Object}>} Raw model output
+   */
+  async complete({ prompt, imageBase64, model, maxTokens, temperature }) {
+    if (!this.isConfigured()) {
+      throw new Error("ANTHROPIC_API_KEY environment variable is not set");
+    }
+
+    const response = await fetch(API_URL, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": API_VERSION,
+      },
+      body: JSON.stringify({
+        model: model,
+        max_tokens: maxTokens,
+        temperature: temperature,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "image", source: { type: "base64", media_type: "image/png", data: imageBase64 } },
+              { type: "text", text: prompt },
+            ],
+          },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic API error ${response.status}: ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    return {
+      content: data.content.filter((block) => block.type === "text").map((block) => block.text).join(""),
+      model: data.model,
+      usage: {
+        promptTokens: data.usage?.input_tokens || 0,
+        completionTokens: data.usage?.output_tokens || 0,
+      },
+    };
+  },
+};
@@ -0,0 +1,63 @@
+const API_BASE = "https://generativelanguage.googleapis.com/v1beta/models";
+
+/**
+ * Google Gemini vision provider (generateContent REST API over fetch)
+ */
+module.exports = {
+  name: "gemini",
+  defaultModel: process.env.GEMINI_MODEL || "gemini-2.5-flash",
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  /**
+   * Sends the prompt and screenshot to Gemini
+   * @param {Object} request - {prompt, imageBase64, model, maxTokens, temperature}
+   * @returns {Promise<{content: string, model: string, usage: Object}>} Raw model output
+   */
+  async complete({ prompt, imageBase64, model, maxTokens, temperature }) {
+    if (!this.isConfigured()) {
+      throw new Error("GEMINI_API_KEY environment variable is not set");
+    }
+
+    const response = await fetch(`${API_BASE}/${encodeURIComponent(model)}:generateContent`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-goog-api-key": process.env.GEMINI_API_KEY,
+      },
+      body: JSON.stringify({
+        contents: [
+          {
+            role: "user",
+            parts: [
+              { text: prompt },
+              { inline_data: { mime_type: "image/png", data: imageBase64 } },
+            ],
+          },
+        ],
+        generationConfig: {
+          temperature: temperature,
+          maxOutputTokens: maxTokens,
+          responseMimeType: "application/json", // Force JSON output
+        },
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gemini API error ${response.status}: ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return {
+      content: parts.map((part) => part.text || "").join(""),
+      model: data.modelVersion || model,
+      usage: {
+        promptTokens: data.usageMetadata?.promptTokenCount || 0,
+        completionTokens: data.usageMetadata?.candidatesTokenCount || 0,
+      },
+    };
+  },
+};
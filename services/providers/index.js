@@ -0,0 +1,40 @@
+const openaiProvider = require("./openaiProvider");
+const anthropicProvider = require("./anthropicProvider");
+const geminiProvider = require("./geminiProvider");
+const openaiCompatibleProvider = require("./openaiCompatibleProvider");
+
+/**
+ * Vision model provider registry
+ * Every provider implements: name, defaultModel, isConfigured() and
+ * complete({prompt, imageBase64, model, maxTokens, temperature}) -> {content, model, usage}
+ */
+const providers = {
+  [openaiProvider.name]: openaiProvider,
+  [anthropicProvider.name]: anthropicProvider,
+  [geminiProvider.name]: geminiProvider,
+  [openaiCompatibleProvider.name]: openaiCompatibleProvider,
+};
+
+/**
+ * Gets a provider by name, falling back to AI_PROVIDER (default "openai")
+ * @param {string} [name] - Provider name from the request
+ * @returns {Object|null} Provider or null if the name is unknown
+ */
+function getProvider(name) {
+  const providerName = name || process.env.AI_PROVIDER || "openai";
+  // Own keys only, so names like "constructor" are not resolved through the prototype
+  return Object.hasOwn(providers, providerName) ? providers[providerName] : null;
+}
+
+/**
+ * Lists registered provider names
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,66 @@
+const OpenAI = require("openai");
+
+// Lazy initialization of the client for the configured base URL
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const baseURL = process.env.OPENAI_COMPATIBLE_BASE_URL;
+    if (!baseURL) {
+      throw new Error("OPENAI_COMPATIBLE_BASE_URL environment variable is not set");
+    }
+    client = new OpenAI({
+      baseURL: baseURL,
+      // Local servers such as Ollama ignore the key but the SDK requires one
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+    });
+  }
+  return client;
+}
+
+/**
+ * Any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio...) serving a vision model
+ * e.g. OPENAI_COMPATIBLE_BASE_URL=http://localhost:11434/v1
+ */
+module.exports = {
+  name: "openai-compatible",
+  defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || "llava",
+
+  isConfigured() {
+    return !!process.env.OPENAI_COMPATIBLE_BASE_URL;
+  },
+
+  /**
+   * Sends the prompt and screenshot to the compatible endpoint
+   * @param {Object} request - {prompt, imageBase64, model, maxTokens, temperature}
+   * @returns {Promise<{content: string, model: string, usage: Object}>} Raw model output
+   */
+  async complete({ prompt, imageBase64, model, maxTokens, temperature }) {
+    // Not every server implements JSON mode; it can be switched off
+    const jsonMode = process.env.OPENAI_COMPATIBLE_JSON_MODE !== "false";
+    const response = await getClient().chat.completions.create({
+      model: model,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            { type: "image_url", image_url: { url: `data:image/png;base64,${imageBase64}` } },
+          ],
+        },
+      ],
+      ...(jsonMode && { response_format: { type: "json_object" } }),
+      max_tokens: maxTokens,
+      temperature: temperature,
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+      },
+    };
+  },
+};
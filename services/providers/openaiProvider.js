@@ -0,0 +1,63 @@
+const OpenAI = require("openai");
+
+// Lazy initialization of OpenAI client (only when needed)
+let openai = null;
+
+function getOpenAIClient() {
+  if (!openai) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey || apiKey === "your_api_key_here") {
+      throw new Error("OPENAI_API_KEY environment variable is not set or is still the placeholder value");
+    }
+    openai = new OpenAI({
+      apiKey: apiKey,
+    });
+  }
+  return openai;
+}
+
+/**
+ * OpenAI vision provider (Chat Completions with image_url input)
+ */
+module.exports = {
+  name: "openai",
+  defaultModel: process.env.OPENAI_MODEL || "gpt-4o",
+
+  isConfigured() {
+    const apiKey = process.env.OPENAI_API_KEY;
+    return !!apiKey && apiKey !== "your_api_key_here";
+  },
+
+  /**
+   * Sends the prompt and screenshot to OpenAI
+   * @param {Object} request - {prompt, imageBase64, model, maxTokens, temperature}
+   * @returns {Promise<{content: string, model: string, usage: Object}>} Raw model output
+   */
+  async complete({ prompt, imageBase64, model, maxTokens, temperature }) {
+    const client = getOpenAIClient();
+    const response = await client.chat.completions.create({
+      model: model,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            { type: "image_url", image_url: { url: `data:image/png;base64,${imageBase64}` } },
+          ],
+        },
+      ],
+      response_format: { type: "json_object" }, // Force JSON output
+      max_tokens: maxTokens,
+      temperature: temperature,
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+      },
+    };
+  },
+};
@@ -0,0 +1,481 @@
+// Services
+const browserPool = require("./browserPool");
+const screenshotService = require("./screenshotService");
+
+/**
+ * Stakeholder reports for stored analyses
+ * HTML is a single self-contained file (screenshots inlined as data URIs), PDF is that HTML
+ * printed by the pooled Chromium, and Markdown links to the hosted screenshots instead
+ */
+
+const FORMATS = {
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+const SEVERITY_COLORS = {
+  critical: "#dc2626",
+  warning: "#ea580c",
+  suggestion: "#2563eb",
+  info: "#6b7280",
+};
+
+const RATING_LABELS = {
+  good: "Good",
+  "needs-improvement": "Needs improvement",
+  poor: "Poor",
+};
+
+const VITAL_LABELS = { lcp: "LCP", cls: "CLS", inp: "INP", tbt: "TBT", ttfb: "TTFB", fcp: "FCP" };
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Lists the report sections of an analysis: one per viewport, or one per captured flow step
+ * @param {Object} analysis - Stored analysis
+ * @returns {Array<{title: string, section: Object}>} Sections
+ */
+function sectionsOf(analysis) {
+  if (analysis.type === "crawl") {
+    return [];
+  }
+  if (analysis.type === "flow") {
+    return analysis.steps
+      .filter((step) => step.captured)
+      .map((step) => ({ title: `Step ${step.index}: ${step.description}`, section: step }));
+  }
+  if (Array.isArray(analysis.viewports)) {
+    return analysis.viewports.map((viewport) => ({ title: viewport.device?.name || "Default viewport", section: viewport }));
+  }
+  return [{ title: analysis.device?.name || "Default viewport", section: analysis }];
+}
+
+/**
+ * Formats a Core Web Vital value with its unit
+ * @param {string} key - Metric key
+ * @param {Object} metric - {value, rating}
+ * @returns {string} Formatted value
+ */
+function formatVital(key, metric) {
+  if (metric.value === null || metric.value === undefined) {
+    return "n/a";
+  }
+  return key === "cls" ? String(metric.value) : `${metric.value} ms`;
+}
+
+/**
+ * Reads a screenshot and returns it as a data URI
+ * @param {string} filename - Screenshot filename
+ * @returns {Promise<string|null>} Data URI, or null if the file is gone
+ */
+async function inlineScreenshot(filename) {
+  if (!filename) {
+    return null;
+  }
+  try {
+    const buffer = await screenshotService.readScreenshot(filename);
+    return `data:image/png;base64,${buffer.toString("base64")}`;
+  } catch (error) {
+    console.log(`[REPORT] Screenshot ${filename} is not available: ${error.message}`);
+    return null;
+  }
+}
+
+// ---------- HTML ----------
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Arial, sans-serif; color: #111827; margin: 32px; line-height: 1.45; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  h2 { font-size: 20px; border-bottom: 2px solid #e5e7eb; padding-bottom: 6px; margin-top: 40px; }
+  h3 { font-size: 16px; margin-top: 24px; }
+  .meta { color: #6b7280; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; margin-top: 8px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  .badge { display: inline-block; min-width: 22px; height: 22px; line-height: 22px; border-radius: 11px; color: #fff; text-align: center; font-weight: bold; font-size: 12px; }
+  .badge.issue { background: red; }
+  .badge.a11y { background: #f97316; }
+  .severity { font-weight: bold; text-transform: uppercase; font-size: 11px; }
+  .screenshot { max-width: 100%; border: 1px solid #e5e7eb; }
+  .muted { color: #6b7280; }
+  section { page-break-inside: auto; }
+  tr { page-break-inside: avoid; }
+`;
+
+/**
+ * Renders the issue list of a section; numbers match the badges drawn by annotationService
+ * @param {Object} section - Viewport or step section
+ * @returns {string} HTML
+ */
+function issuesHtml(section) {
+  const report = section.aiAnalysis?.report || [];
+  if (report.length === 0) {
+    return `<p class="muted">No issues reported.</p>`;
+  }
+  const rows = report
+    .map(
+      (issue) => `<tr>
+        <td>${issue.coordinates ? `<span class="badge issue">${escapeHtml(issue.id)}</span>` : escapeHtml(issue.id)}</td>
+        <td><span class="severity" style="color:${SEVERITY_COLORS[issue.severity] || "#111827"}">${escapeHtml(issue.severity)}</span></td>
+        <td>${escapeHtml(issue.criterionName || issue.heuristicName || issue.type)}</td>
+        <td>${escapeHtml(issue.message)}${issue.evidence ? `<br><span class="muted">${escapeHtml(issue.evidence)}</span>` : ""}${issue.element ? `<br><code>${escapeHtml(issue.element)}</code>` : ""}</td>
+        <td>${escapeHtml(issue.recommendation)}</td>
+      </tr>`
+    )
+    .join("");
+  return `<table><tr><th>#</th><th>Severity</th><th>Category</th><th>Issue</th><th>Recommendation</th></tr>${rows}</table>`;
+}
+
+/**
+ * Renders Core Web Vitals and the resource summary
+ * @param {Object} performance - Performance metrics
+ * @returns {string} HTML
+ */
+function performanceHtml(performance) {
+  if (!performance?.webVitals) {
+    return `<p class="muted">No performance data.</p>`;
+  }
+  const rows = Object.entries(VITAL_LABELS)
+    .map(([key, label]) => {
+      const metric = performance.webVitals[key];
+      return `<tr><td>${label}</td><td>${escapeHtml(formatVital(key, metric))}</td><td>${escapeHtml(RATING_LABELS[metric.rating] || "n/a")}</td></tr>`;
+    })
+    .join("");
+  const resources = performance.resources
+    ? `<p>${performance.resources.total} requests, ${(performance.resources.totalBytes / 1024).toFixed(0)} KB transferred, ${performance.resources.renderBlockingCount} render-blocking.</p>`
+    : "";
+  return `<table><tr><th>Metric</th><th>Value</th><th>Rating</th></tr>${rows}</table>${resources}`;
+}
+
+/**
+ * Renders the WCAG violations; A-numbers match the orange badges on the screenshot
+ * @param {Object} accessibility - Accessibility data
+ * @returns {string} HTML
+ */
+function accessibilityHtml(accessibility) {
+  const violations = accessibility?.violations || [];
+  if (violations.length === 0) {
+    return `<p class="muted">No WCAG violations detected.</p>`;
+  }
+  const summary = accessibility.summary
+    ? `<p>${accessibility.summary.total} violations: ${accessibility.summary.critical} critical, ${accessibility.summary.serious} serious, ${accessibility.summary.moderate} moderate, ${accessibility.summary.minor} minor.</p>`
+    : "";
+  const rows = violations
+    .map(
+      (violation) => `<tr>
+        <td>${violation.boundingBox ? `<span class="badge a11y">${escapeHtml(violation.id)}</span>` : escapeHtml(violation.id)}</td>
+        <td>${escapeHtml(violation.impact)}</td>
+        <td>${escapeHtml(`${violation.wcag.criterion} ${violation.wcag.name} (${violation.wcag.level})`)}</td>
+        <td>${escapeHtml(violation.message)}<br><code>${escapeHtml(violation.selector)}</code></td>
+      </tr>`
+    )
+    .join("");
+  return `${summary}<table><tr><th>#</th><th>Impact</th><th>WCAG</th><th>Violation</th></tr>${rows}</table>`;
+}
+
+/**
+ * Renders meta information, SEO findings and link health
+ * @param {Object} section - Viewport section
+ * @returns {string} HTML
+ */
+function metaHtml(section) {
+  const meta = section.meta || {};
+  const parts = [
+    `<table>
+      <tr><th>Title</th><td>${escapeHtml(section.pageInfo?.title || meta.seo?.title?.text || "")}</td></tr>
+      <tr><th>Description</th><td>${escapeHtml(meta.description || "Missing")}</td></tr>
+      <tr><th>Viewport</th><td>${escapeHtml(meta.viewport || "Missing")}</td></tr>
+      ${section.seo?.score !== undefined && section.seo?.score !== null ? `<tr><th>SEO score</th><td>${section.seo.score} / 100</td></tr>` : ""}
+    </table>`,
+  ];
+
+  const findings = (section.seo?.findings || []).filter((finding) => finding.status !== "pass");
+  if (findings.length > 0) {
+    const rows = findings
+      .map(
+        (finding) =>
+          `<tr><td>${escapeHtml(finding.check)}</td><td>${escapeHtml(finding.status)}</td><td>${escapeHtml(finding.message)}</td><td>${escapeHtml(finding.recommendation || "")}</td></tr>`
+      )
+      .join("");
+    parts.push(`<h3>SEO findings</h3><table><tr><th>Check</th><th>Status</th><th>Finding</th><th>Recommendation</th></tr>${rows}</table>`);
+  }
+
+  if (section.links) {
+    parts.push(
+      `<h3>Links</h3><p>${section.links.checked} links checked: ${section.links.broken} broken, ${section.links.redirected} redirected, ${section.links.mixedContent} insecure${section.links.skipped ? `; ${section.links.skipped} not checked (URL policy)` : ""}.</p>`
+    );
+  }
+  return parts.join("");
+}
+
+/**
+ * Renders the site summary of a crawl
+ * @param {Object} crawl - Stored crawl
+ * @returns {string} HTML
+ */
+function crawlHtml(crawl) {
+  const summary = crawl.summary;
+  const worst = summary.worstPages
+    .map((page) => `<tr><td>${escapeHtml(page.url)}</td><td>${page.issueCount}</td><td>${page.score}</td></tr>`)
+    .join("");
+  const recurring = summary.recurringIssues
+    .map((issue) => `<tr><td>${escapeHtml(issue.example)}</td><td>${escapeHtml(issue.type)}</td><td>${issue.pageCount}</td></tr>`)
+    .join("");
+  const broken = summary.brokenLinks
+    .map((link) => `<tr><td>${escapeHtml(link.url)}</td><td>${escapeHtml(link.statusCode || link.error)}</td><td>${escapeHtml(link.linkedFrom.join(", "))}</td></tr>`)
+    .join("");
+  const failed = (summary.failedPages || [])
+    .map((page) => `<tr><td>${escapeHtml(page.url)}</td><td>${escapeHtml(page.statusCode || page.error)}</td><td>${escapeHtml(page.linkedFrom.join(", "))}</td></tr>`)
+    .join("");
+  const missing = summary.missingMetaDescriptions.map((page) => `<li>${escapeHtml(page.url)}</li>`).join("");
+
+  return `<h2>Site summary</h2>
+    <p>${summary.pagesAnalyzed} pages analyzed, ${summary.pagesFailed} failed, ${summary.totalIssues} issues in total.</p>
+    <h3>Worst pages</h3><table><tr><th>Page</th><th>Issues</th><th>Score</th></tr>${worst}</table>
+    <h3>Recurring issues</h3>${recurring ? `<table><tr><th>Issue</th><th>Type</th><th>Pages</th></tr>${recurring}</table>` : `<p class="muted">None.</p>`}
+    <h3>Broken internal links</h3>${broken ? `<table><tr><th>URL</th><th>Status</th><th>Linked from</th></tr>${broken}</table>` : `<p class="muted">None.</p>`}
+    <h3>Pages that failed to load</h3>${failed ? `<table><tr><th>URL</th><th>Status</th><th>Linked from</th></tr>${failed}</table>` : `<p class="muted">None.</p>`}
+    <h3>Pages missing a meta description</h3>${missing ? `<ul>${missing}</ul>` : `<p class="muted">None.</p>`}`;
+}
+
+/**
+ * Builds the self-contained HTML report
+ * @param {Object} analysis - Stored analysis
+ * @returns {Promise<string>} HTML document
+ */
+async function buildHtml(analysis) {
+  const sections = sectionsOf(analysis);
+  const screenshots = await Promise.all(
+    sections.map(({ section }) => inlineScreenshot(section.screenshotInfo?.annotated?.filename))
+  );
+
+  const body = sections
+    .map(({ title, section }, index) => {
+      const engine = section.aiAnalysis
+        ? `Analysis engine: ${escapeHtml(section.aiAnalysis.engine)}${section.aiAnalysis.model ? ` (${escapeHtml(section.aiAnalysis.model)})` : ""}${section.aiAnalysis.framework ? ` · Framework: ${escapeHtml(section.aiAnalysis.framework.title)}` : ""}`
+        : "";
+      return `<section>
+        <h2>${escapeHtml(title)}</h2>
+        <p class="meta">${escapeHtml(section.url || analysis.url)} · ${engine}</p>
+        ${screenshots[index] ? `<img class="screenshot" src="${screenshots[index]}" alt="Annotated screenshot">` : `<p class="muted">Screenshot is no longer available.</p>`}
+        <h3>Issues</h3>${issuesHtml(section)}
+        ${section.performance ? `<h3>Performance</h3>${performanceHtml(section.performance)}` : ""}
+        ${section.accessibility ? `<h3>Accessibility</h3>${accessibilityHtml(section.accessibility)}` : ""}
+        ${section.meta ? `<h3>Meta &amp; SEO</h3>${metaHtml(section)}` : ""}
+      </section>`;
+    })
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>UX report: ${escapeHtml(analysis.url)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>UX report</h1>
+<p class="meta">${escapeHtml(analysis.url)} · ${escapeHtml(new Date(analysis.createdAt).toUTCString())} · Analysis ${escapeHtml(analysis.id)}</p>
+${analysis.type === "crawl" ? crawlHtml(analysis) : body}
+${analysis.filmstrip ? `<h2>Filmstrip</h2><img class="screenshot" src="${(await inlineScreenshot(analysis.filmstrip.filename)) || ""}" alt="Flow filmstrip">` : ""}
+</body>
+</html>`;
+}
+
+// ---------- Markdown ----------
+
+/**
+ * Builds the Markdown report (screenshots are linked, not embedded)
+ * @param {Object} analysis - Stored analysis
+ * @returns {string} Markdown document
+ */
+function buildMarkdown(analysis) {
+  const lines = [
+    `# UX report: ${analysis.url}`,
+    "",
+    `Analysis \`${analysis.id}\`, ${new Date(analysis.createdAt).toUTCString()}`,
+    "",
+  ];
+
+  if (analysis.type === "crawl") {
+    const summary = analysis.summary;
+    lines.push(
+      "## Site summary",
+      "",
+      `${summary.pagesAnalyzed} pages analyzed, ${summary.pagesFailed} failed, ${summary.totalIssues} issues in total.`,
+      "",
+      "### Worst pages",
+      "",
+      "| Page | Issues | Score |",
+      "| --- | --- | --- |",
+      ...summary.worstPages.map((page) => `| ${escapeCell(page.url)} | ${page.issueCount} | ${page.score} |`),
+      "",
+      "### Recurring issues",
+      "",
+      ...summary.recurringIssues.map((issue) => `- ${issue.example} (${issue.type}, ${issue.pageCount} pages)`),
+      "",
+      "### Broken internal links",
+      "",
+      ...summary.brokenLinks.map((link) => `- ${link.url}: ${link.statusCode || link.error}`),
+      "",
+      "### Pages that failed to load",
+      "",
+      ...(summary.failedPages || []).map((page) => `- ${page.url}: ${page.statusCode || page.error}`),
+      "",
+      "### Pages missing a meta description",
+      "",
+      ...summary.missingMetaDescriptions.map((page) => `- ${page.url}`),
+      ""
+    );
+    return lines.join("\n");
+  }
+
+  sectionsOf(analysis).forEach(({ title, section }) => {
+    lines.push(`## ${title}`, "");
+    if (section.screenshotInfo?.annotated?.fullUrl) {
+      lines.push(`![Annotated screenshot](${section.screenshotInfo.annotated.fullUrl})`, "");
+    }
+
+    const report = section.aiAnalysis?.report || [];
+    lines.push("### Issues", "");
+    if (section.aiAnalysis?.framework) {
+      lines.push(`Framework: ${section.aiAnalysis.framework.title}`, "");
+    }
+    if (report.length === 0) {
+      lines.push("No issues reported.", "");
+    } else {
+      lines.push("| # | Severity | Category | Issue | Recommendation |", "| --- | --- | --- | --- | --- |");
+      report.forEach((issue) => {
+        lines.push(
+          `| ${issue.id} | ${escapeCell(issue.severity)} | ${escapeCell(issue.criterionName || issue.heuristicName || issue.type)} | ${escapeCell(issue.message)}${issue.element ? ` (\`${escapeCell(issue.element)}\`)` : ""} | ${escapeCell(issue.recommendation)} |`
+        );
+      });
+      lines.push("");
+    }
+
+    if (section.performance?.webVitals) {
+      lines.push("### Performance", "", "| Metric | Value | Rating |", "| --- | --- | --- |");
+      Object.entries(VITAL_LABELS).forEach(([key, label]) => {
+        const metric = section.performance.webVitals[key];
+        lines.push(`| ${label} | ${formatVital(key, metric)} | ${RATING_LABELS[metric.rating] || "n/a"} |`);
+      });
+      lines.push("");
+    }
+
+    const violations = section.accessibility?.violations || [];
+    if (section.accessibility) {
+      lines.push("### Accessibility", "");
+      if (violations.length === 0) {
+        lines.push("No WCAG violations detected.", "");
+      } else {
+        lines.push("| # | Impact | WCAG | Violation |", "| --- | --- | --- | --- |");
+        violations.forEach((violation) => {
+          lines.push(
+            `| ${violation.id} | ${violation.impact} | ${violation.wcag.criterion} ${escapeCell(violation.wcag.name)} | ${escapeCell(violation.message)} (\`${escapeCell(violation.selector)}\`) |`
+          );
+        });
+        lines.push("");
+      }
+    }
+
+    if (section.meta) {
+      lines.push(
+        "### Meta & SEO",
+        "",
+        `- Description: ${section.meta.description || "Missing"}`,
+        `- Viewport: ${section.meta.viewport || "Missing"}`
+      );
+      if (section.seo?.score !== undefined && section.seo?.score !== null) {
+        lines.push(`- SEO score: ${section.seo.score} / 100`);
+      }
+      (section.seo?.findings || [])
+        .filter((finding) => finding.status !== "pass")
+        .forEach((finding) => lines.push(`- ${finding.check} (${finding.status}): ${finding.message}`));
+      lines.push("");
+    }
+  });
+
+  if (analysis.filmstrip?.fullUrl) {
+    lines.push("## Filmstrip", "", `![Flow filmstrip](${analysis.filmstrip.fullUrl})`, "");
+  }
+  return lines.join("\n");
+}
+
+// ---------- PDF ----------
+
+/**
+ * Prints the HTML report to PDF with the pooled Chromium
+ * The report is self-contained (images are inlined), so scripts are off and every network
+ * request is refused: page text copied into the report can never make the browser fetch anything
+ * @param {Object} analysis - Stored analysis
+ * @returns {Promise<Buffer>} PDF document
+ */
+async function buildPdf(analysis) {
+  const html = await buildHtml(analysis);
+  const lease = await browserPool.acquireContext({ javaScriptEnabled: false });
+  try {
+    await lease.context.route("**/*", (route) =>
+      route.request().url().startsWith("data:") ? route.continue() : route.abort("blockedbyclient")
+    );
+    const page = await lease.context.newPage();
+    await page.setContent(html, { waitUntil: "load" });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "16mm", bottom: "16mm", left: "12mm", right: "12mm" },
+    });
+  } finally {
+    await lease.release();
+  }
+}
+
+/**
+ * Renders a report in the requested format
+ * @param {Object} analysis - Stored analysis
+ * @param {string} format - html, pdf or md
+ * @returns {Promise<{body: string|Buffer, contentType: string, filename: string}>} Report
+ */
+async function renderReport(analysis, format) {
+  console.log(`[REPORT] Rendering ${format} report for analysis ${analysis.id}...`);
+  let body;
+  if (format === "pdf") {
+    body = await buildPdf(analysis);
+  } else if (format === "md") {
+    body = buildMarkdown(analysis);
+  } else {
+    body = await buildHtml(analysis);
+  }
+
+  return {
+    body: body,
+    contentType: FORMATS[format].contentType,
+    filename: `uxray-report-${analysis.id}.${FORMATS[format].extension}`,
+  };
+}
+
+module.exports = {
+  FORMATS,
+  renderReport,
+};
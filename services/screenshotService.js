@@ -1,7 +1,12 @@
 const fs = require("fs").promises;
 const path = require("path");
 const crypto = require("crypto");
-const { loadImage } = require("canvas");
+const { createCanvas, loadImage } = require("canvas");
+
+// Filmstrip layout (CSS pixels)
+const FILMSTRIP_FRAME_WIDTH = parseInt(process.env.FILMSTRIP_FRAME_WIDTH, 10) || 320;
+const FILMSTRIP_GAP = 12;
+const FILMSTRIP_LABEL_HEIGHT = 28;
 
 /**
  * Ensures the screenshots directory exists
@@ -16,19 +21,64 @@ async function ensureScreenshotsDir() {
   }
 }
 
+/**
+ * Short MD5 hash of a URL used to group screenshots of the same page
+ * @param {string} url - Page URL
+ * @returns {string} 8-character hex hash
+ */
+function hashUrl(url) {
+  return crypto.createHash("md5").update(url).digest("hex").substring(0, 8);
+}
+
+/**
+ * Builds an unguessable screenshot filename
+ * Files are served to every API key, so the random part is what keeps one key's captures
+ * (including logged-in pages) from being fetched by another that only knows the URL
+ * @param {string} prefix - File kind such as "screenshot" or "diff"
+ * @param {string} url - Page URL (hashed to group files of the same page)
+ * @param {string} [suffix] - Extra suffix before the extension (e.g. from labelSuffix)
+ * @returns {string} Filename ending in .png
+ */
+function newFilename(prefix, url, suffix = "") {
+  return `${prefix}_${hashUrl(url)}_${Date.now()}_${crypto.randomBytes(16).toString("hex")}${suffix}.png`;
+}
+
+/**
+ * Checks whether a requested file was named by newFilename (or derived from such a name)
+ * Older files with guessable names are not served
+ * @param {string} filename - Requested filename
+ * @returns {boolean} True if the name carries a random part
+ */
+function isServable(filename) {
+  return /_[0-9a-f]{32}[_.]/.test(path.basename(filename));
+}
+
+/**
+ * Turns a device/viewport label into a filename-safe suffix
+ * @param {string} [label] - Label such as "iPhone 13"
+ * @returns {string} Suffix including the leading underscore, or "" without a label
+ */
+function labelSuffix(label) {
+  return label ? `_${label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}` : "";
+}
+
 /**
  * Captures a full-page screenshot and saves it to disk
  * @param {Page} page - Playwright page instance
  * @param {string} url - URL of the page (for generating filename)
+ * @param {string} [label] - Optional suffix (e.g. device name) to keep filenames unique per viewport
+ * @param {Object} [options] - Capture options
+ * @param {boolean} [options.fullPage=true] - Capture the whole page instead of the current viewport
  * @returns {Promise<{base64: string, filename: string, url: string}>} Screenshot data
  */
-async function captureScreenshot(page, url) {
+async function captureScreenshot(page, url, label, options = {}) {
   console.log("[SCREENSHOT] Capturing screenshot...");
   
   // Ensure directory exists
   await ensureScreenshotsDir();
   
-  const screenshotBuffer = await page.screenshot({ fullPage: true });
+  // CSS scale keeps image pixels aligned with DOM bounding boxes on high-DPI devices
+  const screenshotBuffer = await page.screenshot({ fullPage: options.fullPage !== false, scale: "css" });
   
   // Verify buffer is not empty
   if (!screenshotBuffer || screenshotBuffer.length === 0) {
@@ -38,9 +88,7 @@ async function captureScreenshot(page, url) {
   const screenshotBase64 = screenshotBuffer.toString("base64");
 
   // Generate unique filename
-  const urlHash = crypto.createHash("md5").update(url).digest("hex").substring(0, 8);
-  const timestamp = Date.now();
-  const filename = `screenshot_${urlHash}_${timestamp}.png`;
+  const filename = newFilename("screenshot", url, labelSuffix(label));
   const filepath = path.join(__dirname, "../screenshots", filename);
 
   // Save to disk
@@ -63,7 +111,92 @@ async function captureScreenshot(page, url) {
   };
 }
 
+/**
+ * Lays out frames side by side with a caption under each and saves the strip to disk
+ * @param {Array<{buffer: Buffer, caption: string}>} frames - Screenshots in display order
+ * @param {string} url - URL the frames belong to (for generating filename)
+ * @returns {Promise<{filename: string, url: string, width: number, height: number}>} Filmstrip info
+ */
+async function createFilmstrip(frames, url) {
+  console.log(`[SCREENSHOT] Building filmstrip from ${frames.length} frames...`);
+  await ensureScreenshotsDir();
+
+  const images = await Promise.all(frames.map((frame) => loadImage(frame.buffer)));
+  const scaledHeights = images.map((img) => Math.round((img.height * FILMSTRIP_FRAME_WIDTH) / img.width));
+  const width = images.length * FILMSTRIP_FRAME_WIDTH + (images.length + 1) * FILMSTRIP_GAP;
+  const captionY = FILMSTRIP_GAP * 2 + Math.max(...scaledHeights);
+  const height = captionY + FILMSTRIP_LABEL_HEIGHT;
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#f3f4f6";
+  ctx.fillRect(0, 0, width, height);
+
+  images.forEach((img, index) => {
+    const x = FILMSTRIP_GAP + index * (FILMSTRIP_FRAME_WIDTH + FILMSTRIP_GAP);
+    ctx.drawImage(img, x, FILMSTRIP_GAP, FILMSTRIP_FRAME_WIDTH, scaledHeights[index]);
+    ctx.strokeStyle = "#d1d5db";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, FILMSTRIP_GAP, FILMSTRIP_FRAME_WIDTH, scaledHeights[index]);
+
+    // Caption, truncated to the frame width
+    let caption = frames[index].caption || `${index + 1}`;
+    ctx.font = "13px Arial";
+    while (caption.length > 1 && ctx.measureText(caption).width > FILMSTRIP_FRAME_WIDTH) {
+      caption = caption.slice(0, -2) + "…";
+    }
+    ctx.fillStyle = "#111827";
+    ctx.textBaseline = "top";
+    ctx.fillText(caption, x, captionY);
+  });
+
+  const filename = newFilename("filmstrip", url);
+  await fs.writeFile(path.join(__dirname, "../screenshots", filename), canvas.toBuffer("image/png"));
+  console.log(`[SCREENSHOT] Filmstrip saved: ${filename} (${width}x${height}px)`);
+
+  return {
+    filename: filename,
+    url: `/screenshots/${filename}`,
+    width: width,
+    height: height,
+  };
+}
+
+/**
+ * Reads a saved screenshot from the screenshots directory
+ * @param {string} filename - Screenshot filename (directory components are ignored)
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+async function readScreenshot(filename) {
+  return fs.readFile(path.join(__dirname, "../screenshots", path.basename(filename)));
+}
+
+/**
+ * Deletes a screenshot file from the screenshots directory
+ * @param {string} filename - Screenshot filename (directory components are ignored)
+ * @returns {Promise<boolean>} False if the file did not exist
+ */
+async function deleteScreenshot(filename) {
+  const filepath = path.join(__dirname, "../screenshots", path.basename(filename));
+  try {
+    await fs.unlink(filepath);
+    console.log(`[SCREENSHOT] Deleted screenshot: ${filename}`);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+}
+
 module.exports = {
+  hashUrl,
+  newFilename,
+  isServable,
   captureScreenshot,
+  createFilmstrip,
+  readScreenshot,
+  deleteScreenshot,
 };
 
@@ -0,0 +1,147 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Saved session profiles: named Playwright storageState snapshots (cookies + localStorage)
+ * Stored as JSON files because they contain credentials-equivalent cookies; keep the
+ * directory private (it is git-ignored under data/). Each API key has its own profiles
+ * (one subdirectory per key, "anonymous" without a key), so a key can neither use nor
+ * replace another key's logged-in session.
+ */
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, "../data/sessions");
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Checks that a profile name is safe to use as a filename
+ * @param {string} name - Profile name
+ * @returns {boolean} True if valid
+ */
+function isValidName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+function ownerDir(owner) {
+  return path.join(SESSIONS_DIR, path.basename(owner || "anonymous"));
+}
+
+function fileFor(name, owner) {
+  return path.join(ownerDir(owner), `${name}.json`);
+}
+
+/**
+ * Loads a session profile
+ * @param {string} name - Profile name
+ * @param {string|null} owner - API key id that owns the profile (null when anonymous)
+ * @returns {Promise<Object|null>} Profile ({name, apiKeyId, storageState, createdAt, updatedAt}) or null
+ */
+async function getProfile(name, owner) {
+  if (!isValidName(name)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(fileFor(name, owner), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saves (or replaces) a session profile
+ * @param {string} name - Profile name
+ * @param {Object} storageState - Playwright storageState ({cookies, origins})
+ * @param {string|null} owner - API key id that owns the profile (null when anonymous)
+ * @returns {Promise<Object>} Saved profile
+ */
+async function saveProfile(name, storageState, owner) {
+  if (!isValidName(name)) {
+    throw new Error(`Invalid session profile name "${name}"`);
+  }
+  await fs.mkdir(ownerDir(owner), { recursive: true, mode: 0o700 });
+  const existing = await getProfile(name, owner);
+  const now = new Date().toISOString();
+  const profile = {
+    name: name,
+    apiKeyId: owner || null,
+    storageState: storageState,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+  await fs.writeFile(fileFor(name, owner), JSON.stringify(profile, null, 2), { mode: 0o600 });
+  console.log(`[SESSIONS] Saved session profile "${name}"`);
+  return profile;
+}
+
+/**
+ * Lists an API key's session profiles without their secrets
+ * @param {string|null} owner - API key id (null when anonymous)
+ * @returns {Promise<Array<Object>>} Profile summaries
+ */
+async function listProfiles(owner) {
+  let files;
+  try {
+    files = await fs.readdir(ownerDir(owner));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const profiles = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => getProfile(file.replace(/\.json$/, ""), owner))
+  );
+  return profiles.filter(Boolean).map(summarizeProfile);
+}
+
+/**
+ * Describes a profile without exposing cookie values
+ * @param {Object} profile - Stored profile
+ * @returns {Object} Summary
+ */
+function summarizeProfile(profile) {
+  const state = profile.storageState || {};
+  return {
+    name: profile.name,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+    cookieCount: (state.cookies || []).length,
+    domains: [...new Set((state.cookies || []).map((cookie) => cookie.domain))],
+    origins: (state.origins || []).map((origin) => origin.origin),
+  };
+}
+
+/**
+ * Deletes a session profile
+ * @param {string} name - Profile name
+ * @param {string|null} owner - API key id that owns the profile (null when anonymous)
+ * @returns {Promise<boolean>} False if it did not exist
+ */
+async function deleteProfile(name, owner) {
+  if (!isValidName(name)) {
+    return false;
+  }
+  try {
+    await fs.unlink(fileFor(name, owner));
+    console.log(`[SESSIONS] Deleted session profile "${name}"`);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isValidName,
+  getProfile,
+  saveProfile,
+  listProfiles,
+  summarizeProfile,
+  deleteProfile,
+};
@@ -0,0 +1,186 @@
+const { createCanvas, loadImage } = require("canvas");
+const fs = require("fs").promises;
+const path = require("path");
+
+// Services
+const screenshotService = require("./screenshotService");
+
+// Utils
+const { fetchAllowed } = require("../utils/urlValidator");
+
+/**
+ * Social-share preview
+ * Renders how a link to the page would look when shared (large image card, 1200x630 image
+ * with title, description and domain underneath), from Open Graph / Twitter tags
+ */
+
+const CARD_WIDTH = 1200;
+const IMAGE_HEIGHT = 630;
+const TEXT_HEIGHT = 170;
+const PADDING = 32;
+const OG_IMAGE_TIMEOUT_MS = parseInt(process.env.OG_IMAGE_TIMEOUT_MS, 10) || 10000;
+const OG_IMAGE_MAX_BYTES = parseInt(process.env.OG_IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+/**
+ * Downloads the share image
+ * @param {string} imageUrl - og:image / twitter:image URL
+ * @returns {Promise<{image: Image|null, error: string|null}>} Loaded image or the reason it failed
+ */
+async function fetchShareImage(imageUrl) {
+  try {
+    // The image URL comes from the page, so it goes through the URL policy like the page itself
+    const response = await fetchAllowed(imageUrl, { signal: AbortSignal.timeout(OG_IMAGE_TIMEOUT_MS) });
+    if (!response.ok) {
+      return { image: null, error: `HTTP ${response.status}` };
+    }
+    const declaredLength = Number(response.headers.get("content-length"));
+    if (declaredLength > OG_IMAGE_MAX_BYTES) {
+      return { image: null, error: `Image is larger than ${OG_IMAGE_MAX_BYTES} bytes` };
+    }
+    // Chunked responses declare no length, so count while streaming and stop at the limit
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+      received += chunk.length;
+      if (received > OG_IMAGE_MAX_BYTES) {
+        await response.body.cancel().catch(() => {});
+        return { image: null, error: `Image is larger than ${OG_IMAGE_MAX_BYTES} bytes` };
+      }
+      chunks.push(chunk);
+    }
+    return { image: await loadImage(Buffer.concat(chunks)), error: null };
+  } catch (error) {
+    return { image: null, error: error.message };
+  }
+}
+
+/**
+ * Wraps text into at most maxLines lines, ending with an ellipsis when cut
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @param {number} maxLines - Line limit
+ * @returns {Array<string>} Lines
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = "";
+  String(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+  if (line) {
+    lines.push(line);
+  }
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.length > 1 && ctx.measureText(`${last}…`).width > maxWidth) {
+    last = last.slice(0, -1);
+  }
+  kept[maxLines - 1] = `${last}…`;
+  return kept;
+}
+
+/**
+ * Renders the social-share preview card for a page
+ * @param {Object} metaInfo - Result of metaService.getMetaInfo
+ * @param {string} pageUrl - Analyzed URL
+ * @returns {Promise<Object|null>} Card info ({filename, url, source, imageError}), or null without a title
+ */
+async function renderSocialCard(metaInfo, pageUrl) {
+  const seo = metaInfo?.seo;
+  if (!seo) {
+    return null;
+  }
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+  const source = {
+    title: first(seo.openGraph["og:title"]) || first(seo.twitter["twitter:title"]) || seo.title.text || null,
+    description:
+      first(seo.openGraph["og:description"]) || first(seo.twitter["twitter:description"]) || seo.description.text || null,
+    image: first(seo.openGraph["og:image"]) || first(seo.twitter["twitter:image"]) || null,
+    domain: new URL(first(seo.openGraph["og:url"]) || pageUrl, pageUrl).hostname.replace(/^www\./, ""),
+  };
+  if (!source.title) {
+    return null;
+  }
+  if (source.image) {
+    source.image = new URL(source.image, pageUrl).href;
+  }
+
+  console.log("[SOCIAL_CARD] Rendering social-share preview...");
+  const { image, error: imageError } = source.image
+    ? await fetchShareImage(source.image)
+    : { image: null, error: "No og:image or twitter:image" };
+
+  const canvas = createCanvas(CARD_WIDTH, IMAGE_HEIGHT + TEXT_HEIGHT);
+  const ctx = canvas.getContext("2d");
+
+  // Image area: cover-fit like the networks do, or a placeholder
+  ctx.fillStyle = "#e5e7eb";
+  ctx.fillRect(0, 0, CARD_WIDTH, IMAGE_HEIGHT);
+  if (image) {
+    const scale = Math.max(CARD_WIDTH / image.width, IMAGE_HEIGHT / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.drawImage(image, (CARD_WIDTH - drawWidth) / 2, (IMAGE_HEIGHT - drawHeight) / 2, drawWidth, drawHeight);
+  } else {
+    ctx.fillStyle = "#6b7280";
+    ctx.font = "bold 36px Arial";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("No preview image", CARD_WIDTH / 2, IMAGE_HEIGHT / 2);
+  }
+
+  // Text area
+  ctx.fillStyle = "#f9fafb";
+  ctx.fillRect(0, IMAGE_HEIGHT, CARD_WIDTH, TEXT_HEIGHT);
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+
+  ctx.fillStyle = "#6b7280";
+  ctx.font = "24px Arial";
+  ctx.fillText(source.domain.toUpperCase(), PADDING, IMAGE_HEIGHT + 20);
+
+  ctx.fillStyle = "#111827";
+  ctx.font = "bold 34px Arial";
+  wrapText(ctx, source.title, CARD_WIDTH - PADDING * 2, 1).forEach((line) => {
+    ctx.fillText(line, PADDING, IMAGE_HEIGHT + 56);
+  });
+
+  if (source.description) {
+    ctx.fillStyle = "#4b5563";
+    ctx.font = "26px Arial";
+    wrapText(ctx, source.description, CARD_WIDTH - PADDING * 2, 2).forEach((line, index) => {
+      ctx.fillText(line, PADDING, IMAGE_HEIGHT + 102 + index * 32);
+    });
+  }
+
+  const filename = screenshotService.newFilename("social", pageUrl);
+  const screenshotsDir = path.join(__dirname, "../screenshots");
+  await fs.mkdir(screenshotsDir, { recursive: true });
+  await fs.writeFile(path.join(screenshotsDir, filename), canvas.toBuffer("image/png"));
+  console.log(`[SOCIAL_CARD] Social card saved: ${filename}`);
+
+  return {
+    filename: filename,
+    url: `/screenshots/${filename}`,
+    source: source,
+    imageError: imageError,
+  };
+}
+
+module.exports = {
+  renderSocialCard,
+};
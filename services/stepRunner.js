@@ -0,0 +1,192 @@
+/**
+ * Declarative browser step runner
+ * Steps are plain objects such as {action: "fill", selector: "#email", value: "me@example.com"}
+ */
+
+const DEFAULT_STEP_TIMEOUT_MS = parseInt(process.env.STEP_TIMEOUT_MS, 10) || 30000;
+const MAX_STEPS = parseInt(process.env.MAX_STEPS, 10) || 50;
+
+// Upper bound for fixed "wait" steps
+const MAX_WAIT_MS = parseInt(process.env.MAX_WAIT_MS, 10) || 10000;
+// Upper bound for per-step timeouts, so one step cannot hold a pooled context indefinitely
+const MAX_STEP_TIMEOUT_MS = parseInt(process.env.MAX_STEP_TIMEOUT_MS, 10) || 60000;
+
+/**
+ * Clicks an element by CSS selector, or by its visible text
+ * @param {Page} page - Playwright page instance
+ * @param {Object} step - {selector} or {text, exact?}
+ * @param {number} timeout - Timeout in ms
+ */
+function clickTarget(page, step, timeout) {
+  if (step.selector) {
+    return page.click(step.selector, { timeout });
+  }
+  return page.getByText(String(step.text), { exact: !!step.exact }).first().click({ timeout });
+}
+
+/**
+ * Scrolls an element into view, or the window by a number of pixels (one viewport by default)
+ * @param {Page} page - Playwright page instance
+ * @param {Object} step - {selector} or {y?, x?}
+ * @param {number} timeout - Timeout in ms
+ */
+async function scrollTarget(page, step, timeout) {
+  if (step.selector) {
+    return page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+  }
+  await page.evaluate(({ x, y }) => window.scrollBy(x, y === null ? window.innerHeight : y), {
+    x: Number(step.x) || 0,
+    y: step.y === undefined ? null : Number(step.y),
+  });
+  // Give lazy-loaded content a moment to render
+  await page.waitForTimeout(300);
+}
+
+/**
+ * Supported actions: required fields and the Playwright call that performs them
+ * `oneOf` lists fields of which at least one must be present
+ * Fill values are never logged because login steps carry passwords
+ */
+const ACTIONS = {
+  goto: {
+    required: ["url"],
+    describe: (step) => `goto ${step.url}`,
+    run: (page, step, timeout) => page.goto(step.url, { waitUntil: "load", timeout }),
+  },
+  navigate: {
+    required: ["url"],
+    describe: (step) => `navigate ${step.url}`,
+    run: (page, step, timeout) => page.goto(step.url, { waitUntil: "load", timeout }),
+  },
+  fill: {
+    required: ["selector", "value"],
+    describe: (step) => `fill ${step.selector}`,
+    run: (page, step, timeout) => page.fill(step.selector, String(step.value), { timeout }),
+  },
+  click: {
+    required: [],
+    oneOf: ["selector", "text"],
+    describe: (step) => (step.selector ? `click ${step.selector}` : `click text "${step.text}"`),
+    run: clickTarget,
+  },
+  select: {
+    required: ["selector", "value"],
+    describe: (step) => `select ${step.selector}`,
+    run: (page, step, timeout) => page.selectOption(step.selector, step.value, { timeout }),
+  },
+  scroll: {
+    required: [],
+    describe: (step) => {
+      if (step.selector) {
+        return `scroll to ${step.selector}`;
+      }
+      return step.y === undefined ? "scroll by one viewport" : `scroll by ${step.y}px`;
+    },
+    run: scrollTarget,
+  },
+  wait: {
+    required: [],
+    oneOf: ["ms", "selector"],
+    describe: (step) => (step.selector ? `wait for ${step.selector}` : `wait ${step.ms}ms`),
+    run: (page, step, timeout) =>
+      step.selector
+        ? page.waitForSelector(step.selector, { timeout })
+        : page.waitForTimeout(Math.min(Number(step.ms) || 0, MAX_WAIT_MS)),
+  },
+  waitForUrl: {
+    required: ["url"],
+    describe: (step) => `waitForUrl ${step.url}`,
+    // Accepts a full URL or a glob such as "**/dashboard"
+    run: (page, step, timeout) => page.waitForURL(step.url, { timeout }),
+  },
+  waitForSelector: {
+    required: ["selector"],
+    describe: (step) => `waitForSelector ${step.selector}`,
+    run: (page, step, timeout) => page.waitForSelector(step.selector, { timeout }),
+  },
+};
+
+/**
+ * Validates a step list
+ * @param {Array<Object>} steps - Steps to validate
+ * @param {Array<string>} [allowedActions] - Restricts which actions may be used
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSteps(steps, allowedActions = Object.keys(ACTIONS)) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return "steps must be a non-empty array";
+  }
+  if (steps.length > MAX_STEPS) {
+    return `At most ${MAX_STEPS} steps are allowed`;
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (!step || typeof step !== "object") {
+      return `Step ${i}: must be an object`;
+    }
+    if (!allowedActions.includes(step.action) || !ACTIONS[step.action]) {
+      return `Step ${i}: unknown action "${step.action}". Allowed: ${allowedActions.join(", ")}`;
+    }
+    const definition = ACTIONS[step.action];
+    const isMissing = (field) => step[field] === undefined || step[field] === "";
+    const missing = definition.required.filter(isMissing);
+    if (missing.length > 0) {
+      return `Step ${i} (${step.action}): missing ${missing.join(", ")}`;
+    }
+    if (definition.oneOf && definition.oneOf.every(isMissing)) {
+      return `Step ${i} (${step.action}): needs one of ${definition.oneOf.join(", ")}`;
+    }
+    if (step.timeout !== undefined && (!Number.isInteger(step.timeout) || step.timeout <= 0 || step.timeout > MAX_STEP_TIMEOUT_MS)) {
+      return `Step ${i} (${step.action}): timeout must be a positive integer of at most ${MAX_STEP_TIMEOUT_MS}ms`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs one step on the page
+ * @param {Page} page - Playwright page instance
+ * @param {Object} step - Validated step
+ * @param {number} index - Step position (for logs and errors)
+ * @param {string} [label] - Prefix for error messages (e.g. "Login step")
+ */
+async function runStep(page, step, index, label = "Step") {
+  const action = ACTIONS[step.action];
+  const timeout = Math.min(step.timeout || DEFAULT_STEP_TIMEOUT_MS, MAX_STEP_TIMEOUT_MS);
+  console.log(`[STEPS] ${label} ${index + 1}: ${action.describe(step)}`);
+  try {
+    await action.run(page, step, timeout);
+  } catch (error) {
+    throw new Error(`${label} ${index + 1} (${action.describe(step)}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Runs steps in order, stopping at the first failure
+ * @param {Page} page - Playwright page instance
+ * @param {Array<Object>} steps - Validated steps
+ * @param {string} [label] - Prefix for error messages
+ */
+async function runSteps(page, steps, label) {
+  for (let i = 0; i < steps.length; i++) {
+    await runStep(page, steps[i], i, label);
+  }
+}
+
+/**
+ * Describes a step for logs and reports (never includes fill values)
+ * @param {Object} step - Validated step
+ * @returns {string} Description such as `click text "Sign in"`
+ */
+function describeStep(step) {
+  return ACTIONS[step.action].describe(step);
+}
+
+module.exports = {
+  ACTIONS,
+  describeStep,
+  validateSteps,
+  runStep,
+  runSteps,
+};
@@ -0,0 +1,92 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { summarize, applyQuery } = require("./query");
+
+/**
+ * JSON-file analysis store: one <id>.json file per analysis in a data directory
+ * Summaries are indexed in memory on first use so listing does not re-read every file
+ * @param {string} directory - Directory that holds the analysis files
+ * @returns {Object} Store instance
+ */
+function createJsonFileStore(directory) {
+  // Loaded once; concurrent callers share the same promise and only see a complete index
+  let indexLoading = null;
+
+  const fileFor = (id) => path.join(directory, `${path.basename(String(id))}.json`);
+
+  async function readIndex() {
+    await fs.mkdir(directory, { recursive: true });
+    const index = new Map();
+    const files = (await fs.readdir(directory)).filter((file) => file.endsWith(".json"));
+    for (const file of files) {
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(directory, file), "utf8"));
+        index.set(record.id, summarize(record));
+      } catch (error) {
+        console.warn(`[STORE] Skipping unreadable analysis file ${file}: ${error.message}`);
+      }
+    }
+    console.log(`[STORE] Loaded ${index.size} analyses from ${directory}`);
+    return index;
+  }
+
+  function loadIndex() {
+    if (!indexLoading) {
+      indexLoading = readIndex().catch((error) => {
+        // Let the next call retry instead of caching the failure
+        indexLoading = null;
+        throw error;
+      });
+    }
+    return indexLoading;
+  }
+
+  return {
+    name: "json",
+
+    async save(record) {
+      const index = await loadIndex();
+      // Write to a temp file first so a crash never leaves a half-written record
+      const filepath = fileFor(record.id);
+      const tempPath = `${filepath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+      await fs.rename(tempPath, filepath);
+      index.set(record.id, summarize(record));
+      return record;
+    },
+
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async list(query) {
+      const summaries = await loadIndex();
+      return applyQuery(Array.from(summaries.values()), query);
+    },
+
+    async remove(id) {
+      const index = await loadIndex();
+      try {
+        await fs.unlink(fileFor(id));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return false;
+        }
+        throw error;
+      }
+      index.delete(id);
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createJsonFileStore,
+};
@@ -0,0 +1,35 @@
+const { summarize, applyQuery } = require("./query");
+
+/**
+ * In-memory analysis store (non-persistent, useful for development)
+ * Implements the store interface used by analysisStore: save, get, list, remove
+ * @returns {Object} Store instance
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: "memory",
+
+    async save(record) {
+      records.set(record.id, record);
+      return record;
+    },
+
+    async get(id) {
+      return records.get(id) || null;
+    },
+
+    async list(query) {
+      return applyQuery(Array.from(records.values()).map(summarize), query);
+    },
+
+    async remove(id) {
+      return records.delete(id);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,79 @@
+/**
+ * Shared query helpers for the file and memory analysis stores
+ */
+
+/**
+ * Builds the list entry for a stored analysis
+ * @param {Object} record - Stored analysis record
+ * @returns {Object} Summary shown by GET /analyses
+ */
+function summarize(record) {
+  if (record.type === "flow") {
+    const captured = record.steps.filter((step) => step.captured);
+    return {
+      id: record.id,
+      type: "flow",
+      url: record.url,
+      createdAt: record.createdAt,
+      status: record.status,
+      apiKeyId: record.apiKey?.id || null,
+      devices: [record.device?.name || "default"],
+      issueCount: captured.reduce((sum, step) => sum + (step.aiAnalysis?.report?.length || 0), 0),
+      screenshot: record.filmstrip?.fullUrl || null,
+    };
+  }
+
+  if (record.type === "crawl") {
+    return {
+      id: record.id,
+      type: "crawl",
+      url: record.url,
+      createdAt: record.createdAt,
+      status: record.status,
+      apiKeyId: record.apiKey?.id || null,
+      devices: ["default"],
+      issueCount: record.summary?.totalIssues || 0,
+      pageCount: record.pages.length,
+      screenshot: null,
+    };
+  }
+
+  const viewports = Array.isArray(record.viewports) ? record.viewports : [record];
+  return {
+    id: record.id,
+    type: "analysis",
+    url: record.url,
+    createdAt: record.createdAt,
+    status: record.status,
+    apiKeyId: record.apiKey?.id || null,
+    devices: viewports.map((viewport) => viewport.device?.name || "default"),
+    issueCount: viewports.reduce((sum, viewport) => sum + (viewport.aiAnalysis?.report?.length || 0), 0),
+    screenshot: viewports[0]?.screenshot || null,
+  };
+}
+
+/**
+ * Filters summaries by URL, API key and date range, newest first, and paginates them
+ * @param {Array<Object>} summaries - Summaries from summarize()
+ * @param {Object} query - {url, apiKeyId, from, to, offset, limit}; apiKeyId null matches anonymous records, undefined every key
+ * @returns {{items: Array<Object>, total: number}} Page of summaries and total match count
+ */
+function applyQuery(summaries, query = {}) {
+  const { url, apiKeyId, from, to, offset = 0, limit = 20 } = query;
+  const matches = summaries
+    .filter((summary) => !url || summary.url === url)
+    .filter((summary) => apiKeyId === undefined || summary.apiKeyId === apiKeyId)
+    .filter((summary) => !from || new Date(summary.createdAt) >= from)
+    .filter((summary) => !to || new Date(summary.createdAt) <= to)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  return {
+    items: matches.slice(offset, offset + limit),
+    total: matches.length,
+  };
+}
+
+module.exports = {
+  summarize,
+  applyQuery,
+};
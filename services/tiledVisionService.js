@@ -0,0 +1,222 @@
+const { createCanvas, loadImage } = require("canvas");
+
+// Services
+const visionAIService = require("./visionAIService");
+const usageService = require("./usageService");
+const aiResponseRepair = require("./aiResponseRepair");
+
+// Utils
+const { mapWithConcurrency } = require("../utils/concurrency");
+
+/**
+ * Tiled Vision AI analysis
+ * Very tall full-page screenshots are downscaled so far by the model that small problems
+ * disappear. The page is split into overlapping viewport-height tiles, each tile is analyzed
+ * on its own, the boxes are mapped back to full-page space and issues found twice in an
+ * overlap zone are merged.
+ */
+
+const VISION_TILE_OVERLAP = parseInt(process.env.VISION_TILE_OVERLAP, 10) || 150;
+const MAX_VISION_TILES = parseInt(process.env.MAX_VISION_TILES, 10) || 8;
+const VISION_TILE_CONCURRENCY = parseInt(process.env.VISION_TILE_CONCURRENCY, 10) || 2;
+// Pages up to this many viewports tall are sent as a single image
+const VISION_TILING_MIN_VIEWPORTS = parseFloat(process.env.VISION_TILING_MIN_VIEWPORTS) || 2;
+// Share of the smaller box that must be covered for two tile findings to count as one issue
+const MERGE_MIN_OVERLAP = 0.5;
+
+const SEVERITY_RANK = { critical: 3, warning: 2, suggestion: 1, info: 0 };
+
+/**
+ * Checks whether a screenshot is tall enough to be analyzed in tiles
+ * @param {number} imageHeight - Screenshot height
+ * @param {number} viewportHeight - Viewport height (tile height)
+ * @returns {boolean} True if the screenshot should be tiled
+ */
+function shouldTile(imageHeight, viewportHeight) {
+  if (process.env.VISION_TILING_ENABLED === "false" || !viewportHeight) {
+    return false;
+  }
+  return imageHeight > viewportHeight * VISION_TILING_MIN_VIEWPORTS;
+}
+
+/**
+ * Plans overlapping tiles covering the whole image height
+ * When more than MAX_VISION_TILES viewport-height tiles would be needed, the tiles grow
+ * taller instead so the bottom of the page is never dropped
+ * @param {number} imageHeight - Screenshot height
+ * @param {number} viewportHeight - Preferred tile height
+ * @returns {Array<{index: number, y: number, height: number}>} Tiles from top to bottom
+ */
+function planTiles(imageHeight, viewportHeight) {
+  const overlap = Math.min(VISION_TILE_OVERLAP, Math.floor(viewportHeight / 2));
+  let step = viewportHeight - overlap;
+  let count = Math.max(1, Math.ceil((imageHeight - overlap) / step));
+  if (count > MAX_VISION_TILES) {
+    count = MAX_VISION_TILES;
+    step = Math.ceil((imageHeight - overlap) / count);
+  }
+
+  return Array.from({ length: count }, (_, index) => {
+    const y = index * step;
+    return { index: index, y: y, height: Math.min(step + overlap, imageHeight - y) };
+  });
+}
+
+/**
+ * Cuts one tile out of the screenshot
+ * @param {Image} image - Loaded screenshot
+ * @param {Object} tile - Tile from planTiles
+ * @returns {string} Base64 PNG of the tile
+ */
+function cutTile(image, tile) {
+  const canvas = createCanvas(image.width, tile.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, tile.y, image.width, tile.height, 0, 0, image.width, tile.height);
+  return canvas.toBuffer("image/png").toString("base64");
+}
+
+/**
+ * Share of the smaller box covered by the other one
+ * @param {Object} a - {x, y, width, height}
+ * @param {Object} b - {x, y, width, height}
+ * @returns {number} Overlap between 0 and 1
+ */
+function overlapRatio(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  return (width * height) / Math.min(a.width * a.height, b.width * b.height);
+}
+
+/**
+ * Checks whether two tile findings describe the same issue
+ * @param {Object} a - Report item in page space
+ * @param {Object} b - Report item in page space
+ * @returns {boolean} True if they are duplicates
+ */
+function isDuplicate(a, b) {
+  if ((a.criterion ?? a.type) !== (b.criterion ?? b.type)) {
+    return false;
+  }
+  if (a.coordinates && b.coordinates) {
+    return overlapRatio(a.coordinates, b.coordinates) >= MERGE_MIN_OVERLAP;
+  }
+  // Page-level findings (no box) are duplicates when the model words them the same way
+  if (a.coordinates || b.coordinates) {
+    return false;
+  }
+  return String(a.message).trim().toLowerCase() === String(b.message).trim().toLowerCase();
+}
+
+/**
+ * Merges the tile reports into one page report
+ * Duplicates keep the more severe finding, with the union of both boxes so an element cut
+ * by a tile edge gets its full outline back; ids are renumbered from 1
+ * @param {Array<Array<Object>>} tileReports - Report items per tile, already in page space
+ * @returns {Array<Object>} Merged report
+ */
+function mergeTileReports(tileReports) {
+  const merged = [];
+
+  tileReports.flat().forEach((issue) => {
+    const index = merged.findIndex((existing) => isDuplicate(existing, issue));
+    if (index === -1) {
+      merged.push(issue);
+      return;
+    }
+    const existing = merged[index];
+    const keep = (SEVERITY_RANK[issue.severity] ?? 0) > (SEVERITY_RANK[existing.severity] ?? 0) ? issue : existing;
+    const tiles = [...new Set([...existing.tiles, ...issue.tiles])];
+    if (!existing.coordinates) {
+      merged[index] = { ...keep, tiles };
+      return;
+    }
+    const a = existing.coordinates;
+    const b = issue.coordinates;
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    merged[index] = {
+      ...keep,
+      tiles,
+      coordinates: {
+        x: x,
+        y: y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y,
+      },
+    };
+  });
+
+  return merged.map((issue, index) => ({ ...issue, id: index + 1 }));
+}
+
+/**
+ * Analyzes a tall screenshot tile by tile and merges the findings
+ * A failed tile is reported in `tiling.failedTiles`; the analysis only fails if every tile fails
+ * @param {string} screenshotBase64 - Base64 encoded full-page screenshot
+ * @param {number} imageWidth - Screenshot width
+ * @param {number} imageHeight - Screenshot height
+ * @param {number} viewportHeight - Viewport height used as the tile height
+ * @param {Object} [options] - Options passed to analyzeWithVisionAI (evidence, context, provider, model)
+ * @returns {Promise<Object>} Same shape as analyzeWithVisionAI plus `tiling`
+ */
+async function analyzeTiled(screenshotBase64, imageWidth, imageHeight, viewportHeight, options = {}) {
+  const tiles = planTiles(imageHeight, viewportHeight);
+  console.log(`[VISION_AI] Analyzing ${imageWidth}x${imageHeight}px screenshot in ${tiles.length} tiles...`);
+
+  const image = await loadImage(Buffer.from(screenshotBase64, "base64"));
+  const results = await mapWithConcurrency(tiles, VISION_TILE_CONCURRENCY, async (tile) => {
+    try {
+      const result = await visionAIService.analyzeWithVisionAI(cutTile(image, tile), imageWidth, tile.height, {
+        ...options,
+        tile: { index: tile.index + 1, count: tiles.length, y: tile.y, height: tile.height, pageHeight: imageHeight },
+      });
+      return { tile, result };
+    } catch (error) {
+      console.error(`[VISION_AI] Tile ${tile.index + 1}/${tiles.length} failed: ${error.message}`);
+      return { tile, error: error.message };
+    }
+  });
+
+  const succeeded = results.filter((entry) => entry.result);
+  if (succeeded.length === 0) {
+    throw new Error(`All ${tiles.length} tiles failed: ${results[0].error}`);
+  }
+
+  // Map every box back to full-page space
+  const tileReports = succeeded.map(({ tile, result }) =>
+    result.report.map((issue) => ({
+      ...issue,
+      tiles: [tile.index + 1],
+      coordinates: issue.coordinates && { ...issue.coordinates, y: issue.coordinates.y + tile.y },
+    }))
+  );
+  const report = mergeTileReports(tileReports);
+  const found = tileReports.reduce((total, items) => total + items.length, 0);
+  console.log(`[VISION_AI] Merged ${found} tile findings into ${report.length} issues`);
+
+  return {
+    report: report,
+    timestamp: new Date().toISOString(),
+    provider: succeeded[0].result.provider,
+    model: succeeded[0].result.model,
+    quality: aiResponseRepair.mergeQuality(succeeded.map((entry) => entry.result.quality)),
+    usage: usageService.summarizeCalls(succeeded.flatMap((entry) => entry.result.usage.calls)),
+    tiling: {
+      tiles: tiles.map((tile) => ({ index: tile.index + 1, y: tile.y, height: tile.height })),
+      failedTiles: results
+        .filter((entry) => entry.error)
+        .map((entry) => ({ index: entry.tile.index + 1, error: entry.error })),
+      mergedDuplicates: found - report.length,
+    },
+  };
+}
+
+module.exports = {
+  shouldTile,
+  planTiles,
+  mergeTileReports,
+  analyzeTiled,
+};
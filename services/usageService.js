@@ -0,0 +1,362 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * AI usage accounting
+ * Every Vision AI call is recorded with its tokens, latency, model and an estimated cost
+ * (config/pricing.json) in a monthly JSONL ledger under data/usage. The ledger backs the
+ * usage summary endpoint and the per-API-key daily / monthly budgets (config/budgets.json).
+ */
+
+const USAGE_DIR = process.env.USAGE_DIR || path.join(__dirname, "../data/usage");
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, "../config/pricing.json");
+const BUDGETS_FILE = process.env.BUDGETS_FILE || path.join(__dirname, "../config/budgets.json");
+const ANONYMOUS_KEY = "anonymous";
+// Past months kept in memory (the current month always stays loaded)
+const LEDGER_CACHE_MONTHS = parseInt(process.env.LEDGER_CACHE_MONTHS, 10) || 12;
+
+let pricing = null;
+let budgets = null;
+// Month ("2026-10") -> promise of the ledger records, loaded on first use; concurrent callers
+// share the load so records pushed by one are never replaced by another's copy
+const ledgers = new Map();
+
+/**
+ * Reads a JSON config file once
+ * @param {string} file - Path
+ * @returns {Promise<Object>} Parsed config
+ */
+async function readConfig(file) {
+  return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+/**
+ * Resolves the usage key of a request: the id of its API key, or "anonymous"
+ * @param {Request} req - Express request (after authenticate)
+ * @returns {string} Usage key
+ */
+function usageKeyFor(req) {
+  return req.apiKey ? req.apiKey.id : ANONYMOUS_KEY;
+}
+
+/**
+ * Estimates the tokens the provider bills for the screenshot
+ * Providers report them as part of the prompt tokens; the estimate shows how much of the
+ * prompt the image accounts for
+ * @param {string} provider - Provider name
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} Estimated image tokens
+ */
+function estimateImageTokens(provider, width, height) {
+  if (!width || !height) {
+    return 0;
+  }
+  if (provider === "anthropic") {
+    // Long edge scaled to 1568px, then about (width * height) / 750 tokens
+    const scale = Math.min(1, 1568 / Math.max(width, height));
+    return Math.ceil((width * scale * height * scale) / 750);
+  }
+  if (provider === "gemini") {
+    // 258 tokens per 768x768 tile
+    return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+  }
+  // OpenAI high detail: fit in 2048x2048, shortest side 768px, 170 tokens per 512px tile plus 85
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  const shortest = Math.min(width, height) * fit;
+  const scale = fit * Math.min(1, 768 / shortest);
+  return 85 + 170 * Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+}
+
+/**
+ * Finds the price table entry of a model (longest model-name prefix wins)
+ * @param {string} model - Model name
+ * @returns {Promise<Object|null>} {input, output} per 1M tokens, or null when the model is not listed
+ */
+async function priceFor(model) {
+  if (!pricing) {
+    pricing = await readConfig(PRICING_FILE);
+  }
+  const match = Object.keys(pricing.models)
+    .filter((name) => String(model).startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing.models[match] : null;
+}
+
+/**
+ * Checks whether a model has a price entry, so its calls count against budgets at their real cost
+ * @param {string} model - Model name requested by a client
+ * @returns {Promise<boolean>} True if listed in config/pricing.json
+ */
+async function isPriced(model) {
+  return typeof model === "string" && (await priceFor(model)) !== null;
+}
+
+/**
+ * Estimates the cost of a call from the price table; unlisted models use the (high) default price
+ * @param {string} model - Model name reported by the provider
+ * @param {Object} usage - {promptTokens, completionTokens}
+ * @returns {Promise<number>} Estimated cost in USD
+ */
+async function estimateCost(model, usage) {
+  const price = (await priceFor(model)) || pricing.default;
+  const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  return Number(cost.toFixed(6));
+}
+
+function monthOf(isoDate) {
+  return isoDate.slice(0, 7);
+}
+
+function ledgerFile(month) {
+  return path.join(USAGE_DIR, `${month}.jsonl`);
+}
+
+/**
+ * Reads a month of ledger records from disk
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<Array<Object>>} Records
+ */
+async function readLedger(month) {
+  try {
+    return (await fs.readFile(ledgerFile(month), "utf8"))
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    return [];
+  }
+}
+
+/**
+ * Loads a month of ledger records once
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<Array<Object>>} Records
+ */
+function loadLedger(month) {
+  const cached = ledgers.get(month);
+  if (cached) {
+    // Re-insert so the Map stays in least-recently-used order
+    ledgers.delete(month);
+    ledgers.set(month, cached);
+    return cached;
+  }
+
+  const loading = readLedger(month).catch((error) => {
+    ledgers.delete(month);
+    throw error;
+  });
+  ledgers.set(month, loading);
+
+  // Evict the least recently used past months; records are only appended to the current month
+  const current = monthOf(new Date().toISOString());
+  for (const cachedMonth of ledgers.keys()) {
+    if (ledgers.size <= LEDGER_CACHE_MONTHS + 1) {
+      break;
+    }
+    if (cachedMonth !== current && cachedMonth !== month) {
+      ledgers.delete(cachedMonth);
+    }
+  }
+  return loading;
+}
+
+/**
+ * Records one AI call
+ * @param {Object} call - {usageKey, provider, model, promptTokens, completionTokens, imageTokens, latencyMs}
+ * @returns {Promise<Object>} Recorded call with timestamp and estimated cost
+ */
+async function recordCall(call) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    usageKey: call.usageKey || ANONYMOUS_KEY,
+    provider: call.provider,
+    model: call.model,
+    promptTokens: call.promptTokens || 0,
+    completionTokens: call.completionTokens || 0,
+    imageTokens: call.imageTokens || 0,
+    latencyMs: call.latencyMs,
+    costUsd: await estimateCost(call.model, {
+      promptTokens: call.promptTokens || 0,
+      completionTokens: call.completionTokens || 0,
+    }),
+  };
+
+  const month = monthOf(record.timestamp);
+  const records = await loadLedger(month);
+  records.push(record);
+  try {
+    await fs.mkdir(USAGE_DIR, { recursive: true });
+    await fs.appendFile(ledgerFile(month), `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    // Accounting must never fail the analysis
+    console.error(`[USAGE] Failed to write usage record: ${error.message}`);
+  }
+  return record;
+}
+
+/**
+ * Adds up calls
+ * @param {Array<Object>} calls - Call records
+ * @returns {Object} Totals ({calls, promptTokens, completionTokens, imageTokens, latencyMs, costUsd})
+ */
+function sumCalls(calls) {
+  const totals = calls.reduce(
+    (sum, call) => ({
+      calls: sum.calls + 1,
+      promptTokens: sum.promptTokens + call.promptTokens,
+      completionTokens: sum.completionTokens + call.completionTokens,
+      imageTokens: sum.imageTokens + call.imageTokens,
+      latencyMs: sum.latencyMs + (call.latencyMs || 0),
+      costUsd: sum.costUsd + call.costUsd,
+    }),
+    { calls: 0, promptTokens: 0, completionTokens: 0, imageTokens: 0, latencyMs: 0, costUsd: 0 }
+  );
+  return { ...totals, costUsd: Number(totals.costUsd.toFixed(6)) };
+}
+
+/**
+ * Describes the AI calls of one analysis: totals plus the individual calls
+ * @param {Array<Object>} calls - Call records
+ * @returns {Object} {calls: [...], promptTokens, completionTokens, imageTokens, latencyMs, costUsd, currency}
+ */
+function summarizeCalls(calls) {
+  const { calls: count, ...totals } = sumCalls(calls);
+  return {
+    ...totals,
+    currency: "USD",
+    calls: calls.map(({ usageKey, ...call }) => call),
+  };
+}
+
+/**
+ * Lists the months between two dates
+ * @param {Date} from - Start
+ * @param {Date} to - End
+ * @returns {Array<string>} Months as "YYYY-MM"
+ */
+function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+/**
+ * Summarizes usage in a period, grouped by day, model or usage key
+ * @param {Object} query - {usageKey?, from: Date, to: Date, groupBy: "day"|"model"|"key"}
+ * @returns {Promise<Object>} {from, to, totals, groups: [{key, ...totals}]}
+ */
+async function summarizeUsage(query) {
+  const { usageKey, from, to, groupBy = "day" } = query;
+  const ledgersInRange = await Promise.all(monthsBetween(from, to).map(loadLedger));
+  const calls = ledgersInRange
+    .flat()
+    .filter((call) => call.timestamp >= from.toISOString() && call.timestamp <= to.toISOString())
+    .filter((call) => !usageKey || call.usageKey === usageKey);
+
+  const groupKey = {
+    day: (call) => call.timestamp.slice(0, 10),
+    model: (call) => `${call.provider}/${call.model}`,
+    key: (call) => call.usageKey,
+  }[groupBy];
+  const groups = new Map();
+  calls.forEach((call) => {
+    const key = groupKey(call);
+    groups.set(key, [...(groups.get(key) || []), call]);
+  });
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    ...(usageKey && { usageKey }),
+    groupBy: groupBy,
+    totals: sumCalls(calls),
+    groups: [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, groupCalls]) => ({ key, ...sumCalls(groupCalls) })),
+  };
+}
+
+/**
+ * Checks a usage key against its daily and monthly budget
+ * @param {string} usageKey - Usage key
+ * @returns {Promise<Object>} {allowed, exceeded: null|"daily"|"monthly", onExceeded, downgradeModel, spent, limits}
+ */
+async function checkBudget(usageKey) {
+  if (!budgets) {
+    budgets = await readConfig(BUDGETS_FILE);
+  }
+  const budget = { ...budgets.default, ...(budgets.keys || {})[usageKey] };
+  const now = new Date().toISOString();
+  const calls = (await loadLedger(monthOf(now))).filter((call) => call.usageKey === usageKey);
+  const spent = {
+    dailyUsd: sumCalls(calls.filter((call) => call.timestamp.slice(0, 10) === now.slice(0, 10))).costUsd,
+    monthlyUsd: sumCalls(calls).costUsd,
+  };
+
+  let exceeded = null;
+  if (budget.dailyUsd != null && spent.dailyUsd >= budget.dailyUsd) {
+    exceeded = "daily";
+  } else if (budget.monthlyUsd != null && spent.monthlyUsd >= budget.monthlyUsd) {
+    exceeded = "monthly";
+  }
+
+  return {
+    allowed: !exceeded || budget.onExceeded === "downgrade",
+    exceeded: exceeded,
+    onExceeded: budget.onExceeded || "reject",
+    downgradeModel: budget.downgradeModel || null,
+    spent: spent,
+    limits: { dailyUsd: budget.dailyUsd ?? null, monthlyUsd: budget.monthlyUsd ?? null },
+  };
+}
+
+/**
+ * Applies a usage key's budget to the AI options of a request
+ * @param {string} usageKey - Usage key
+ * @param {Object} ai - AI options ({provider, model, ...})
+ * @returns {Promise<{isValid: boolean, ai?: Object, budget?: Object, error?: Object}>} Options to use, or a 429 error
+ */
+async function applyBudget(usageKey, ai) {
+  const budget = await checkBudget(usageKey);
+  if (!budget.exceeded) {
+    return { isValid: true, ai: { ...ai, usageKey } };
+  }
+  if (!budget.allowed) {
+    return {
+      isValid: false,
+      error: {
+        status: 429,
+        message: "AI budget exceeded",
+        details: `The ${budget.exceeded} AI budget of $${budget.limits[`${budget.exceeded}Usd`]} is used up ($${budget.spent[`${budget.exceeded}Usd`]} spent)`,
+      },
+    };
+  }
+
+  // Downgrade: a cheaper model when configured, otherwise the rule-based analyzer
+  console.log(`[USAGE] ${budget.exceeded} budget exceeded for ${usageKey}, downgrading`);
+  const downgrade = budget.downgradeModel
+    ? { model: budget.downgradeModel }
+    : { disableAI: `${budget.exceeded} AI budget exceeded` };
+  return { isValid: true, ai: { ...ai, ...downgrade, usageKey }, budget };
+}
+
+module.exports = {
+  usageKeyFor,
+  estimateImageTokens,
+  isPriced,
+  estimateCost,
+  recordCall,
+  sumCalls,
+  summarizeCalls,
+  summarizeUsage,
+  checkBudget,
+  applyBudget,
+};
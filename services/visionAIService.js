@@ -1,24 +1,36 @@
-const OpenAI = require("openai");
+const providers = require("./providers");
+const usageService = require("./usageService");
+const aiResponseRepair = require("./aiResponseRepair");
+
+// Bump when the prompt or the report schema changes so cached results are not reused (see aiCache)
+const PROMPT_VERSION = 5;
+// Retries of a failed or unusable Vision AI answer, with exponential backoff
+const AI_MAX_RETRIES = process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES, 10) : 2;
+const AI_RETRY_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 1000;
 
 /**
  * Phase 4: Vision AI Service
  * Implements Vision AI prompting with Nielsen's Heuristics
+ * The model call goes through a pluggable provider (see ./providers); every provider's
+ * output is parsed and validated against the same report schema here
  */
 
-// Lazy initialization of OpenAI client (only when needed)
-let openai = null;
-
-function getOpenAIClient() {
-  if (!openai) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey || apiKey === "your_api_key_here") {
-      throw new Error("OPENAI_API_KEY environment variable is not set or is still the placeholder value");
-    }
-    openai = new OpenAI({
-      apiKey: apiKey,
-    });
+/**
+ * Resolves the provider and model for a request
+ * Request values win; otherwise AI_PROVIDER / AI_MODEL, then the provider's default model
+ * @param {Object} [options] - {provider, model}
+ * @returns {{provider: Object, model: string}} Provider and model to use
+ */
+function resolveModel(options = {}) {
+  const provider = providers.getProvider(options.provider);
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${options.provider}". Available: ${providers.listProviders().join(", ")}`);
   }
-  return openai;
+  const envModel = !options.provider || options.provider === process.env.AI_PROVIDER ? process.env.AI_MODEL : null;
+  return {
+    provider: provider,
+    model: options.model || envModel || provider.defaultModel,
+  };
 }
 
 /**
@@ -26,41 +38,90 @@ function getOpenAIClient() {
  * @param {string} screenshotBase64 - Base64 encoded screenshot
  * @param {number} imageWidth - Width of the screenshot
  * @param {number} imageHeight - Height of the screenshot
- * @returns {Promise<Object>} AI analysis results with coordinates
+ * @param {Object} [options] - Extra prompt inputs
+ * @param {Array<string>} [options.evidence] - Measured facts (from contextBuilder.buildEvidence) the model can cite
+ * @param {Array<string>} [options.context] - Interaction context, e.g. the user-flow steps that led to this screen
+ * @param {Object} options.framework - Evaluation framework from frameworkService.getFramework
+ * @param {Object} [options.tile] - Set when the image is one tile of a taller page ({index, count, y, height, pageHeight})
+ * @param {string} [options.provider] - Provider name (openai, anthropic, gemini, openai-compatible)
+ * @param {string} [options.model] - Model name for the provider
+ * @param {string} [options.usageKey] - Usage key the call is accounted to (see usageService)
+ * @returns {Promise<Object>} AI analysis results with coordinates, `quality` (what was repaired or retried) and `usage` (tokens, latency, cost)
  */
-async function analyzeWithVisionAI(screenshotBase64, imageWidth, imageHeight) {
-  console.log("[VISION_AI] B4.1: Starting Vision AI analysis with Nielsen's Heuristics...");
-
-  // Get OpenAI client (will throw if API key is not set)
-  const client = getOpenAIClient();
-
-  // Nielsen's 10 Usability Heuristics
-  const nielsensHeuristics = `
-1. Visibility of system status - The system should always keep users informed about what is going on
-2. Match between system and real world - The system should speak the users' language
-3. User control and freedom - Users need clearly marked "emergency exits" to leave unwanted states
-4. Consistency and standards - Users should not have to wonder whether different words, situations, or actions mean the same thing
-5. Error prevention - Even better than good error messages is a careful design which prevents a problem from occurring
-6. Recognition rather than recall - Minimize the user's memory load by making objects, actions, and options visible
-7. Flexibility and efficiency of use - Accelerators may often speed up the interaction for expert users
-8. Aesthetic and minimalist design - Dialogues should not contain information which is irrelevant or rarely needed
-9. Help users recognize, diagnose, and recover from errors - Error messages should be expressed in plain language
-10. Help and documentation - Even though it is better if the system can be used without documentation
-`;
+async function analyzeWithVisionAI(screenshotBase64, imageWidth, imageHeight, options = {}) {
+  console.log(`[VISION_AI] B4.1: Starting Vision AI analysis (${options.framework?.title || "no framework"})...`);
 
-  const prompt = `You are a UX expert analyzing a website screenshot based on Nielsen's 10 Usability Heuristics.
+  const { provider, model } = resolveModel(options);
+
+  // Evaluation framework (config/frameworks or a custom one): criteria, severity guidance, issue types
+  const framework = options.framework;
+  if (!framework) {
+    throw new Error("No evaluation framework given");
+  }
+  const criteriaList = framework.criteria
+    .map((criterion) => `[${criterion.id}] ${criterion.name}${criterion.description ? ` - ${criterion.description}` : ""}`)
+    .join("\n");
+  const severityGuidance = Object.entries(framework.severityGuidance || {});
+  const severitySection = severityGuidance.length > 0
+    ? `
+SEVERITY GUIDANCE:
+${severityGuidance.map(([severity, guidance]) => `- ${severity}: ${guidance}`).join("\n")}
+`
+    : "";
+  const issueTypes = framework.issueTypes || ["accessibility", "performance", "ux", "seo", "error"];
+  const instructionsSection = framework.instructions
+    ? `
+ADDITIONAL INSTRUCTIONS:
+${framework.instructions}
+`
+    : "";
 
-${nielsensHeuristics}
+  // Measured facts the model can rely on instead of guessing from pixels
+  const evidence = options.evidence || [];
+  const evidenceSection = evidence.length > 0
+    ? `
+MEASURED EVIDENCE (collected from the live page; coordinates are in screenshot pixels):
+${evidence.map((line) => `- ${line}`).join("\n")}
 
-Analyze the provided screenshot and identify UX issues, violations, or areas for improvement based on these heuristics.
+Ground your findings in this evidence: when an issue is supported by a measured fact, quote that fact in the issue's "evidence" field.
+Do not report problems that contradict the evidence (e.g. a missing page title when one was measured). Issues that are only visible in the screenshot are fine; set "evidence" to null for them.
+`
+    : "";
+
+  // Screens captured mid-flow are judged against the interaction that produced them
+  const context = options.context || [];
+  const contextSection = context.length > 0
+    ? `
+INTERACTION CONTEXT (this screenshot was taken during a scripted user flow):
+${context.map((line) => `- ${line}`).join("\n")}
+
+Judge whether the screen gives clear feedback for the last action (visibility of system status) and lets users recover from errors.
+`
+    : "";
+
+  // Tiles of a tall page are judged on their own, but the model should know the page continues
+  const tile = options.tile;
+  const tileSection = tile
+    ? `
+PAGE SECTION: this image is part ${tile.index} of ${tile.count} of a ${tile.pageHeight}px tall full-page screenshot (page pixels ${tile.y} to ${tile.y + tile.height}).
+Content may be cut at the top and bottom edges and continues in the neighbouring parts. Coordinates in the evidence refer to the full page; coordinates you return must be relative to this part. Only report issues visible in this part; report page-wide issues (e.g. missing navigation) only if this part shows them.
+`
+    : "";
+
+  const prompt = `You are a UX expert analyzing a website screenshot against this evaluation framework: ${framework.title}.
+
+CRITERIA:
+${criteriaList}
+${severitySection}${instructionsSection}${evidenceSection}${contextSection}${tileSection}
+Analyze the provided screenshot and identify UX issues, violations, or areas for improvement based on these criteria.
 
 CRITICAL REQUIREMENTS:
 1. You MUST return a valid JSON object with the exact structure specified below
 2. For each issue found, provide precise pixel coordinates (x, y, width, height) of the bounding box
 3. Coordinates must be relative to the image dimensions: ${imageWidth}x${imageHeight} pixels
 4. Each issue must have a unique ID starting from 1
-5. Classify each issue by the relevant Nielsen heuristic (1-10)
-6. Provide severity level: "critical", "warning", "suggestion", or "info"
+5. Classify each issue by the id of the relevant criterion from the list above
+6. Provide severity level: "critical", "warning", "suggestion", or "info"${severitySection ? " (see the severity guidance)" : ""}
 7. Include specific, actionable recommendations
 
 REQUIRED JSON STRUCTURE:
@@ -68,12 +129,13 @@ REQUIRED JSON STRUCTURE:
   "report": [
     {
       "id": 1,
-      "heuristic": 1,
-      "heuristicName": "Visibility of system status",
-      "type": "accessibility|performance|ux|seo|error",
+      "criterion": ${JSON.stringify(framework.criteria[0].id)},
+      "criterionName": ${JSON.stringify(framework.criteria[0].name)},
+      "type": "${issueTypes.join("|")}",
       "severity": "critical|warning|suggestion|info",
       "message": "Brief description of the issue",
       "recommendation": "Specific actionable recommendation",
+      "evidence": "Measured fact supporting the issue, or null",
       "coordinates": {
         "x": 100,
         "y": 150,
@@ -91,79 +153,136 @@ IMPORTANT:
 - If no issues are found, return: {"report": []}
 `;
 
-  try {
-    console.log("[VISION_AI] Sending request to OpenAI Vision API...");
-    
-    const response = await client.chat.completions.create({
-      model: "gpt-4o", // or "gpt-4-vision-preview" if available
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: prompt,
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/png;base64,${screenshotBase64}`,
-              },
-            },
-          ],
-        },
-      ],
-      response_format: { type: "json_object" }, // Force JSON output
-      max_tokens: 2000,
-      temperature: 0.3, // Lower temperature for more consistent, structured output
-    });
-
-    const content = response.choices[0].message.content;
-    console.log("[VISION_AI] Received response from OpenAI");
-
-    // Parse and validate JSON
+  const calls = [];
+  let problems = [];
+  for (let attempt = 0; attempt <= AI_MAX_RETRIES; attempt++) {
+    const retriesLeft = attempt < AI_MAX_RETRIES;
+    if (attempt > 0) {
+      const delay = AI_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.log(`[VISION_AI] Retry ${attempt}/${AI_MAX_RETRIES} in ${delay}ms...`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    let response;
+    try {
+      console.log(`[VISION_AI] Sending request to ${provider.name} (${model})...`);
+      const startedAt = Date.now();
+      response = await provider.complete({
+        // Retries tell the model what was wrong with its last answer
+        prompt: problems.length > 0 ? aiResponseRepair.feedbackPrompt(prompt, problems) : prompt,
+        imageBase64: screenshotBase64,
+        model: model,
+        maxTokens: 2000,
+        temperature: 0.3, // Lower temperature for more consistent, structured output
+      });
+
+      // Account the call before parsing: an unusable answer is still billed
+      calls.push(await usageService.recordCall({
+        usageKey: options.usageKey,
+        provider: provider.name,
+        model: response.model || model,
+        promptTokens: response.usage?.promptTokens,
+        completionTokens: response.usage?.completionTokens,
+        imageTokens: usageService.estimateImageTokens(provider.name, imageWidth, imageHeight),
+        latencyMs: Date.now() - startedAt,
+      }));
+    } catch (error) {
+      console.error(`[VISION_AI] Error calling ${provider.name} API:`, error.message);
+      if (retriesLeft && isTransientError(error)) {
+        continue;
+      }
+      throw new Error(`Vision AI analysis failed: ${error.message}`);
+    }
+    console.log(`[VISION_AI] Received response from ${provider.name}`);
+
+    // Parse leniently (code fences, surrounding prose, trailing commas)
     let aiResponse;
     try {
-      aiResponse = JSON.parse(content);
+      aiResponse = aiResponseRepair.parseModelOutput(response.content);
     } catch (parseError) {
-      console.error("[VISION_AI] JSON parse error:", parseError);
-      // Try to extract JSON from markdown code blocks if present
-      const jsonMatch = content.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-      if (jsonMatch) {
-        aiResponse = JSON.parse(jsonMatch[1]);
-      } else {
-        throw new Error(`Failed to parse AI response as JSON: ${parseError.message}`);
+      console.error(`[VISION_AI] ${parseError.message}`);
+      if (retriesLeft) {
+        problems = [`${parseError.message}. Do not wrap the JSON in markdown or add any text around it`];
+        continue;
       }
+      throw new Error(`Vision AI analysis failed: ${parseError.message}`);
     }
 
-    // B4.1: Validate JSON schema
-    const validationResult = validateAIResponse(aiResponse, imageWidth, imageHeight);
+    // B4.1: Validate JSON schema, then repair what can be repaired
+    const validationResult = validateAIResponse(aiResponse, imageWidth, imageHeight, framework);
     if (!validationResult.valid) {
       console.warn("[VISION_AI] Validation warnings:", validationResult.errors);
-      // Continue with partial data if structure is mostly correct
+    }
+    const repaired = aiResponseRepair.repairResponse(aiResponse, imageWidth, imageHeight, framework);
+    if (repaired.failed) {
+      console.warn(`[VISION_AI] Unusable response: ${repaired.problems[0]}`);
+      if (retriesLeft) {
+        problems = repaired.problems;
+        continue;
+      }
+      // Out of retries: keep whatever survived the repair, if anything
+      if (repaired.report.length === 0) {
+        throw new Error(`Vision AI analysis failed: AI response does not match the report schema (${repaired.problems[0]})`);
+      }
     }
 
-    console.log(`[VISION_AI] B4.1: Successfully parsed and validated AI response. Found ${aiResponse.report?.length || 0} issues.`);
+    console.log(`[VISION_AI] B4.1: Successfully parsed and validated AI response. Found ${repaired.report.length} issues (${repaired.quality.status}).`);
 
     return {
-      report: aiResponse.report || [],
+      report: repaired.report.map((issue) => withCriterion(issue, framework)),
       timestamp: new Date().toISOString(),
+      provider: provider.name,
       model: response.model,
+      quality: { ...repaired.quality, retries: attempt },
+      usage: usageService.summarizeCalls(calls),
     };
-  } catch (error) {
-    console.error("[VISION_AI] Error calling OpenAI API:", error.message);
-    throw new Error(`Vision AI analysis failed: ${error.message}`);
   }
 }
 
+/**
+ * Tells whether a provider error is worth retrying (rate limits, server errors, network failures)
+ * @param {Error} error - Error thrown by provider.complete
+ * @returns {boolean} True if transient
+ */
+function isTransientError(error) {
+  const status = error.status || Number((error.message.match(/API error (\d{3})/) || [])[1]);
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return /fetch failed|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(error.message);
+}
+
+/**
+ * Names the framework and criterion of an issue
+ * Nielsen issues also keep the numeric `heuristic` / `heuristicName` fields of earlier reports
+ * @param {Object} issue - Issue from the model
+ * @param {Object} framework - Framework the page was evaluated against
+ * @returns {Object} Issue with framework, criterion and criterionName
+ */
+function withCriterion(issue, framework) {
+  const id = String(issue.criterion ?? issue.heuristic ?? "");
+  const criterion = framework.criteria.find((candidate) => candidate.id === id);
+  return {
+    ...issue,
+    framework: framework.name,
+    criterion: criterion ? criterion.id : null,
+    criterionName: criterion ? criterion.name : issue.criterionName || null,
+    ...(framework.name === "nielsen" && {
+      heuristic: criterion ? Number(criterion.id) : null,
+      heuristicName: criterion ? criterion.name : null,
+    }),
+  };
+}
+
 /**
  * Validates the AI response structure and coordinates
  * @param {Object} response - Parsed AI response
  * @param {number} imageWidth - Image width for coordinate validation
  * @param {number} imageHeight - Image height for coordinate validation
+ * @param {Object} [framework] - Framework whose criterion ids are expected
  * @returns {Object} Validation result
  */
-function validateAIResponse(response, imageWidth, imageHeight) {
+function validateAIResponse(response, imageWidth, imageHeight, framework) {
   const errors = [];
   
   if (!response || typeof response !== "object") {
@@ -202,6 +321,9 @@ function validateAIResponse(response, imageWidth, imageHeight) {
     if (!issue.severity) {
       errors.push(`Issue ${index}: Missing 'severity'`);
     }
+    if (framework && !framework.criteria.some((criterion) => criterion.id === String(issue.criterion))) {
+      errors.push(`Issue ${index}: Unknown criterion (${issue.criterion})`);
+    }
   });
 
   return {
@@ -211,6 +333,8 @@ function validateAIResponse(response, imageWidth, imageHeight) {
 }
 
 module.exports = {
+  PROMPT_VERSION,
+  resolveModel,
   analyzeWithVisionAI,
   validateAIResponse,
 };
@@ -0,0 +1,90 @@
+const { devices: playwrightDevices } = require("playwright");
+
+const MAX_DEVICES = parseInt(process.env.MAX_DEVICES_PER_ANALYSIS, 10) || 5;
+
+/**
+ * Builds an invalid result in the same shape as validateUrl
+ * @param {string} details - Explanation for the client
+ * @returns {Object} Validation result
+ */
+function invalid(details) {
+  return {
+    isValid: false,
+    error: {
+      status: 400,
+      message: "Invalid devices",
+      details: details,
+    },
+  };
+}
+
+/**
+ * Converts one device entry into a name plus Playwright BrowserContext options
+ * @param {string|Object} entry - Playwright device name (e.g. "iPhone 13") or custom viewport
+ * @param {number} index - Position in the request (for error messages)
+ * @returns {{device: Object}|{error: string}} Resolved device or error message
+ */
+function resolveDevice(entry, index) {
+  if (typeof entry === "string") {
+    if (!Object.hasOwn(playwrightDevices, entry)) {
+      return { error: `Device ${index}: unknown Playwright device "${entry}"` };
+    }
+    // defaultBrowserType is not a context option; we always run Chromium
+    const { defaultBrowserType, ...contextOptions } = playwrightDevices[entry];
+    return { device: { name: entry, contextOptions } };
+  }
+
+  if (!entry || typeof entry !== "object") {
+    return { error: `Device ${index}: must be a device name or an object with width and height` };
+  }
+
+  const { name, width, height, deviceScaleFactor = 1, isMobile = false, hasTouch, userAgent } = entry;
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+    return { error: `Device ${index}: width and height must be positive integers` };
+  }
+  if (typeof deviceScaleFactor !== "number" || deviceScaleFactor <= 0) {
+    return { error: `Device ${index}: deviceScaleFactor must be a positive number` };
+  }
+
+  return {
+    device: {
+      name: name || `${width}x${height}`,
+      contextOptions: {
+        viewport: { width, height },
+        deviceScaleFactor: deviceScaleFactor,
+        isMobile: !!isMobile,
+        hasTouch: hasTouch === undefined ? !!isMobile : !!hasTouch,
+        ...(userAgent && { userAgent }),
+      },
+    },
+  };
+}
+
+/**
+ * Validates and resolves the devices list from an /analyze request body
+ * @param {Array<string|Object>} devices - Device names or custom viewport definitions
+ * @returns {Object} Validation result with isValid flag and resolved devices or error
+ */
+function resolveDevices(devices) {
+  if (!Array.isArray(devices) || devices.length === 0) {
+    return invalid("devices must be a non-empty array of device names or {width, height} objects");
+  }
+  if (devices.length > MAX_DEVICES) {
+    return invalid(`At most ${MAX_DEVICES} devices can be analyzed per request`);
+  }
+
+  const resolved = [];
+  for (let i = 0; i < devices.length; i++) {
+    const result = resolveDevice(devices[i], i);
+    if (result.error) {
+      return invalid(result.error);
+    }
+    resolved.push(result.device);
+  }
+
+  return { isValid: true, devices: resolved };
+}
+
+module.exports = {
+  resolveDevices,
+};
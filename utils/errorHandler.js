@@ -6,6 +6,46 @@
 function handleError(error) {
   console.error(`[ERROR] ${error.message}`);
 
+  // Browser pool saturated or shutting down
+  if (error.message.includes("Browser pool")) {
+    return {
+      status: 503,
+      error: "Service busy",
+      message: "The server is at capacity or shutting down. Please try again shortly.",
+      details: error.message,
+    };
+  }
+
+  // Scripted login failed before the target page was reached
+  if (error.message.includes("Login step")) {
+    return {
+      status: 422,
+      error: "Login failed",
+      message: "One of the login steps could not be completed. Check the selectors and credentials.",
+      details: error.message,
+    };
+  }
+
+  // A scripted user-flow step could not be performed
+  if (error.message.includes("Flow step")) {
+    return {
+      status: 422,
+      error: "Flow step failed",
+      message: "One of the flow steps could not be completed. Check the selectors, texts and step order.",
+      details: error.message,
+    };
+  }
+
+  // The page, a redirect or a login step led to a URL the target URL policy blocks
+  if (error.message.includes("ERR_BLOCKED_BY_CLIENT") || error.message.includes("URL policy")) {
+    return {
+      status: 403,
+      error: "Blocked by URL policy",
+      message: "The URL (or a page it redirected to) points to a private, loopback or disallowed address.",
+      details: error.message,
+    };
+  }
+
   // Network errors - unreachable URL
   if (
     error.message.includes("net::ERR") ||
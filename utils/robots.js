@@ -0,0 +1,132 @@
+/**
+ * Minimal robots.txt support (RFC 9309): user-agent groups, Allow / Disallow with * and $,
+ * longest match wins and Allow wins ties. Sitemap lines are collected as well.
+ */
+
+/**
+ * Parses robots.txt into groups and sitemap URLs
+ * @param {string} text - robots.txt body
+ * @returns {{groups: Array<{agents: Array<string>, rules: Array<Object>}>, sitemaps: Array<string>}} Parsed file
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      return;
+    }
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+
+    if (field === "sitemap" && value) {
+      sitemaps.push(value);
+    } else if ((field === "allow" || field === "disallow") && current) {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) {
+        current.rules.push({ allow: field === "allow", path: value });
+      }
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Picks the rules that apply to a user agent (its own group, or the * group)
+ * @param {Object} robots - Result of parseRobots
+ * @param {string} userAgent - Product token such as "uxray"
+ * @returns {Array<Object>} Rules
+ */
+function rulesFor(robots, userAgent) {
+  const token = userAgent.toLowerCase();
+  const own = robots.groups.filter((group) => group.agents.some((agent) => agent !== "*" && token.includes(agent)));
+  const chosen = own.length > 0 ? own : robots.groups.filter((group) => group.agents.includes("*"));
+  return chosen.flatMap((group) => group.rules);
+}
+
+/**
+ * Matches a path against a robots path pattern without backtracking through a RegExp
+ * (the crawled site controls the pattern). "*" matches any run of characters and a
+ * trailing "$" anchors the end; otherwise the pattern only has to match a prefix.
+ * Greedy two-pointer wildcard match: at most O(pattern * path) steps.
+ * @param {string} pattern - Pattern such as "/private/*.pdf$"
+ * @param {string} path - URL path plus query string
+ * @returns {boolean} True if the pattern matches
+ */
+function matchesPattern(pattern, path) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern).replace(/\*+/g, "*") + (anchored ? "" : "*");
+
+  let p = 0;
+  let s = 0;
+  let star = -1;
+  let resume = 0;
+  while (s < path.length) {
+    if (p < body.length && body[p] !== "*" && body[p] === path[s]) {
+      p++;
+      s++;
+    } else if (p < body.length && body[p] === "*") {
+      star = p++;
+      resume = s;
+    } else if (star !== -1) {
+      p = star + 1;
+      s = ++resume;
+    } else {
+      return false;
+    }
+  }
+  while (p < body.length && body[p] === "*") {
+    p++;
+  }
+  return p === body.length;
+}
+
+/**
+ * Checks whether a path may be crawled
+ * @param {Object} robots - Result of parseRobots (null when there is no robots.txt)
+ * @param {string} userAgent - Crawler product token
+ * @param {string} pathWithQuery - URL path plus query string
+ * @returns {boolean} True if allowed
+ */
+function isAllowed(robots, userAgent, pathWithQuery) {
+  if (!robots) {
+    return true;
+  }
+
+  let best = null;
+  rulesFor(robots, userAgent).forEach((rule) => {
+    if (!matchesPattern(rule.path, pathWithQuery)) {
+      return;
+    }
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+module.exports = {
+  parseRobots,
+  isAllowed,
+};
@@ -0,0 +1,58 @@
+const jobService = require("../services/jobService");
+
+/**
+ * Writes a single Server-Sent Event to the response
+ * @param {Response} res - Express response
+ * @param {Object} event - Job event ({id, event, data, timestamp})
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.event}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+}
+
+/**
+ * Streams a job's events as Server-Sent Events until the job finishes
+ * Past events are replayed first (respecting Last-Event-ID) so late subscribers see every stage
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Object} job - Job record
+ */
+function streamJobEvents(req, res, job) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get("last-event-id"), 10) || 0;
+  job.events.filter((event) => event.id > lastEventId).forEach((event) => writeEvent(res, event));
+
+  if (jobService.isFinished(job)) {
+    res.end();
+    return;
+  }
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+  const onEvent = (event) => {
+    writeEvent(res, event);
+    if (jobService.isFinished(job)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.emitter.off("event", onEvent);
+  };
+
+  job.emitter.on("event", onEvent);
+  req.on("close", cleanup);
+}
+
+module.exports = {
+  streamJobEvents,
+};
@@ -1,37 +1,270 @@
+const dns = require("dns").promises;
+const net = require("net");
+
+// Config
+const security = require("../config/security.json");
+
 /**
- * Validates if URL is provided and has valid format
- * @param {string} url - URL to validate
- * @returns {Object} Validation result with isValid flag and error message
+ * Target URL policy
+ * Every URL the server loads (analysis targets, redirects and subresources in the browser,
+ * link checks, share images, robots.txt and sitemaps) must use an allowed scheme, pass the
+ * domain allow / deny lists and resolve to public addresses only. Hosts listed in
+ * internalHosts are an explicit opt-in for staging servers on private networks.
  */
-function validateUrl(url) {
-  if (!url) {
-    return {
-      isValid: false,
-      error: {
-        status: 400,
-        message: "URL is required",
-        details: "Please provide a URL in the request body",
-      },
-    };
+
+/**
+ * Reads a comma-separated env list, falling back to the config value
+ * @param {string} name - Environment variable
+ * @param {Array<string>} fallback - List from config/security.json
+ * @returns {Array<string>} Lowercase entries
+ */
+function listSetting(name, fallback) {
+  const value = process.env[name];
+  const list = value !== undefined ? value.split(",") : fallback || [];
+  return list.map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+const policy = security.urlPolicy || {};
+const ALLOWED_SCHEMES = (policy.allowedSchemes || ["http", "https"]).map((scheme) => `${scheme}:`);
+const ALLOWED_DOMAINS = listSetting("URL_ALLOWED_DOMAINS", policy.allowedDomains);
+const DENIED_DOMAINS = listSetting("URL_DENIED_DOMAINS", policy.deniedDomains);
+const INTERNAL_HOSTS = listSetting("URL_INTERNAL_HOSTS", policy.internalHosts);
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127], // :: and ::1 (IPv4-mapped addresses are checked against the IPv4 ranges)
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+// NAT64 (64:ff9b::/96) embeds an IPv4 address in the low 32 bits; it is checked against the IPv4 ranges
+const nat64Prefix = new net.BlockList();
+nat64Prefix.addSubnet("64:ff9b::", 96, "ipv6");
+
+/**
+ * Builds an invalid result
+ * @param {number} status - HTTP status
+ * @param {string} message - Error title
+ * @param {string} details - Explanation
+ * @returns {Object} Validation result
+ */
+function invalid(status, message, details) {
+  return { isValid: false, error: { status, message, details } };
+}
+
+/**
+ * Checks whether a host is a domain in the list or a subdomain of one
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} domains - Domain list
+ * @returns {boolean} True if listed
+ */
+function matchesDomain(hostname, domains) {
+  return domains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if blocked
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv6(address) && nat64Prefix.check(address, "ipv6")) {
+    // Normalized form ends in the two low groups ("" where "::" compressed zeros)
+    const groups = new URL(`http://[${address}]`).hostname.slice(1, -1).split(":");
+    const low = groups.slice(-2).map((group) => parseInt(group || "0", 16));
+    return blockedAddresses.check([low[0] >> 8, low[0] & 255, low[1] >> 8, low[1] & 255].join("."), "ipv4");
   }
+  const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return blockedAddresses.check(address, type);
+}
 
+/**
+ * Applies the checks that need no DNS: format, scheme, domain lists, literal addresses
+ * @param {string} url - URL to check
+ * @returns {Object} Validation result; valid results carry the hostname and whether it is an opted-in internal host
+ */
+function checkUrlSyntax(url) {
+  let parsed;
   try {
-    new URL(url);
+    parsed = new URL(url);
+  } catch (error) {
+    return invalid(400, "Invalid URL format", "Please provide a valid URL");
+  }
+
+  if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+    return invalid(400, "Unsupported URL scheme", `Only ${ALLOWED_SCHEMES.join(", ")} URLs can be analyzed (got ${parsed.protocol})`);
+  }
+
+  // IPv6 hosts come bracketed from the URL parser
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (matchesDomain(hostname, DENIED_DOMAINS)) {
+    return invalid(403, "URL not allowed", `${hostname} is on the denied domain list`);
+  }
+  if (ALLOWED_DOMAINS.length > 0 && !matchesDomain(hostname, ALLOWED_DOMAINS)) {
+    return invalid(403, "URL not allowed", `${hostname} is not on the allowed domain list`);
+  }
+
+  const internal = matchesDomain(hostname, INTERNAL_HOSTS);
+  if (!internal && (hostname === "localhost" || hostname.endsWith(".localhost"))) {
+    return invalid(403, "Blocked target address", `${hostname} is a loopback host`);
+  }
+  if (!internal && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return invalid(403, "Blocked target address", `${hostname} is a private, loopback or link-local address`);
+  }
+
+  return { isValid: true, hostname, internal };
+}
+
+/**
+ * Resolves a host and checks that every address it resolves to is public
+ * @param {string} hostname - Hostname or literal IP
+ * @returns {Promise<Object>} Validation result
+ */
+async function checkResolvedAddresses(hostname) {
+  if (net.isIP(hostname)) {
     return { isValid: true };
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
   } catch (error) {
-    return {
-      isValid: false,
-      error: {
-        status: 400,
-        message: "Invalid URL format",
-        details: "Please provide a valid URL",
-      },
-    };
+    return invalid(400, "Host not found", `${hostname} could not be resolved (${error.code || error.message})`);
   }
+
+  const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+  if (blocked) {
+    return invalid(
+      403,
+      "Blocked target address",
+      `${hostname} resolves to ${blocked.address}, a private, loopback or link-local address. Add it to urlPolicy.internalHosts to allow it`
+    );
+  }
+  return { isValid: true };
+}
+
+/**
+ * Validates a target URL against the URL policy
+ * @param {string} url - URL to validate
+ * @returns {Promise<Object>} Validation result with isValid flag and error ({status, message, details})
+ */
+async function validateUrl(url) {
+  if (!url) {
+    return invalid(400, "URL is required", "Please provide a URL in the request body");
+  }
+
+  const syntax = checkUrlSyntax(url);
+  if (!syntax.isValid) {
+    return syntax;
+  }
+  // Opted-in internal hosts may resolve to private addresses
+  if (syntax.internal) {
+    return { isValid: true };
+  }
+  return checkResolvedAddresses(syntax.hostname);
+}
+
+/**
+ * Throws when a URL the server is about to fetch violates the URL policy
+ * @param {string} url - URL to fetch
+ * @returns {Promise<void>}
+ */
+async function assertAllowedUrl(url) {
+  const validation = await validateUrl(url);
+  if (!validation.isValid) {
+    throw new Error(`URL policy: ${validation.error.message} - ${validation.error.details}`);
+  }
+}
+
+/**
+ * Fetches a URL, following redirects by hand so every hop is checked against the URL policy
+ * @param {string} url - URL to fetch
+ * @param {Object} [init] - fetch options (redirect is always handled here)
+ * @param {number} [maxRedirects] - Redirects to follow
+ * @returns {Promise<Response>} Final response
+ */
+async function fetchAllowed(url, init = {}, maxRedirects = 5) {
+  let current = url;
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    await assertAllowedUrl(current);
+    const response = await fetch(current, { ...init, redirect: "manual" });
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+    current = new URL(location, current).href;
+  }
+  throw new Error(`More than ${maxRedirects} redirects`);
+}
+
+/**
+ * Enforces the URL policy inside a browser context: navigations (including redirects),
+ * subresource requests and WebSocket connections to blocked URLs are aborted, so a public page
+ * cannot redirect or point the browser at internal services. Aborted navigations fail with
+ * ERR_BLOCKED_BY_CLIENT. Service workers bypass context routes, so pooled contexts block them
+ * @param {BrowserContext} context - Playwright browser context
+ * @returns {Promise<void>}
+ */
+async function enforceUrlPolicy(context) {
+  // Hostname -> validation, so each host is resolved once per context
+  const verdicts = new Map();
+  const verdictFor = async (url) => {
+    const syntax = checkUrlSyntax(url);
+    if (!syntax.isValid || syntax.internal) {
+      return syntax;
+    }
+    if (!verdicts.has(syntax.hostname)) {
+      verdicts.set(syntax.hostname, checkResolvedAddresses(syntax.hostname));
+    }
+    return verdicts.get(syntax.hostname);
+  };
+
+  await context.route("**/*", async (route) => {
+    const request = route.request();
+    const verdict = await verdictFor(request.url());
+
+    // Domain lists apply to pages the browser navigates to, not to third-party assets
+    const blocked = !verdict.isValid &&
+      (verdict.error.message !== "URL not allowed" || request.isNavigationRequest());
+    if (blocked) {
+      console.log(`[URL_POLICY] Blocked ${request.url()}: ${verdict.error.details}`);
+      return route.abort("blockedbyclient");
+    }
+    return route.continue();
+  });
+
+  // WebSockets are not seen by context.route; checked like subresources (ws/wss as http/https)
+  await context.routeWebSocket(/.*/, async (ws) => {
+    const verdict = await verdictFor(ws.url().replace(/^ws(s?):/i, "http$1:"));
+    if (!verdict.isValid && verdict.error.message !== "URL not allowed") {
+      console.log(`[URL_POLICY] Blocked WebSocket ${ws.url()}: ${verdict.error.details}`);
+      return ws.close({ code: 1008, reason: "Blocked by URL policy" });
+    }
+    ws.connectToServer();
+  });
 }
 
 module.exports = {
   validateUrl,
+  isPrivateAddress,
+  assertAllowedUrl,
+  fetchAllowed,
+  enforceUrlPolicy,
 };
-
-